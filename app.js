@@ -52,6 +52,7 @@ let audioCtx = null; // Stays null until the first beep() call
  * @param {number} vol   - Starting volume 0–1 (default 0.12 — quiet, non-intrusive)
  */
 function beep(freq = 440, dur = 0.1, type = "square", vol = 0.12) {
+  if (fastForwarding) return; // Replay seeking simulates thousands of ticks silently
   try {
     // Lazy-init: create AudioContext on first call (see note above about autoplay policy)
     if (!audioCtx) audioCtx = new AudioCtx();
@@ -107,6 +108,10 @@ const sfx = {
   // Bullet hits enemy — low sawtooth buzz signals damage dealt
   hit: () => beep(300, 0.15, "sawtooth"),
 
+  // Enemy fires — lower and quieter than the player's shot, so it warns
+  // without drowning out your own fire
+  enemyShot: () => beep(520, 0.07, "square", 0.06),
+
   // Enemy destroyed — two-note rising interval (500→700 Hz) for a "success" feel
   kill: () => {
     beep(500, 0.1);
@@ -128,6 +133,9 @@ const sfx = {
     setTimeout(() => beep(200, 0.4), 400); // Final note is longer for finality
   },
 
+  // Countdown — one mid blip per number, an octave up on GO
+  count: (go) => beep(go ? 880 : 440, go ? 0.2 : 0.1),
+
   // Game start — three-note ascending fanfare (800→1000→1200 Hz)
   // Rising pitch signals excitement / "let's go!"
   start: () => {
@@ -144,6 +152,58 @@ const sfx = {
     setTimeout(() => beep(784, 0.12), 180); // G5
   },
 
+  // Power-up pickups — one short motif each, so the kind is audible:
+  // spread fans out (three notes climbing a fourth apart), rapid is a quick
+  // same-note trill, shield a low-to-high sweep, extra life the classic 1-UP
+  spread: () =>
+    [660, 880, 1175].forEach((n, i) => setTimeout(() => beep(n, 0.06), i * 50)),
+  rapid: () =>
+    [0, 1, 2, 3].forEach((i) => setTimeout(() => beep(1320, 0.03), i * 40)),
+  shield: () => {
+    beep(330, 0.12, "triangle");
+    setTimeout(() => beep(660, 0.18, "triangle"), 90);
+  },
+  oneUp: () =>
+    [659, 784, 1319, 1047, 1175, 1568].forEach((n, i) =>
+      setTimeout(() => beep(n, 0.07), i * 70),
+    ),
+
+  // Laser overheated — harsh descending sawtooth alarm, three pulses
+  overheat: () =>
+    [0, 1, 2].forEach((i) =>
+      setTimeout(() => beep(880 - i * 160, 0.12, "sawtooth", 0.1), i * 130),
+    ),
+
+  // Laser cooled down after an overheat — soft single "ready" ping
+  heatReady: () => beep(1040, 0.08, "triangle"),
+
+  // Shield absorbs a hit — bright sawtooth crack instead of the death drone
+  shieldBreak: () => beep(900, 0.12, "sawtooth", 0.08),
+
+  // Timed power-up ran out — short falling blip
+  powerDown: () => {
+    beep(600, 0.06);
+    setTimeout(() => beep(400, 0.08), 60);
+  },
+
+  // Boss incoming (or enraged) — alternating low sawtooth siren, 3 cycles
+  bossWarning: () =>
+    [0, 1, 2, 3, 4, 5].forEach((i) =>
+      setTimeout(() => beep(i % 2 ? 180 : 240, 0.14, "sawtooth"), i * 150),
+    ),
+
+  // Boss defeated — G-C-E-G-C climb held on a long top C, with a fifth
+  // underneath the last note: bigger and brighter than the wave jingle
+  bossFanfare: () => {
+    [392, 523, 659, 784].forEach((n, i) =>
+      setTimeout(() => beep(n, 0.1), i * 100),
+    );
+    setTimeout(() => {
+      beep(1047, 0.5);
+      beep(784, 0.5, "square", 0.06);
+    }, 400);
+  },
+
   // Easter egg discovered — Full ascending C-major scale from C5 to C6
   // 8 notes spaced 80ms apart = ~640ms celebratory fanfare
   // Uses Array.forEach to schedule all 8 beeps in a single expression
@@ -175,7 +235,7 @@ const _navLinks = document.querySelectorAll("[data-section]");
  * VHS glitch effect, so the actual content swap happens while the screen is
  * visually "distorted", masking the instant DOM change.
  *
- * @param {string} section - Section name: "home", "about", "leaderboard", "game"
+ * @param {string} section - Section name: "home", "about", "leaderboard", "editor", "game"
  */
 function navigateTo(section) {
   // Step 1: Trigger the VHS glitch CSS animation on the whole page body
@@ -215,8 +275,16 @@ function navigateTo(section) {
       renderPersonalBest(); // Update hero banner with latest high score
       renderHomeStats(); // Refresh the "BATTLE STATS" grid
     }
+    if (section === "editor")
+      openEditor(); // Redraw the level being edited
+    else stopPreview(); // The wave preview only runs while it can be seen
     if (section === "game") {
       resetGame(); // Reset all game state and show difficulty picker
+      // Arriving from a leaderboard "watch" button — start that replay instead
+      if (pendingReplay) {
+        startReplay(pendingReplay);
+        pendingReplay = null;
+      }
     }
 
     // Step 3d: Close the mobile hamburger menu (if open) after navigation.
@@ -291,11 +359,17 @@ function animateCounters() {
 //   - localStorage only stores strings, so we JSON.stringify on save and
 //     JSON.parse on load.
 //   - getBoard() always returns a valid array (empty on error or first visit).
-//   - The board is sorted descending by score and capped at 20 entries so
-//     localStorage usage stays small (~5-10KB max).
+//   - The board is sorted descending by score and capped at 20 entries per
+//     level so localStorage usage stays small (~5-10KB per level).
 //   - Each entry is a plain object with: name, score, accuracy, enemiesKilled,
-//     timeSurvived, difficulty, date.
+//     timeSurvived, difficulty, seed, replayId, date — and `level`, the name
+//     of the custom level played (absent for the standard endless game).
+//     Every level is ranked on its own board (see boardFor).
+//   - Replay recordings are much bigger than entries, so they live under their
+//     own key as an { id: recording } map and entries only carry the replayId.
+//     Recordings whose entry drops out of the top 20 are pruned on save.
 const LB_KEY = "laserDefenderScores"; // localStorage key — namespaced to avoid collisions
+const REPLAY_KEY = "laserDefenderReplays"; // { [replayId]: recording } — see readInput()
 
 /**
  * getBoard() — Retrieve the saved leaderboard array from localStorage.
@@ -310,8 +384,27 @@ const getBoard = () => {
   }
 };
 
-/** clearBoard() — Remove the entire leaderboard from localStorage. */
-const clearBoard = () => localStorage.removeItem(LB_KEY);
+/**
+ * boardFor() — The entries of one level's board, best first.
+ * @param {string} [level=""] - Custom level name ("" = the endless game)
+ */
+const boardFor = (level = "") =>
+  getBoard().filter((e) => (e.level || "") === level);
+
+/** getReplays() — Retrieve the { id: recording } replay map ({} on error). */
+const getReplays = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REPLAY_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/** clearBoard() — Remove the entire leaderboard (and its replays) from localStorage. */
+const clearBoard = () => {
+  localStorage.removeItem(LB_KEY);
+  localStorage.removeItem(REPLAY_KEY);
+};
 
 /**
  * saveScore() — Add a new score entry to the leaderboard.
@@ -322,22 +415,64 @@ const clearBoard = () => localStorage.removeItem(LB_KEY);
  *
  * @param {string} name  - Player name (defaults to "PILOT" if empty)
  * @param {number} score - Final score
- * @param {Object} stats - Additional stats: accuracy, enemiesKilled, timeSurvived, difficulty
+ * @param {Object} stats - Additional stats: accuracy, enemiesKilled, timeSurvived, difficulty,
+ *                         bestCombo, level, seed, replay (the run's input recording, stored
+ *                         under REPLAY_KEY), and for co-op runs team (one
+ *                         { name, score, accuracy, enemiesKilled } per pilot) and lives
  */
 function saveScore(name, score, stats = {}) {
-  const board = getBoard();
-  board.push({
+  if (practice.active) return; // Practice runs stay off the board (see Practice Mode)
+  let board = getBoard();
+  const replays = getReplays();
+  const entry = {
     name: name || "PILOT", // Default name if the player skipped the input
     score,
     accuracy: stats.accuracy || 0,
     enemiesKilled: stats.enemiesKilled || 0,
     timeSurvived: stats.timeSurvived || 0,
     difficulty: stats.difficulty || "NORMAL",
+    bestCombo: stats.bestCombo || 0, // Longest run of kills without a miss or hit
+    ...(stats.level ? { level: stats.level } : {}), // Custom level played (see Level Editor)
+    seed: stats.seed, // Run seed — replaying it with the same inputs reproduces the game
+    ...(stats.team ? { team: stats.team, coop: stats.lives } : {}), // Co-op pilots + lives mode
     date: new Date().toLocaleDateString(), // Human-readable date string (locale-dependent)
-  });
+  };
+  if (stats.replay) {
+    // Time-based id with a random suffix — unique enough for a 20-entry board
+    entry.replayId =
+      Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    replays[entry.replayId] = stats.replay;
+  }
+  board.push(entry);
   board.sort((a, b) => b.score - a.score); // Highest score first
-  board.splice(20); // Cap at 20 entries — prevents unbounded localStorage growth
+  // Cap at 20 entries per level — prevents unbounded localStorage growth
+  const ranked = {};
+  board = board.filter((e) => {
+    const lv = e.level || "";
+    ranked[lv] = (ranked[lv] || 0) + 1;
+    return ranked[lv] <= 20;
+  });
   localStorage.setItem(LB_KEY, JSON.stringify(board)); // Persist the updated board
+
+  // Keep only the replays still linked from the board, then persist them.
+  // A full localStorage (replays are the bulk of our data) must not cost the
+  // player their score, so on failure the entry simply loses its replay link.
+  const kept = {};
+  for (const e of board)
+    if (e.replayId && replays[e.replayId])
+      kept[e.replayId] = replays[e.replayId];
+  try {
+    localStorage.setItem(REPLAY_KEY, JSON.stringify(kept));
+  } catch {
+    delete entry.replayId;
+    localStorage.setItem(LB_KEY, JSON.stringify(board));
+  }
+
+  // Rank on the entry's own level board (0-based; -1 if it didn't make it)
+  const rank = board
+    .filter((e) => (e.level || "") === (entry.level || ""))
+    .indexOf(entry);
+  emitPublic("scoreSaved", { ...entry, rank });
 }
 
 /**
@@ -355,11 +490,26 @@ function saveScore(name, score, stats = {}) {
  * numbers count up with the scroll-into-view animation.
  */
 function renderLeaderboard() {
-  const board = getBoard(),
-    el = document.getElementById("leaderboardContent"),
+  const el = document.getElementById("leaderboardContent"),
     sg = document.getElementById("statsGrid");
   if (!el) return; // Guard: element not in DOM (shouldn't happen, but defensive)
 
+  // ── Board picker: the endless game, then every custom level with scores ──
+  const pick = document.getElementById("boardSelect"),
+    levels = [...new Set(getBoard().map((e) => e.level || ""))]
+      .filter(Boolean)
+      .sort(),
+    level = levels.includes(pick.value) ? pick.value : "";
+  pick.innerHTML = ["", ...levels]
+    .map(
+      (lv) =>
+        `<option value="${escapeHtml(lv)}">${lv ? "🛠️ " + escapeHtml(lv) : "🌌 ENDLESS"}</option>`,
+    )
+    .join("");
+  pick.value = level;
+  pick.style.display = levels.length ? "" : "none"; // Only worth showing with custom scores
+  const board = boardFor(level);
+
   // ── Empty state: no scores saved yet ──
   // Show a friendly call-to-action instead of an empty table.
   // The data-section="game" link works via event delegation (see global click handler).
@@ -386,10 +536,24 @@ function renderLeaderboard() {
   const icon = (i) => (i < 3 ? ["🥇", "🥈", "🥉"][i] : `#${i + 1}`);
   const cls = (i) => (i < 3 ? `rank-${i + 1}` : ""); // rank-1, rank-2, rank-3 CSS classes
 
+  // "Watch" action — only for entries whose recording is still stored.
+  // Clicks are handled by the delegated [data-replay] listener (see Replays).
+  const replays = getReplays();
+  const watch = (e) =>
+    e.replayId && replays[e.replayId]
+      ? `<button class="watch-btn" data-replay="${e.replayId}">▶ WATCH</button>`
+      : `<span style="color:#555">—</span>`;
+
+  // Co-op entries: a team marker, with each pilot's share in the tooltip
+  const pilot = (e) =>
+    e.team
+      ? `<span title="${escapeHtml(e.team.map((m) => `${m.name}: ${m.score} · ${m.accuracy}% · ${m.enemiesKilled} kills`).join("\n"))}">👥 ${escapeHtml(e.name)}</span>`
+      : e.name;
+
   // ── Render the score table ──
   // Each row gets "fade-in-up" class for a staggered CSS entrance animation.
   // Scores are formatted with toLocaleString() for thousands separators (e.g. "1,250").
-  el.innerHTML = `<table class="leaderboard-table"><thead><tr><th>Rank</th><th>Pilot</th><th>Score</th><th>Acc</th><th>Kills</th><th>Mode</th><th>Date</th></tr></thead><tbody>${board.map((e, i) => `<tr class="fade-in-up"><td class="rank ${cls(i)}">${icon(i)}</td><td>${e.name}</td><td class="player-score">${e.score.toLocaleString()}</td><td>${e.accuracy}%</td><td>${e.enemiesKilled || 0}</td><td class="text-cyan">${e.difficulty || "NORMAL"}</td><td style="color:#888">${e.date}</td></tr>`).join("")}</tbody></table>`;
+  el.innerHTML = `<table class="leaderboard-table"><thead><tr><th>Rank</th><th>Pilot</th><th>Score</th><th>Acc</th><th>Kills</th><th>Mode</th><th>Date</th><th>Replay</th></tr></thead><tbody>${board.map((e, i) => `<tr class="fade-in-up"><td class="rank ${cls(i)}">${icon(i)}</td><td>${pilot(e)}</td><td class="player-score">${e.score.toLocaleString()}</td><td>${e.accuracy}%</td><td>${e.enemiesKilled || 0}</td><td class="text-cyan">${e.difficulty || "NORMAL"}</td><td style="color:#888">${e.date}</td><td>${watch(e)}</td></tr>`).join("")}</tbody></table>`;
 
   // ── Render aggregate stats cards ──
   // Compute summary statistics across ALL saved games (not just top score)
@@ -479,7 +643,7 @@ function renderAchievements() {
 function renderPersonalBest() {
   const banner = document.getElementById("personalBestBanner");
   if (!banner) return;
-  const board = getBoard();
+  const board = boardFor(); // The endless game's board — custom levels don't compete
   if (board.length) {
     // board[0] is the all-time best score (board is sorted descending)
     const b = board[0];
@@ -592,8 +756,9 @@ function toast(msg, ms = 4000) {
 //   3. Idle UFO (passive) — 18 seconds of no interaction triggers a UFO flyby
 //
 // All easter egg points use a dual-path system:
-//   - If a game is currently active (gameStarted && gameRunning): points are added
-//     to the live `score` variable immediately and reflected on screen.
+//   - If a live game is currently active (isLiveGame()): points are queued with
+//     addLiveBonus() and land on the score on the very next tick (which also
+//     writes them into the run's replay recording).
 //   - If no game is active: points are "banked" in localStorage under the key
 //     "laserDefenderBonus", and applied when the next game starts via startGame().
 //   This ensures the player always receives their reward regardless of timing.
@@ -611,8 +776,8 @@ const KONAMI = [
   "ArrowRight",
   "ArrowLeft",
   "ArrowRight",
-  "b",
-  "a",
+  "KeyB",
+  "KeyA",
 ];
 let konamiIdx = 0; // Current position in the KONAMI sequence (0 = no progress)
 
@@ -674,7 +839,7 @@ document.addEventListener("click", (e) => {
  *   4. After all lines are shown, award points and restore original content
  *
  * Point system (dual path):
- *   - During an active game: +500 added directly to `score` (immediate reward)
+ *   - During an active game: +500 queued onto `score` for the next tick
  *   - Outside of a game: +500 banked in localStorage "laserDefenderBonus"
  *     (applied at the start of the next game via startGame())
  *   This ensures the player always receives the reward regardless of when they
@@ -717,10 +882,9 @@ function runHackSequence() {
       localStorage.setItem("hackFound", "1"); // Persist discovery for achievement tracking
 
       // Dual-path point system: in-game vs banked
-      if (gameStarted && gameRunning) {
-        // Game is active — add points directly to live score
-        score += 500;
-        DOM.score.textContent = score;
+      if (isLiveGame()) {
+        // Game is active — add points to the live score on the next tick
+        addLiveBonus(500);
         flash("score"); // Visual feedback: brief scale-up animation on score HUD
         setTimeout(() => {
           body.innerHTML = orig; // Restore original terminal content
@@ -812,21 +976,63 @@ function initScrollTop() {
    HTML5 Canvas-based space shooter with wave system,
    collision detection, particles, and difficulty scaling.
 
-   The game runs at ~60fps via requestAnimationFrame.
-   Each frame calls update() (logic) then draw() (rendering).
-   The canvas is a fixed 600x800 pixel surface — no responsive scaling.
+   The simulation itself lives in engine.js (the LaserEngine global) and
+   has no access to the page; this part of app.js drives and presents it.
+   The simulation advances in fixed ticks of TICK_MS (60 ticks/second)
+   regardless of the display refresh rate. gameLoop() runs on
+   requestAnimationFrame, feeds the real elapsed time into an accumulator
+   and calls update() once per whole tick it contains, then draw()
+   interpolates between the last two ticks for smooth motion.
+   The world is a fixed WORLD_W x WORLD_H (600x800) coordinate space; the
+   canvas itself is sized to its container and DPR (see Viewport).
 
    Key systems:
-   - Wave system: every KILLS_PER_WAVE (8) kills, enemies get faster and spawn more often
-   - Particle system: explosions are 12-particle bursts with gravity and fade
+   - Wave system: driven by a wave script (WAVE_SCRIPTS in engine.js); in the
+     default "endless" one every 8 kills, enemies get faster and spawn more often
+   - Particle system: named emitter presets (EMITTERS in engine.js) for kills,
+     hits, damage and trails, drawn with per-preset shapes and colour ramps
    - Meteor shower: random event after 10s that spawns fast small meteors for 5s
    - Screen shake: CSS class toggled on the game container for hit feedback
+   - Sprites: blitted from an atlas pre-rendered at load, or from a
+     sprite-sheet skin (see Sprite Atlas & Skins)
+   - Game states: boot, title, countdown, playing, paused, wave
+     transitions, game over and name entry, each with guarded transitions
+     and enter/exit hooks; overlays follow the state (see Game States)
+   - Extensions: window.LaserDefender publishes game events and takes
+     plugins that hook state changes and draw on the canvas (see Public API)
+   - Local co-op: a second ship on the same keyboard, with shared or
+     per-ship lives and revives earned by kills (see Local Co-op)
+   - Ghost racing against the best stored run (see Ghost Racing)
+   - Practice mode: start wave, infinite lives, half speed, hitboxes;
+     never saved (see Practice Mode)
    ═══════════════════════════════════════════════ */
 
 // Canvas element and 2D rendering context — all game graphics are drawn here
 const canvas = document.getElementById("game"),
   ctx = canvas.getContext("2d"); // 2D context provides fillRect, fillStyle, globalAlpha, etc.
 
+// Engine factory and shared constants (engine.js — see Game State Variables)
+const {
+  createEngine,
+  mulberry32,
+  newSeed,
+  loadWaveScript,
+  DIFFICULTY,
+  ENEMY_TYPES,
+  POWERUPS,
+  WORLD_W,
+  WORLD_H,
+  TICK_MS,
+  MAX_HEAT,
+  IN_LEFT,
+  IN_RIGHT,
+  IN_FIRE,
+  IN_CLICK,
+  IN_BITS,
+  hullRect,
+  partRect,
+} = LaserEngine;
+
 // ─── Cached DOM Elements ─────────────────────────────────
 // Cache references to frequently-updated HUD and UI elements at init time.
 // This avoids calling document.getElementById() on every frame in the game loop,
@@ -834,40 +1040,200 @@ const canvas = document.getElementById("game"),
 // acts as a namespace for all game-related UI element references.
 const DOM = {
   score: document.getElementById("score"), // Score counter in HUD
+  multiplier: document.getElementById("multiplier"), // Combo multiplier beside the score
   lives: document.getElementById("lives"), // Lives counter in HUD
+  powerHud: document.getElementById("powerHud"), // Power-up timers under the lives
+  heatBar: document.getElementById("heatBar"), // Laser heat gauge (HEAT panel)
+  heatFill: document.getElementById("heatFill"), // Its fill, sized to game.heat
   waveDisplay: document.getElementById("waveDisplay"), // Current wave number
   timeDisplay: document.getElementById("timeDisplay"), // Elapsed time "M:SS"
   modeDisplay: document.getElementById("modeDisplay"), // Difficulty label (EASY/NORMAL/HARD)
   difficultyScreen: document.getElementById("difficultyScreen"), // Pre-game difficulty picker overlay
   pauseOverlay: document.getElementById("pauseOverlay"), // "PAUSED" overlay
+  countdownNum: document.getElementById("countdownNum"), // Countdown overlay's number
   gameOverEl: document.getElementById("gameOver"), // Game over stats screen
+  gameOverTitle: document.getElementById("gameOverTitle"), // "MISSION FAILED" / "MISSION COMPLETE"
   finalScore: document.getElementById("finalScore"), // Final score on game over
   finalKills: document.getElementById("finalKills"), // Final kill count
   finalAccuracy: document.getElementById("finalAccuracy"), // Final accuracy %
   finalTime: document.getElementById("finalTime"), // Final survival time
   finalDifficulty: document.getElementById("finalDifficulty"), // Difficulty on game over
   finalWave: document.getElementById("finalWave"), // Final wave reached
+  finalCombo: document.getElementById("finalCombo"), // Longest kill combo of the run
   savedMsg: document.getElementById("savedMsg"), // "Score saved!" confirmation
   playerName: document.getElementById("playerName"), // Name input on game over screen
+  playerName2: document.getElementById("playerName2"), // Player 2's name (co-op)
+  nameLabel: document.getElementById("nameLabel"), // "NAME:", or "P1:" in co-op
+  coopHud: document.getElementById("coopHud"), // Per-pilot rows of the PILOTS panel
+  coopStats: document.getElementById("coopStats"), // Per-pilot rows on game over
+  coopSelect: document.getElementById("coopSelect"), // Solo / co-op picker
+  ghostSelect: document.getElementById("ghostSelect"), // Ghost race opt-in
+  ghostInfo: document.getElementById("ghostInfo"), // Best run to race per difficulty
+  ghostDelta: document.getElementById("ghostDelta"), // Points ahead/behind the ghost
+  practiceSelect: document.getElementById("practiceSelect"), // Ranked / practice picker
+  practiceWave: document.getElementById("practiceWave"), // Practice starting wave
   gameContainer: document.getElementById("gameContainer"), // Wrapper div (for screen shake CSS)
+  replayBar: document.getElementById("replayBar"), // Replay playback controls
+  replayTitle: document.getElementById("replayTitle"), // "▶ NAME · SCORE" label
+  replayPlay: document.getElementById("replayPlay"), // Play/pause/restart button
+  replayScrub: document.getElementById("replayScrub"), // Timeline scrubber (range input)
+  replayTime: document.getElementById("replayTime"), // "elapsed / total" readout
+  fullscreenBtn: document.getElementById("fullscreenBtn"), // HUD fullscreen toggle
+  touchControls: document.getElementById("touchControls"), // On-screen touch layer (drag surface)
+  touchFire: document.getElementById("touchFire"), // Touch hold-to-fire button
+  touchPause: document.getElementById("touchPause"), // Touch pause button
+  scaleBtn: document.getElementById("scaleBtn"), // HUD integer-scaling toggle
 };
 
-// ─── Background Gradient (pre-cached) ────────────────────
-// Create the canvas background gradient ONCE and reuse it every frame.
+// ─── Background Gradient (cached per palette) ────────────
 // createLinearGradient() is moderately expensive — calling it 60x/sec would
-// create garbage objects and slow down the render loop. By caching it here,
-// draw() just assigns ctx.fillStyle = bgGradient (a simple reference copy).
-// The gradient runs vertically from top (#0f1a0f dark green) to bottom (#081008 near-black),
-// simulating deep space with a subtle green tint matching the retro CRT theme.
-const bgGradient = ctx.createLinearGradient(0, 0, 0, 800);
-bgGradient.addColorStop(0, "#0f1a0f"); // Top: dark green-black (space "above")
-bgGradient.addColorStop(1, "#081008"); // Bottom: near-black (deep space)
+// create garbage objects and slow down the render loop. So each sky palette
+// (see Parallax Background) builds its gradient ONCE, on first use, and keeps
+// it; draw() just assigns ctx.fillStyle = the cached gradient (a simple
+// reference copy). It runs vertically from the palette's top colour to its
+// bottom colour, simulating deep space, and is defined in world units, so the
+// viewport transform scales it with everything else.
+//
+// @param {Object} palette - SKY_PALETTES entry
+// @returns {CanvasGradient}
+function skyGradient(palette) {
+  if (!palette.gradient) {
+    palette.gradient = ctx.createLinearGradient(0, 0, 0, WORLD_H);
+    palette.gradient.addColorStop(0, palette.top); // Top: space "above"
+    palette.gradient.addColorStop(1, palette.bottom); // Bottom: deep space
+  }
+  return palette.gradient;
+}
+
+// ─── Viewport ────────────────────────────────────────────
+// The game world is WORLD_W x WORLD_H units (600x800), but the canvas is
+// sized by CSS to fit the page — and on a 2x or 3x display each CSS pixel
+// is several device pixels. Stretching a 600x800 bitmap with CSS would blur
+// the pixel art on high-DPI screens and overflow narrow phones.
+//
+// Instead the canvas bitmap always matches the device pixels it covers
+// (CSS size * devicePixelRatio), and beginFrame() sets a transform that maps
+// world units onto it: uniformly scaled to fit, centred, with any spare
+// space letterboxed. Everything else keeps drawing in world units.
+//
+// Integer scaling (toggled from the HUD, remembered in localStorage) rounds
+// the scale down to a whole number of device pixels per world unit whenever
+// at least 1 fits, so every sprite pixel is exactly the same size — the
+// sharpest possible pixel art, at the cost of a wider letterbox.
+const INT_SCALE_KEY = "laserDefenderIntScale";
+
+const view = {
+  scale: 1, // Device pixels per world unit
+  ox: 0, // Letterbox offset in device pixels (left)
+  oy: 0, // Letterbox offset in device pixels (top)
+  integer: localStorage.getItem(INT_SCALE_KEY) === "1", // Integer scaling on?
+};
+
+/**
+ * resizeCanvas() — Match the canvas bitmap to its on-screen size and DPR,
+ * and recompute the world-to-device transform.
+ *
+ * Called whenever the canvas's CSS size or the device pixel ratio changes
+ * (window resize, browser zoom, fullscreen, dragging to another monitor).
+ * Assigning canvas.width clears the bitmap, so it only happens on a real
+ * change; the next frame redraws everything anyway.
+ */
+function resizeCanvas() {
+  const dpr = window.devicePixelRatio || 1,
+    w = Math.round(canvas.clientWidth * dpr),
+    h = Math.round(canvas.clientHeight * dpr);
+  if (!w || !h) return; // Hidden (another SPA section is showing) — keep the last size
+  if (canvas.width !== w) canvas.width = w;
+  if (canvas.height !== h) canvas.height = h;
+  let s = Math.min(w / WORLD_W, h / WORLD_H); // Largest uniform scale that fits
+  if (view.integer && s >= 1) s = Math.floor(s);
+  view.scale = s;
+  view.ox = Math.round((w - WORLD_W * s) / 2); // Centre horizontally...
+  view.oy = Math.round((h - WORLD_H * s) / 2); // ...and vertically
+}
+
+/**
+ * toWorldX() — Convert a pointer's clientX into a world x coordinate
+ * (inverse of the viewport transform, via the canvas's on-screen box).
+ */
+function toWorldX(clientX) {
+  const r = canvas.getBoundingClientRect();
+  return ((clientX - r.left) * (canvas.width / r.width) - view.ox) / view.scale;
+}
+
+/**
+ * beginFrame() — Clear the whole bitmap (painting the letterbox bars) and
+ * set the world transform. Every draw pass starts with this.
+ */
+function beginFrame() {
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = "#000"; // Letterbox bars
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.setTransform(view.scale, 0, 0, view.scale, view.ox, view.oy);
+  ctx.imageSmoothingEnabled = false; // Reset by every canvas resize
+  ctx.fillStyle = skyGradient(sky.palette); // The playfield itself
+  ctx.fillRect(0, 0, WORLD_W, WORLD_H);
+}
+
+// A ResizeObserver catches every layout change (window resize, the game
+// section being shown, fullscreen). A DPR change without a layout change —
+// zooming, or moving the window to a monitor with a different density — is
+// caught by a media query on the current resolution, re-armed each time.
+new ResizeObserver(resizeCanvas).observe(canvas);
+function watchPixelRatio() {
+  matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`).addEventListener(
+    "change",
+    () => {
+      resizeCanvas();
+      watchPixelRatio();
+    },
+    { once: true },
+  );
+}
+watchPixelRatio();
+
+/** toggleIntegerScale() — HUD button: switch between fit-to-container and integer scaling. */
+function toggleIntegerScale() {
+  view.integer = !view.integer;
+  localStorage.setItem(INT_SCALE_KEY, view.integer ? "1" : "0");
+  updateViewButtons();
+  resizeCanvas();
+  sfx.click();
+  DOM.scaleBtn.blur(); // Keep Space from re-pressing the button mid-game
+}
+
+/**
+ * toggleFullscreen() — HUD button: put the game container (canvas + HUD +
+ * overlays) into fullscreen, or leave it. The ResizeObserver picks up the
+ * new size once the browser has switched.
+ */
+function toggleFullscreen() {
+  if (document.fullscreenElement) document.exitFullscreen();
+  else
+    DOM.gameContainer
+      .requestFullscreen()
+      .catch(() => toast("⚠ Fullscreen not available"));
+  sfx.click();
+  DOM.fullscreenBtn.blur();
+}
+
+/** updateViewButtons() — Sync the HUD view buttons with the current state. */
+function updateViewButtons() {
+  DOM.scaleBtn.classList.toggle("active", view.integer);
+  DOM.fullscreenBtn.classList.toggle("active", !!document.fullscreenElement);
+  DOM.fullscreenBtn.textContent = document.fullscreenElement ? "✕" : "⛶";
+}
+
+document.addEventListener("fullscreenchange", updateViewButtons);
+DOM.fullscreenBtn.hidden = !document.fullscreenEnabled; // e.g. iPhone Safari
+updateViewButtons();
+resizeCanvas();
 
 // ─── Color Palette Constants ─────────────────────────────
 // All game colors in one place for easy theming and consistency.
 //
 // Naming convention:
-//   p* = Player colors      e* = Enemy colors
+//   p* = Player colors      p2* = Player 2 (co-op)      e* = Enemy colors
 //   *Dark = shadow/bottom edge   *Hi = highlight/top edge
 //   *Sh = shadow variant
 //
@@ -882,6 +1248,9 @@ const C = {
   pBody: "#7ec8a0", // Player body — mint green (hero color)
   pDark: "#5fa880", // Player shadow edge — darker green
   pHi: "#a2dbb8", // Player highlight edge — lighter green
+  p2Body: "#8ab8e8", // Player 2 body — sky blue (tells the co-op ships apart)
+  p2Dark: "#6a98c8", // Player 2 shadow edge
+  p2Hi: "#b0d0f0", // Player 2 highlight edge
   bullet: "#f5e6a3", // Bullet fill — warm yellow (laser energy)
   bulletSh: "#e0cc80", // Bullet shadow — slightly darker yellow
   enemy: "#e88d8d", // Normal enemy body — salmon red (danger)
@@ -889,404 +1258,1382 @@ const C = {
   eHi: "#f0b6c5", // Enemy highlight edge — pink (also used as "fast" enemy body color)
   particle: "#f7c5a8", // Explosion particle color — warm peach/orange
   star: "#d4cce0", // Background star color — cool lavender (subtle, non-distracting)
-  bgTop: "#0f1a0f", // Canvas gradient top (not used directly — see bgGradient above)
-  bgBot: "#081008", // Canvas gradient bottom (not used directly — see bgGradient above)
+  bgTop: "#0f1a0f", // Canvas gradient top (not used directly — see SKY_PALETTES)
+  bgBot: "#081008", // Canvas gradient bottom (not used directly — see SKY_PALETTES)
   meteor: "#ff6633", // Meteor shower color — bright orange-red (warning/hazard)
 };
 
 // ─── Game State Variables ────────────────────────────────
-// All mutable game state lives here. These are reset by resetGame() at the
-// start of each new game. Using `let` at module scope (not in a class) keeps
-// the code simple — the game is single-instance, so there's no need for
-// encapsulation or multiple game objects.
-
-// Core entity arrays — each element is a plain object with x, y, w, h, speed, etc.
-let player, // Single player object: {x, y, w, h, speed}
-  bullets, // Array of bullet objects: {x, y, w, h, speed, dead?}
-  enemies, // Array of enemy objects: {x, y, w, h, speed, health, type, dead?}
-  particles, // Array of explosion particle objects: {x, y, vx, vy, life, color, size}
-  stars = []; // Array of background star objects: {x, y, size, speed} — persists across games
-
-// Scoring and lives
-let score, // Current score (integer, displayed in HUD)
-  lives, // Remaining lives (0 = game over)
-  keys = {}; // Map of currently-pressed keyboard keys: {"ArrowLeft": true, " ": true, ...}
-
-// Game lifecycle flags
-let gameRunning, // true while the game loop is actively processing frames
-  gamePaused, // true while paused (game loop runs but update() early-returns)
-  gameStarted, // true after difficulty is selected (false on title/difficulty screen)
-  frame; // Frame counter (incremented each update() call) — used for timed events
-
-// Wave system — enemies get harder every KILLS_PER_WAVE kills
-let waveNumber, // Current wave number (starts at 1, displayed in HUD)
-  killsThisWave, // Kill count within the current wave (resets to 0 on wave advance)
-  shotsFired, // Total shots fired this game (for accuracy calculation)
-  shotsHit, // Total shots that hit an enemy (for accuracy calculation)
-  enemiesKilled, // Total enemies destroyed this game
-  startTime, // Date.now() timestamp when the game started (used for elapsed time)
-  elapsedTime; // Milliseconds elapsed since game start (pauses when game is paused)
-
-// Difficulty and balancing
-let difficulty, // Current difficulty string: "easy", "normal", or "hard"
-  enemySpawnRate, // Frames between enemy spawns (lower = more frequent, scales with wave)
-  enemySpeedMult, // Multiplier applied to base enemy speed (scales with wave)
-  konamiBonus, // Bonus points from easter eggs applied at game start
-  lastShot = 0, // Timestamp of last shot fired (for rate-limiting, see shoot())
-  idleRunning = true; // Whether the idle starfield animation is active (before game starts)
-
-// Number of kills needed to advance to the next wave
-const KILLS_PER_WAVE = 8;
-
-// Meteor shower state — a random mid-game event (see triggerMeteorShower)
-let meteorActive = false; // Whether a meteor shower is currently happening
-let meteorTimer = 0; // Timestamp when the current shower started
-let meteors = []; // Array of active meteor objects: {x, y, w, h, speed, health, dead?}
-let lastMeteorCheck = 0; // Frame number of last random check (throttles checks to ~1/sec)
-
-// ─── Star Field Initialisation ───────────────────────────
-// Pre-populate 60 stars with random positions, sizes, and scroll speeds.
-// Stars scroll downward (increasing y) to create the illusion of the player
-// flying upward through space. When a star scrolls off the bottom (y > 800),
-// it wraps to the top with a new random x position.
+// The simulation itself — player, bullets, enemies, meteors, particles,
+// score, lives and waves — lives in a LaserEngine instance (engine.js), which
+// never touches the page. This file is its presentation layer: it feeds the
+// engine input, draws its entity arrays and turns its events into HUD
+// updates and sounds (see "Engine Events" below). What remains here is state
+// only the page cares about: the key map and the pause/start flags (the
+// background sky has its own section, Parallax Background).
+
+const game = createEngine(); // The engine instance the page plays (and replays) on
+
+let keys = {}; // Map of currently-held keys by KeyboardEvent.code: {"ArrowLeft": true, "Space": true, ...}
+
+// Game lifecycle — game.running (engine side) says whether the run is still
+// in progress; `state` says what the page is showing around it (see Game States)
+let state = "boot", // Current STATES key
+  stateTime = 0, // Real ms spent in the current state
+  resumeTo = "playing", // State a pause returns to
+  transitionTicks = 0; // Ticks into the current wave transition
+
+// ─── Fixed Timestep ──────────────────────────────────────
+// Every speed in the game (player.speed, bullet speed, e.speed, particle
+// velocity) and every frame-count timer (enemySpawnRate, meteor spawns) was
+// tuned as "per 60Hz frame". Rather than rescale all of them by
+// a delta time, the simulation keeps those units and instead runs in fixed
+// ticks of exactly 1/60 s (TICK_MS, from engine.js). gameLoop() converts real
+// time into whole ticks, so a 144Hz monitor simply runs update() on fewer than
+// one in two frames while a 30Hz laptop runs it twice per frame — the game
+// speed is identical.
 //
-// Size range: 1–4px (small dots, like distant stars).
-// Speed range: 0.5–2.5 px/frame (varying speeds create a parallax depth effect —
-// faster stars appear "closer", slower stars appear further away).
+// MAX_FRAME_MS clamps a single frame's contribution to the accumulator. When a
+// tab is throttled or hidden, rAF stops and the next frame can report several
+// seconds of delta; without the clamp the loop would try to catch up hundreds
+// of ticks at once (the "spiral of death"). The game just runs slower instead.
+const MAX_FRAME_MS = 250; // Upper bound on real time consumed per rendered frame
+
+let accumulator = 0, // Real milliseconds not yet consumed by update() ticks
+  lastFrameTime = null, // rAF timestamp of the previous frame (null = loop just (re)started)
+  renderAlpha = 1; // 0–1 progress between the previous and current tick, used by draw()
+
+// ─── Seeded Random Numbers ───────────────────────────────
+// Every gameplay roll (enemy position/speed/type, meteor placement, the meteor
+// shower chance) goes through the engine's seeded PRNG, game.rand(), instead
+// of Math.random(). The seed is picked in startGame() and saved with the
+// leaderboard entry, so the same seed plus the same per-tick inputs
+// reproduces a run exactly.
 //
-// The stars array is initialized once here and persists across game resets
-// (resetGame does NOT clear it), so the starfield is always present.
-for (let i = 0; i < 60; i++)
-  stars.push({
-    x: Math.random() * 600, // Random x within canvas width (600px)
-    y: Math.random() * 800, // Random y within canvas height (800px)
-    size: Math.random() * 3 + 1, // 1–4px square
-    speed: Math.random() * 2 + 0.5, // 0.5–2.5 px/frame scroll speed
-  });
+// Cosmetic randomness draws from separate streams seeded from the same run
+// seed: game.fxRand() for explosion particles, and starRand() here for the
+// background sky, which only the page draws. Keeping the streams apart means a
+// purely visual change — more particles per explosion, a different star
+// count — can never shift the gameplay rolls that follow it.
+// UI flourishes outside the game (boot beeps, UFO position) stay on Math.random().
+let starRand = mulberry32(0); // Starfield stream — replaced in startGame()
+
+// ─── Replay State ────────────────────────────────────────
+// Per-tick input is a bitmask of the engine's IN_LEFT / IN_RIGHT / IN_FIRE /
+// IN_CLICK bits — see readInput().
+
+// Bumped whenever a change to the engine would make older recordings play out
+// differently; watchReplay() warns when playing a recording from another version.
+const REPLAY_VERSION = 7; // 2: enemy types and projectiles, 3: boss waves, 4: power-ups, 5: laser heat, 6: combos, 7: wave scripts
+
+let recording = null, // Recording of the live run in progress (see readInput)
+  clickQueued = false, // Canvas click waiting to be consumed by the next tick
+  pendingBonus = 0, // Easter-egg points waiting to be applied by the next tick
+  replayMode = false, // true while the engine is driven by a recording
+  replay = null, // The recording being watched
+  replayInputs = null, // Recording expanded to one input bitmask per tick
+  replayBonusIdx = 0, // Next entry of replay.bonuses to apply
+  playbackSpeed = 1, // Ticks simulated per TICK_MS of real time (1, 2 or 4; 0.5 in slow practice)
+  fastForwarding = false; // true while seekReplay() simulates skipped ticks silently
+
+// ─── Parallax Background ─────────────────────────────────
+// The sky behind the playfield is drawn in depth layers, back to front:
+//   1. the palette's gradient (beginFrame), cross-faded when the palette changes
+//   2. far stars — many, tiny, dim and slow
+//   3. nebulae — soft clouds pre-rendered into offscreen canvases
+//   4. now and then a passing planet
+//   5. mid and near stars — fewer, bigger, brighter and faster
+// Each layer scrolls at its own speed, so nearer layers slide past farther
+// ones and the flat canvas reads as depth (parallax). Every speed is then
+// multiplied by sky.speed, which eases toward the speed the current game
+// state asks for (`sky` in STATES): normal flight, hyperspace during a wave
+// transition — stars stretch into streaks — a glide to a standstill while
+// paused, and a slow drift on the title and game-over screens.
+//
+// The sky moves once per rendered frame by the real time elapsed (see
+// updateSky), not once per tick: it has to keep easing while the game is
+// paused, when no ticks run. It is scenery only — nothing in it reaches the
+// engine — and startGame() lays it out from starRand, so a replayed seed
+// starts under the same sky.
+//
+// Every wave picks a palette (skyPaletteFor). The gradient fades over to it
+// and the stars take its tint at once; nebulae and planets keep the colours
+// they were painted in, so the old ones drift off and the new palette's
+// arrive behind them.
+const SKY_PALETTES = {
+  verdant: {
+    top: C.bgTop,
+    bottom: C.bgBot,
+    star: C.star,
+    nebula: ["#3f8870", "#6ab8b3"], // Cloud colours, picked per blob
+    planet: ["#98d8c8", "#2d4a3e"], // Lit side → shadow side
+  },
+  dusk: {
+    top: "#1a0f1f",
+    bottom: "#0a0810",
+    star: "#f0b6c5",
+    nebula: ["#9078b8", "#e88d8d"],
+    planet: ["#f7c5a8", "#4a2d3a"],
+  },
+  deep: {
+    top: "#0a1220",
+    bottom: "#05080f",
+    star: "#c8f0ec",
+    nebula: ["#4a6898", "#89d4cf"],
+    planet: ["#d4cce0", "#2d2438"],
+  },
+  ember: {
+    top: "#200d0a",
+    bottom: "#0d0606",
+    star: "#f5e6a3",
+    nebula: ["#ff6633", "#cc6666"],
+    planet: ["#ff9966", "#4a1a10"],
+  },
+};
+const SKY_CYCLE = ["verdant", "dusk", "deep"]; // Ordinary waves take these in turn; boss waves fly through "ember"
 
-// ─── Input Handling ──────────────────────────────────────
-// Keyboard input uses a "key map" pattern: keydown sets keys[key] = true,
-// keyup sets it to false. The game loop reads this map each frame to determine
-// continuous movement (e.g., holding ArrowLeft). This decouples input detection
-// from the game loop timing — keys are polled, not event-driven.
+const SKY_LAYERS = [
+  { count: 50, size: [1, 2], speed: 0.4, alpha: 0.45 }, // Far
+  { count: 24, size: [2, 3], speed: 1.2, alpha: 0.75 }, // Mid
+  { count: 10, size: [3, 4], speed: 2.4, alpha: 1 }, // Near
+];
+const SKY_FAR = 1, // Star layers drawn behind the nebulae and planets (the rest go in front)
+  NEBULA_COUNT = 2, // Clouds on screen at once
+  NEBULA_SIZE = [240, 360], // Cloud canvas edge, px
+  NEBULA_SPEED = 0.25, // px/tick at sky.speed 1 — the slowest layer
+  PLANET_RADIUS = [24, 64],
+  PLANET_SPEED = 0.6,
+  PLANET_GAP = [1200, 2400], // Scroll ticks between planets (20–40 s of normal flight)
+  IDLE_SPEED = 0.3, // sky.speed on the idle and game-over screens
+  WARP_SPEED = 8, // sky.speed during hyperspace
+  SKY_EASE = 20, // Ticks for sky.speed to cover ~63% of the way to its target
+  SKY_FADE = 120; // Ticks for a palette cross-fade
+
+const sky = {
+  stars: SKY_LAYERS.map(() => []), // Per layer: {x, y, size}
+  nebulae: [], // {x, y, vx, image} — image is the cloud's offscreen canvas
+  planet: null, // {x, y, image} while one is passing
+  nextPlanet: 0, // Scroll ticks until the next planet appears
+  speed: IDLE_SPEED, // Current scroll multiplier (eases toward the state's)
+  palette: SKY_PALETTES.verdant, // Palette in use
+  from: null, // Palette being faded out (null = no fade running)
+  fade: 1, // Cross-fade progress, 0 → 1
+};
 
-document.addEventListener("keydown", (e) => {
-  keys[e.key] = true; // Record that this key is currently held down
+const between = (random, [lo, hi]) => lo + random() * (hi - lo);
 
-  // Prevent spacebar from scrolling the page when the game section is visible.
-  // Without this, pressing Space to shoot would also scroll the page down,
-  // since Space is the browser's default "scroll down" shortcut.
-  // We only prevent it on the game section to avoid breaking normal page scrolling.
-  if (
-    e.key === " " &&
-    document.getElementById("sec-game")?.classList.contains("active")
-  ) {
-    e.preventDefault();
+/**
+ * initSky() — Lay out a fresh sky: every layer's stars scattered over the
+ * playfield, the nebulae spread over and above it, and no planet yet (the
+ * first one comes within the shortest planet gap).
+ * @param {function(): number} random - Random source (starRand)
+ */
+function initSky(random) {
+  SKY_LAYERS.forEach((layer, i) => {
+    const stars = (sky.stars[i] = []);
+    for (let n = 0; n < layer.count; n++)
+      stars.push({
+        x: random() * WORLD_W,
+        y: random() * WORLD_H,
+        size: Math.round(between(random, layer.size)),
+      });
+  });
+  sky.nebulae.length = 0;
+  for (let i = 0; i < NEBULA_COUNT; i++) {
+    const n = { x: 0, y: 0, vx: 0, image: null };
+    paintNebula(n, random);
+    // Stagger them so they don't scroll in and out together
+    n.y = (i / NEBULA_COUNT) * WORLD_H - n.image.height * random();
+    sky.nebulae.push(n);
   }
+  sky.planet = null;
+  sky.nextPlanet = random() * PLANET_GAP[0];
+}
 
-  // ── Konami code detection ──
-  // Sequential matching: each keypress is compared against KONAMI[konamiIdx].
-  // If it matches, advance the index. If the full 10-key sequence is completed,
-  // trigger the easter egg and reset. Any wrong key resets to 0 — the player
-  // must enter the entire sequence without mistakes.
-  if (e.key === KONAMI[konamiIdx]) {
-    konamiIdx++;
-    if (konamiIdx === KONAMI.length) {
-      triggerKonami(); // Full sequence entered — award bonus!
-      konamiIdx = 0; // Reset for potential re-trigger
-    }
-  } else konamiIdx = 0; // Wrong key — restart the sequence
-
-  // ── Pause toggle ──
-  // Escape or P pauses/unpauses, but only during an active game.
-  // The gameStarted && gameRunning check prevents pausing on the title screen
-  // or after game over (which would be confusing).
-  if (
-    (e.key === "Escape" || e.key === "p" || e.key === "P") &&
-    gameStarted &&
-    gameRunning
-  )
-    togglePause();
-});
-
-// On keyup, mark the key as released so the game loop stops moving the player
-document.addEventListener("keyup", (e) => (keys[e.key] = false));
+/**
+ * paintNebula() — (Re)paint a nebula in the current palette: a cluster of
+ * overlapping translucent radial blobs, then place it just above the
+ * playfield at a random x. The canvas is reused when the cloud wraps.
+ * @param {Object} n - sky.nebulae entry
+ * @param {function(): number} random
+ */
+function paintNebula(n, random) {
+  const size = Math.round(between(random, NEBULA_SIZE)),
+    image = n.image || document.createElement("canvas");
+  image.width = image.height = size; // Resizing also clears it
+  const c = image.getContext("2d"),
+    colors = sky.palette.nebula;
+  for (let i = 0; i < 7; i++) {
+    const r = between(random, [size * 0.15, size * 0.35]),
+      x = between(random, [r, size - r]),
+      y = between(random, [r, size - r]),
+      color = colors[Math.floor(random() * colors.length)],
+      g = c.createRadialGradient(x, y, 0, x, y, r);
+    g.addColorStop(0, color);
+    g.addColorStop(1, color + "00"); // Same colour, fully transparent
+    c.globalAlpha = between(random, [0.08, 0.2]);
+    c.fillStyle = g;
+    c.fillRect(x - r, y - r, r * 2, r * 2);
+  }
+  n.image = image;
+  n.x = random() * WORLD_W - size / 2;
+  n.y = -size;
+  n.vx = between(random, [-0.1, 0.1]); // Slight sideways drift
+}
 
-// Canvas click to shoot — allows mouse-based shooting in addition to spacebar.
-// Only fires if the game has started (prevents shooting on the difficulty screen).
-canvas.addEventListener("click", () => {
-  if (gameStarted) shoot();
-});
+/**
+ * makePlanet() — Paint a planet in the current palette: a disc shaded from
+ * its lit side to its shadow side, faint cloud bands, and sometimes a tilted
+ * ring whose back half passes behind the disc.
+ * @param {function(): number} random
+ * @returns {Object} {x, y, image}, placed just above the playfield
+ */
+function makePlanet(random) {
+  const r = Math.round(between(random, PLANET_RADIUS)),
+    ringed = random() < 0.4,
+    w = Math.ceil(ringed ? r * 3.2 : r * 2) + 2,
+    h = r * 2 + 2,
+    cx = w / 2,
+    cy = h / 2,
+    [lit, dark] = sky.palette.planet,
+    image = document.createElement("canvas");
+  image.width = w;
+  image.height = h;
+  const c = image.getContext("2d"),
+    tilt = between(random, [-0.4, 0.4]),
+    ring = (start) => {
+      c.beginPath();
+      c.ellipse(cx, cy, r * 1.55, r * 0.35, tilt, start, start + Math.PI);
+      c.stroke();
+    };
+  c.strokeStyle = lit;
+  c.lineWidth = Math.max(2, r / 10);
+  c.globalAlpha = 0.6;
+  if (ringed) ring(Math.PI); // Back half, hidden behind the disc where they cross
+  c.globalAlpha = 1;
+  const shade = c.createRadialGradient(
+    cx - r * 0.4,
+    cy - r * 0.4,
+    r * 0.1,
+    cx,
+    cy,
+    r,
+  );
+  shade.addColorStop(0, lit);
+  shade.addColorStop(1, dark);
+  c.fillStyle = shade;
+  c.beginPath();
+  c.arc(cx, cy, r, 0, Math.PI * 2);
+  c.fill();
+  c.save();
+  c.clip(); // Bands stay inside the disc
+  c.fillStyle = dark;
+  for (let i = 0; i < 3; i++) {
+    c.globalAlpha = between(random, [0.1, 0.25]);
+    c.fillRect(
+      cx - r,
+      cy - r + random() * r * 2,
+      r * 2,
+      between(random, [2, r / 4]),
+    );
+  }
+  c.restore();
+  c.globalAlpha = 0.6;
+  if (ringed) ring(0); // Front half, over the disc
+  return { x: random() * (WORLD_W - w), y: -h, image };
+}
 
 /**
- * triggerKonami() — Konami code easter egg reward.
- *
- * Called when the player successfully enters the full ↑↑↓↓←→←→BA sequence.
- * Awards +1000 bonus points and shows a full-screen celebratory overlay.
- *
- * Uses the same dual-path point system as runHackSequence():
- *   - During active game: points added directly to live score
- *   - Outside of game: points banked in localStorage for next game start
- *
- * Also persists "konamiFound" in localStorage — this is read by
- * renderAchievements() to unlock the "SECRET AGENT" achievement badge.
- *
- * The overlay auto-dismisses after 8 seconds or when the user clicks "AWESOME!".
+ * skyPaletteFor() — The palette a wave flies through.
+ * @param {number} wave
+ * @param {boolean} boss - Whether it is a boss wave
+ * @returns {Object} SKY_PALETTES entry
  */
-function triggerKonami() {
-  sfx.easter(); // Play the celebratory ascending scale sound effect
+function skyPaletteFor(wave, boss) {
+  if (boss) return SKY_PALETTES.ember;
+  return SKY_PALETTES[SKY_CYCLE[(wave - 1) % SKY_CYCLE.length]];
+}
 
-  // Persist discovery permanently (survives page reloads) for achievement tracking
-  localStorage.setItem("konamiFound", "1");
+/**
+ * setSkyPalette() — Switch palettes, cross-fading the gradient from the
+ * current one unless `instant` (startGame, replay seeks).
+ * @param {Object} palette - SKY_PALETTES entry
+ * @param {boolean} [instant]
+ */
+function setSkyPalette(palette, instant) {
+  if (palette === sky.palette) return;
+  sky.from = instant ? null : sky.palette;
+  sky.fade = instant ? 1 : 0;
+  sky.palette = palette;
+}
 
-  // Dual-path point system: in-game vs banked (same pattern as hack easter egg)
-  if (gameStarted && gameRunning) {
-    score += 1000;
-    DOM.score.textContent = score;
-    flash("score"); // Visual pulse on score HUD
-  } else {
-    // Bank 1000 points for the next game start
-    // Note: unlike runHackSequence, this overwrites rather than adds — by design,
-    // the Konami code awards a flat 1000 regardless of prior banked amount
-    localStorage.setItem("laserDefenderBonus", "1000");
+/**
+ * updateSky() — Advance the sky by `ticks` of real time (fractional: ~0.42 at
+ * 144Hz). Eases the speed, runs the cross-fade, and scrolls every layer;
+ * stars that leave the bottom wrap to the top at a new x, nebulae are
+ * repainted above the playfield, and a planet that has gone starts the
+ * countdown to the next one. The countdown runs on scrolled distance, so
+ * none appears while the sky is stopped.
+ * @param {number} ticks
+ */
+function updateSky(ticks) {
+  const target = STATES[state].sky;
+  sky.speed += (target - sky.speed) * (1 - Math.exp(-ticks / SKY_EASE));
+  if (sky.from && (sky.fade += ticks / SKY_FADE) >= 1) {
+    sky.from = null;
+    sky.fade = 1;
   }
 
-  // Dynamic label text based on whether points were applied now or banked
-  const label =
-    gameStarted && gameRunning ? "+1000 POINTS ADDED!" : "+1000 BONUS POINTS!";
-
-  // Create a full-screen overlay with the reveal announcement
-  const ov = document.createElement("div");
-  ov.className = "easter-egg-overlay"; // CSS: centered flexbox with semi-transparent backdrop
-  ov.innerHTML = `<div class="easter-egg-content"><h2>🎮 SECRET UNLOCKED!</h2><p>You found the Konami Code!</p><p style="font-size:3rem;margin:1rem 0">⬆⬆⬇⬇⬅➡⬅➡🅱🅰</p><p style="color:var(--gold);font-family:'Press Start 2P',cursive;font-size:.7rem">${label}</p><button class="action-btn" style="margin-top:1.5rem" onclick="this.closest('.easter-egg-overlay').remove()">AWESOME!</button></div>`;
-  document.body.appendChild(ov);
-
-  // Auto-dismiss after 8 seconds in case the user doesn't click the button.
-  // The parentElement check guards against double-removal if the button was already clicked.
-  setTimeout(() => ov.parentElement && ov.remove(), 8000);
+  const v = sky.speed * ticks; // Scroll distance at speed 1
+  SKY_LAYERS.forEach((layer, i) => {
+    const stars = sky.stars[i];
+    for (let n = 0; n < stars.length; n++) {
+      const s = stars[n];
+      s.y += layer.speed * v;
+      if (s.y > WORLD_H) {
+        s.y -= WORLD_H; // Keep the overshoot so warp-speed stars stay spread out
+        s.x = starRand() * WORLD_W;
+      }
+    }
+  });
+  for (const n of sky.nebulae) {
+    n.x += n.vx * v;
+    n.y += NEBULA_SPEED * v;
+    if (n.y > WORLD_H) paintNebula(n, starRand);
+  }
+  if (sky.planet) {
+    sky.planet.y += PLANET_SPEED * v;
+    if (sky.planet.y > WORLD_H) sky.planet = null;
+  } else if ((sky.nextPlanet -= v) <= 0) {
+    sky.planet = makePlanet(starRand);
+    sky.nextPlanet = between(starRand, PLANET_GAP);
+  }
 }
 
-// ─── Game Lifecycle ──────────────────────────────────────
+/**
+ * drawStars() — Draw star layers [from, to). Above 1.5x normal speed each
+ * star is stretched upward into a streak, longer for nearer layers.
+ */
+function drawStars(from, to) {
+  const stretch = Math.max(0, sky.speed - 1.5) * 4;
+  ctx.fillStyle = sky.palette.star;
+  for (let i = from; i < to; i++) {
+    const layer = SKY_LAYERS[i],
+      stars = sky.stars[i],
+      trail = layer.speed * stretch;
+    ctx.globalAlpha = layer.alpha;
+    for (let n = 0; n < stars.length; n++) {
+      const s = stars[n];
+      ctx.fillRect(s.x, s.y - trail, s.size, s.size + trail);
+    }
+  }
+  ctx.globalAlpha = 1;
+}
 
 /**
- * startGame() — Begin a new game with the selected difficulty.
- *
- * Called when the player clicks EASY, NORMAL, or HARD on the difficulty screen.
- * Configures all difficulty-dependent parameters and kicks off the game loop.
- *
- * Difficulty settings (destructured from a lookup object):
- *   - lives:          5 / 3 / 1  — more forgiving on easy, one-hit on hard
- *   - enemySpawnRate: 80 / 60 / 40 frames between spawns — fewer enemies on easy
- *   - enemySpeedMult: 0.7 / 1.0 / 1.5 — enemies move slower on easy, faster on hard
- *   - player.speed:   7 / 6 / 5 px/frame — player is slightly faster on easy to compensate
- *
- * The destructuring assignment `[lives, enemySpawnRate, enemySpeedMult, player.speed] = ...`
- * uses a computed property lookup on the difficulty object to get the right tuple.
- *
- * @param {string} diff - Difficulty level: "easy", "normal", or "hard"
+ * drawSky() — Draw everything in the sky over beginFrame()'s gradient,
+ * starting with the outgoing palette's gradient while a cross-fade runs.
  */
-function startGame(diff) {
-  difficulty = diff;
-  sfx.start(); // Play the ascending start fanfare
+function drawSky() {
+  if (sky.from) {
+    ctx.globalAlpha = 1 - sky.fade;
+    ctx.fillStyle = skyGradient(sky.from);
+    ctx.fillRect(0, 0, WORLD_W, WORLD_H);
+    ctx.globalAlpha = 1;
+  }
+  drawStars(0, SKY_FAR);
+  for (const n of sky.nebulae)
+    ctx.drawImage(n.image, Math.round(n.x), Math.round(n.y));
+  if (sky.planet)
+    ctx.drawImage(
+      sky.planet.image,
+      Math.round(sky.planet.x),
+      Math.round(sky.planet.y),
+    );
+  drawStars(SKY_FAR, SKY_LAYERS.length);
+}
 
-  // Destructure difficulty settings from a lookup table.
-  // Format: { difficulty: [lives, spawnRate, speedMult, playerSpeed] }
-  [lives, enemySpawnRate, enemySpeedMult, player.speed] = {
-    easy: [5, 80, 0.7, 7], // Forgiving: 5 lives, slow enemies, fast player
-    normal: [3, 60, 1, 6], // Balanced: 3 lives, normal speed
-    hard: [1, 40, 1.5, 5], // Punishing: 1 life, fast enemies, slow player
-  }[diff];
+initSky(Math.random); // Ambient sky for the idle screen before any seed exists
 
-  // Update HUD with initial values
-  DOM.lives.textContent = lives;
-  DOM.modeDisplay.textContent = diff.toUpperCase();
-  DOM.difficultyScreen.style.display = "none"; // Hide the difficulty picker overlay
-
-  // Set lifecycle flags — this starts the game proper
-  gameStarted = true;
-  gameRunning = true;
-  startTime = Date.now(); // Record start time for elapsed time tracking
-  waveNumber = 1;
-  killsThisWave = 0;
-  DOM.waveDisplay.textContent = "1";
+// ─── Key Bindings ────────────────────────────────────────
+// Gameplay never asks about keys directly — it asks about actions (move-left,
+// move-right, fire, pause), and `bindings` says which physical keys trigger
+// each one. Keys are identified by KeyboardEvent.code ("KeyA", "Space"), the
+// key's position on the keyboard, rather than by e.key, the character it
+// types: the defaults therefore sit under the same fingers on QWERTY, AZERTY
+// and Dvorak, and Caps Lock or Shift no longer change what a key does.
+//
+// Each action has two slots, shown as keycaps in the home page's QUICK
+// CONTROLS panels. Clicking a keycap arms it; the next key pressed is bound
+// there (Backspace clears the slot, clicking again cancels). A key already
+// bound elsewhere is moved rather than duplicated — the two slots trade
+// places, and a toast says so. Bindings persist in localStorage.
+
+const BINDINGS_KEY = "laserDefenderBindings"; // localStorage key for the key map
+
+// Action id → display label, in the order the panels show them
+const ACTIONS = {
+  left: "Move Left",
+  right: "Move Right",
+  fire: "Fire Laser",
+  pause: "Pause",
+};
 
-  // Apply any banked bonus points from easter eggs (Konami code, hack sequence).
-  // These were stored in localStorage by triggerKonami() or runHackSequence()
-  // when discovered outside of an active game. We apply them here, then clear
-  // the stored value so they're not double-counted.
-  konamiBonus = +(localStorage.getItem("laserDefenderBonus") || 0);
-  if (konamiBonus > 0) {
-    score = konamiBonus; // Start with bonus points
-    DOM.score.textContent = score; // Show on HUD immediately
-    localStorage.removeItem("laserDefenderBonus"); // Clear so it's not applied again
-    konamiBonus = 0;
+// Default key map — two slots per action (null = empty slot)
+const DEFAULT_BINDINGS = {
+  left: ["ArrowLeft", "KeyA"],
+  right: ["ArrowRight", "KeyD"],
+  fire: ["Space", null],
+  pause: ["Escape", "KeyP"],
+};
+
+let bindings = loadBindings(), // Current key map: action → [code|null, code|null]
+  rebinding = null, // Slot waiting for a key: {action, slot}, or null
+  layoutMap = null; // Keyboard layout (code → printed character), when the browser shares it
+
+/**
+ * loadBindings() — Read the saved key map, falling back to the defaults for
+ * anything missing or malformed (e.g. after an action is added).
+ * @returns {Object} action → [code|null, code|null]
+ */
+function loadBindings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(BINDINGS_KEY)) || {};
+  } catch {}
+  const out = {};
+  for (const a in ACTIONS) {
+    const s = saved[a];
+    out[a] =
+      Array.isArray(s) && s.length === 2 && s.some(Boolean)
+        ? s.map((c) => (typeof c === "string" ? c : null))
+        : [...DEFAULT_BINDINGS[a]];
   }
+  return out;
+}
 
-  // Reset meteor shower state for the new game
-  meteorActive = false;
-  meteorTimer = 0;
-  meteors = [];
-  lastMeteorCheck = 0;
+/** saveBindings() — Persist the key map and refresh the keycaps that show it. */
+function saveBindings() {
+  try {
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+  } catch {} // Storage full/blocked — bindings still apply for this session
+  renderBindings();
+}
 
-  gameLoop(); // Start the requestAnimationFrame loop (update + draw)
-  idleRunning = false; // Stop the idle starfield animation (game loop handles stars now)
+/** resetBindings() — Restore the default key map (RESET button). */
+function resetBindings() {
+  rebinding = null;
+  try {
+    localStorage.removeItem(BINDINGS_KEY);
+  } catch {}
+  bindings = loadBindings(); // Nothing saved → defaults
+  renderBindings();
+  toast("⌨️ Controls reset to defaults");
 }
 
 /**
- * togglePause() — Pause/unpause the game, preserving elapsed time correctly.
- *
- * Time preservation trick:
- *   - On pause:  save elapsedTime = now - startTime (snapshot the elapsed time)
- *   - On unpause: reset startTime = now - elapsedTime (backdate the start so
- *     Date.now() - startTime still gives the correct elapsed time)
- *   This avoids the timer "jumping forward" by the duration of the pause.
- *
- * The game loop (update/draw) continues running while paused, but update()
- * early-returns when gamePaused is true, so no game state changes occur.
- * draw() still renders (with a dim overlay) to keep the canvas visible.
+ * actionFor() — The action a key code is bound to.
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string|undefined} Action id
  */
-function togglePause() {
-  gamePaused = !gamePaused;
-  DOM.pauseOverlay.style.display = gamePaused ? "flex" : "none"; // Show/hide "PAUSED" overlay
-  gamePaused
-    ? ((elapsedTime = Date.now() - startTime), beep(400, 0.1)) // Pause: snapshot time, low beep
-    : ((startTime = Date.now() - elapsedTime), beep(600, 0.05)); // Unpause: adjust start, high beep
+function actionFor(code) {
+  for (const a in bindings) if (bindings[a].includes(code)) return a;
 }
 
 /**
- * shoot() — Fire a bullet from the player's current position.
- *
- * Rate-limiting: minimum 150ms between shots (Date.now() comparison).
- * This prevents "bullet spam" from holding spacebar — at 60fps that would be
- * one bullet per frame (16ms), creating a solid beam. 150ms = ~6.7 shots/second,
- * which feels responsive but manageable.
- *
- * The bullet spawns at player.x + 24 (center of the 48px-wide ship) and
- * player.y (top edge of the ship), traveling upward at 14px/frame.
+ * actionHeld() — Whether an action is held this tick, by any of its keys or
+ * by a gamepad (which writes "Pad:<action>" into the same key map).
+ * @param {string} action
+ * @returns {boolean}
  */
-function shoot() {
-  if (!gameRunning || gamePaused) return; // Can't shoot when paused or game over
-  const now = Date.now();
-  if (now - lastShot < 150) return; // Rate limit: 150ms cooldown between shots
-  lastShot = now; // Record this shot's timestamp for the next cooldown check
-  // Spawn bullet at the center-top of the player sprite, moving upward (negative y)
-  bullets.push({ x: player.x + 24, y: player.y, w: 8, h: 16, speed: 14 });
-  shotsFired++; // Track for accuracy calculation at game over
-  sfx.shoot(); // Pew pew!
+function actionHeld(action) {
+  return !!keys["Pad:" + action] || bindings[action].some((c) => c && keys[c]);
 }
 
 /**
- * spawnEnemy() — Create a new enemy at a random x position above the canvas.
- *
- * Enemy type probability: 30% "fast" / 70% "normal" (Math.random() > 0.7).
- * Fast enemies are drawn in pink (C.eHi) instead of red (C.enemy) and tend
- * to have higher speed rolls, but both types have the same base speed formula.
- *
- * Enemies spawn at y = -50 (above the visible canvas) so they "fly in" from
- * the top rather than popping into existence. x is random within 0–552 so the
- * 48px-wide sprite stays fully within the 600px canvas (552 + 48 = 600).
- *
- * Health is 2 for all enemies — they require 2 bullet hits to destroy.
- * Speed is (2 + random*3) * enemySpeedMult, giving a range of 2–5 base
- * speed before the difficulty multiplier is applied.
+ * keyLabel() — Short keycap text for a key code: the character the player's
+ * layout prints on it when known ("KeyQ" → "A" on AZERTY), otherwise a
+ * cleaned-up code ("KeyA" → "A", "ArrowLeft" → "←").
+ * @param {string|null} code
+ * @returns {string}
  */
-function spawnEnemy() {
-  enemies.push({
-    x: Math.random() * 552, // Random x, kept within canvas bounds
-    y: -50, // Start above canvas (invisible, scrolls in)
-    w: 48, // Sprite width (matches player width)
-    h: 48, // Sprite height
-    speed: (2 + Math.random() * 3) * enemySpeedMult, // 2–5 base speed * difficulty multiplier
-    health: 2, // Takes 2 hits to destroy
-    type: Math.random() > 0.7 ? "fast" : "normal", // 30% chance of fast (pink) variant
-  });
+function keyLabel(code) {
+  if (!code) return "—";
+  const named = {
+    ArrowLeft: "←",
+    ArrowRight: "→",
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    Space: "SPACE",
+    Escape: "ESC",
+  };
+  if (named[code]) return named[code];
+  const printed = layoutMap?.get(code);
+  if (printed && printed.trim()) return printed.toUpperCase();
+  return code.replace(/^(Key|Digit)/, "").toUpperCase();
 }
 
 /**
- * boom() — Spawn an explosion particle burst at a given position.
- *
- * Creates 12 particles radiating outward from (x, y) in random directions.
- * Each particle has:
- *   - vx, vy: random velocity in range [-4, +4] px/frame (creates a circular burst)
- *   - life: 25 frames of visibility (~0.4 seconds at 60fps)
- *   - size: 2–6px square (random for visual variety)
- *
- * The particles are updated each frame in update() which applies:
- *   - Position: x += vx, y += vy (linear motion)
- *   - Gravity: vy += 0.2 (particles arc downward over time)
- *   - Fade: life-- (used as alpha multiplier: life/25 → 1.0 to 0.0)
- *
- * @param {number} x     - Center x of the explosion
- * @param {number} y     - Center y of the explosion
- * @param {string} color - CSS color string for the particles
+ * renderBindings() — Rebuild the keycap buttons in every [data-action]
+ * container, plus the pause overlay hint, from the current key map.
  */
-function boom(x, y, color) {
-  for (let i = 0; i < 12; i++)
-    particles.push({
-      x,
-      y,
-      vx: (Math.random() - 0.5) * 8, // Random x velocity: -4 to +4 px/frame
-      vy: (Math.random() - 0.5) * 8, // Random y velocity: -4 to +4 px/frame
-      life: 25, // 25 frames until particle expires
-      color,
-      size: Math.random() * 4 + 2, // 2–6px particle size
-    });
+function renderBindings() {
+  document.querySelectorAll(".key-binds[data-action]").forEach((el) => {
+    const a = el.dataset.action;
+    el.innerHTML = bindings[a]
+      .map((code, i) => {
+        const armed = rebinding?.action === a && rebinding.slot === i;
+        return `<button class="key key-bind${a === "fire" && i === 0 ? " key-large" : ""}${armed ? " armed" : ""}" onclick="startRebind('${a}', ${i})" title="Click, then press a key (Backspace clears)">${armed ? "PRESS KEY" : keyLabel(code)}</button>`;
+      })
+      .join('<span class="key-sub">or</span>');
+  });
+  const hint = document.getElementById("pauseHint");
+  if (hint)
+    hint.textContent = `Press ${bindings.pause.filter(Boolean).map(keyLabel).join(" or ")} (or tap) to resume`;
 }
 
 /**
- * collides() — Axis-Aligned Bounding Box (AABB) collision test.
- *
- * Tests whether two rectangles overlap by checking that none of the four
- * "separation conditions" are true:
- *   - a is entirely left of b:   a.x + a.w <= b.x
- *   - a is entirely right of b:  a.x >= b.x + b.w
- *   - a is entirely above b:     a.y + a.h <= b.y
- *   - a is entirely below b:     a.y >= b.y + b.h
- *
- * If NONE of these are true (De Morgan's: all four overlap conditions are true),
- * the rectangles must be overlapping. This is the standard O(1) AABB test used
- * in most 2D games. Both objects must have {x, y, w, h} properties.
- *
- * @param {Object} a - First rectangle {x, y, w, h}
- * @param {Object} b - Second rectangle {x, y, w, h}
- * @returns {boolean} true if the rectangles overlap
+ * startRebind() — Arm a keycap so the next keypress is bound to it.
+ * Clicking the armed keycap again cancels.
+ * @param {string} action
+ * @param {number} slot - 0 or 1
  */
-function collides(a, b) {
-  return (
-    a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y
-  );
+function startRebind(action, slot) {
+  sfx.click();
+  const same = rebinding?.action === action && rebinding.slot === slot;
+  rebinding = same ? null : { action, slot };
+  renderBindings();
 }
 
 /**
- * flash() — Briefly scale up a HUD element for visual feedback.
- *
- * Adds the "flash" CSS class (which applies a scale transform and color change),
- * then removes it after 200ms. This creates a quick "pulse" effect that draws
- * the player's eye to the changed value (e.g., score increasing, lives decreasing).
- *
- * Accepts either a DOM cache key (e.g., "score" → DOM.score) or a raw element ID
- * as a fallback, making it flexible for both cached and uncached elements.
- *
- * @param {string} id - Key in the DOM cache object, or a DOM element ID
+ * finishRebind() — Bind a key to the armed slot, resolving conflicts.
+ * Called by the keydown listener while a slot is armed.
+ * @param {string} code - KeyboardEvent.code of the key pressed
  */
-function flash(id) {
-  const el = DOM[id] || document.getElementById(id); // Try cache first, fall back to ID lookup
-  el.classList.add("flash"); // Trigger the CSS scale/color animation
-  setTimeout(() => el.classList.remove("flash"), 200); // Remove after 200ms (matches CSS transition)
+function finishRebind(code) {
+  const { action, slot } = rebinding,
+    list = bindings[action],
+    old = list[slot];
+  rebinding = null;
+  if (code === "Backspace") {
+    // Every action needs at least one key, or it could never be used again
+    if (!list[1 - slot]) toast(`⚠️ ${ACTIONS[action]} needs at least one key`);
+    else list[slot] = null;
+    return saveBindings();
+  }
+  const owner = actionFor(code);
+  if (owner) {
+    // Conflict — the key leaves its old slot and this slot's key takes its place
+    const other = bindings[owner],
+      i = other.indexOf(code);
+    other[i] = old;
+    if (owner !== action && !other.some(Boolean)) {
+      other[i] = code; // Would strand the other action — refuse instead
+      toast(`⚠️ ${keyLabel(code)} is ${ACTIONS[owner]}'s only key`);
+      return saveBindings();
+    }
+    if (owner !== action)
+      toast(
+        `⌨️ ${keyLabel(code)} moved from ${ACTIONS[owner]}` +
+          (old ? ` (it now has ${keyLabel(old)})` : ""),
+      );
+  }
+  list[slot] = code;
+  saveBindings();
 }
 
+// Ask for the physical layout so keycaps show what's printed on the keys.
+// Only some browsers offer this; elsewhere keyLabel() uses the code names.
+navigator.keyboard
+  ?.getLayoutMap?.()
+  .then((m) => {
+    layoutMap = m;
+    renderBindings();
+  })
+  .catch(() => {});
+
+renderBindings();
+
+// ─── Input Handling ──────────────────────────────────────
+// Keyboard input uses a "key map" pattern: keydown sets keys[code] = true,
+// keyup sets it to false. The game loop reads this map each frame (through
+// actionHeld(), see Key Bindings) to determine continuous movement (e.g.,
+// holding ArrowLeft). This decouples input detection from the game loop
+// timing — keys are polled, not event-driven.
+
 /**
- * fmtTime() — Format milliseconds as a "M:SS" string for the HUD timer.
- * Examples: 0ms → "0:00", 65000ms → "1:05", 600000ms → "10:00"
- * padStart(2, "0") ensures seconds are always two digits (e.g., "1:05" not "1:5").
+ * isTextEntry() — Whether a key event's target takes typing (a name field,
+ * the practice wave box, a select...). Keys pressed there are text, not
+ * game input, and must keep their default action.
  */
-function fmtTime(ms) {
-  const s = Math.floor(ms / 1000); // Convert ms to whole seconds
-  return `${Math.floor(s / 60)}:${(s % 60).toString().padStart(2, "0")}`;
-}
+const isTextEntry = (el) =>
+  el instanceof Element &&
+  (el.matches("input, textarea, select") || el.isContentEditable);
 
-/**
- * pixRect() — Draw a pixel-art style rectangle with highlight/shadow edges.
+document.addEventListener("keydown", (e) => {
+  // A keycap is waiting for its new key — this press is the answer, not input
+  if (rebinding) {
+    e.preventDefault();
+    finishRebind(e.code);
+    return;
+  }
+
+  // Typing in a field: no steering, pausing or Konami, and nothing prevented
+  if (isTextEntry(e.target)) return;
+
+  keys[e.code] = true; // Record that this key is currently held down
+
+  // Prevent bound keys from scrolling the page when the game section is visible.
+  // Without this, pressing Space to shoot would also scroll the page down,
+  // since Space is the browser's default "scroll down" shortcut (arrows too).
+  // We only prevent it on the game section to avoid breaking normal page scrolling.
+  // During a co-op run the pilots' keys count too (Enter would press a button).
+  if (
+    (actionFor(e.code) || isCoopKey(e.code)) &&
+    document.getElementById("sec-game")?.classList.contains("active")
+  ) {
+    e.preventDefault();
+  }
+
+  // ── Konami code detection ──
+  // Sequential matching: each keypress is compared against KONAMI[konamiIdx].
+  // If it matches, advance the index. If the full 10-key sequence is completed,
+  // trigger the easter egg and reset. Any wrong key resets to 0 — the player
+  // must enter the entire sequence without mistakes.
+  if (e.code === KONAMI[konamiIdx]) {
+    konamiIdx++;
+    if (konamiIdx === KONAMI.length) {
+      triggerKonami(); // Full sequence entered — award bonus!
+      konamiIdx = 0; // Reset for potential re-trigger
+    }
+  } else konamiIdx = 0; // Wrong key — restart the sequence
+
+  // ── Pause toggle ──
+  // The pause keys (Escape or P by default) pause/unpause, but only during an
+  // active game: the game states refuse a pause on the title screen, during
+  // the countdown or after game over (which would be confusing). Auto-repeat
+  // is ignored so holding the key doesn't flicker the overlay.
+  if (bindings.pause.includes(e.code) && !e.repeat) togglePause();
+});
+
+// On keyup, mark the key as released so the game loop stops moving the player
+document.addEventListener("keyup", (e) => (keys[e.code] = false));
+
+// Canvas click to shoot — allows mouse-based shooting in addition to spacebar.
+// Only fires during a run (prevents shooting on the difficulty screen).
+// The click is queued rather than fired on the spot: update() consumes it on
+// the next tick, so it becomes part of that tick's recorded input and a replay
+// fires the shot at exactly the same moment. Ignored while watching a replay.
+canvas.addEventListener("click", () => {
+  if (STATES[state].run && !replayMode) clickQueued = true;
+});
+
+// ─── Touch Controls ──────────────────────────────────────
+// On phones and tablets there is no keyboard, so #touchControls lays a touch
+// surface over the canvas. It uses Pointer Events (mouse and pen work too)
+// and tracks each finger by pointerId, so steering and firing can happen at
+// the same time:
+//
+//   - Drag anywhere on the playfield: the ship follows the finger's
+//     horizontal movement — relative to where the drag started, so the
+//     finger never has to cover the ship
+//   - FIRE button: hold for continuous fire, exactly like holding Space
+//   - ⏸ button: pause (tapping the PAUSED overlay resumes)
+//
+// Touch input never moves the ship itself. It is parked in `touch`, and
+// readInput() turns it into the same IN_LEFT / IN_RIGHT / IN_FIRE bits the
+// keyboard produces, so touch games are recorded and replayed like any other.
+//
+// The layer shows automatically on coarse-pointer (touch-first) devices, and
+// on any device as soon as a finger touches the game container.
+
+const touch = {
+  dragId: null, // pointerId of the finger steering the ship (null = none)
+  dragFrom: 0, // World x of that finger when the drag started
+  shipFrom: 0, // Player x when the drag started
+  targetX: null, // Player x the drag is asking for (null = not steering)
+  fireId: null, // pointerId holding the FIRE button (null = not firing)
+};
+
+/** setTouchControls() — Show or hide the on-screen touch layer. */
+function setTouchControls(on) {
+  DOM.gameContainer.classList.toggle("touch-on", on);
+}
+
+const coarsePointer = matchMedia("(pointer: coarse)");
+setTouchControls(coarsePointer.matches);
+coarsePointer.addEventListener("change", (e) => setTouchControls(e.matches));
+DOM.gameContainer.addEventListener("pointerdown", (e) => {
+  if (e.pointerType === "touch") setTouchControls(true);
+});
+
+// ── Drag to steer ── (only presses on the layer itself — the buttons handle their own)
+DOM.touchControls.addEventListener("pointerdown", (e) => {
+  if (e.target !== DOM.touchControls || touch.dragId !== null) return;
+  touch.dragId = e.pointerId;
+  touch.dragFrom = toWorldX(e.clientX);
+  touch.shipFrom = touch.targetX = game.player.x;
+  DOM.touchControls.setPointerCapture(e.pointerId); // Keep receiving moves outside the layer
+});
+DOM.touchControls.addEventListener("pointermove", (e) => {
+  if (e.pointerId === touch.dragId)
+    touch.targetX = touch.shipFrom + toWorldX(e.clientX) - touch.dragFrom;
+});
+const endDrag = (e) => {
+  if (e.pointerId !== touch.dragId) return;
+  touch.dragId = null;
+  touch.targetX = null; // Ship stops where it is
+};
+DOM.touchControls.addEventListener("pointerup", endDrag);
+DOM.touchControls.addEventListener("pointercancel", endDrag);
+// A long press would otherwise open the context menu / text selection callout
+DOM.touchControls.addEventListener("contextmenu", (e) => e.preventDefault());
+
+// ── Hold to fire ──
+DOM.touchFire.addEventListener("pointerdown", (e) => {
+  e.preventDefault(); // No focus, no emulated mouse events
+  touch.fireId = e.pointerId;
+  DOM.touchFire.setPointerCapture(e.pointerId); // Release is seen even if the finger slides off
+  DOM.touchFire.classList.add("held");
+});
+const endFire = (e) => {
+  if (e.pointerId !== touch.fireId) return;
+  touch.fireId = null;
+  DOM.touchFire.classList.remove("held");
+};
+DOM.touchFire.addEventListener("pointerup", endFire);
+DOM.touchFire.addEventListener("pointercancel", endFire);
+DOM.touchFire.addEventListener("lostpointercapture", endFire);
+
+// ── Pause / resume ──
+DOM.touchPause.addEventListener("pointerdown", (e) => {
+  e.preventDefault();
+  setState("paused");
+});
+DOM.pauseOverlay.addEventListener("pointerdown", () => {
+  if (state === "paused") togglePause();
+});
+
+/**
+ * touchInput() — Movement and fire bits requested by the touch layer.
+ * A drag steers the ship towards touch.targetX and lets go once it is within
+ * half a step, so it settles instead of jittering around the target.
+ * @returns {number}
+ */
+function touchInput() {
+  let m = touch.fireId !== null ? IN_FIRE : 0;
+  if (touch.targetX !== null) {
+    const dx = touch.targetX - game.player.x,
+      half = game.player.speed / 2;
+    if (dx < -half) m |= IN_LEFT;
+    else if (dx > half) m |= IN_RIGHT;
+  }
+  return m;
+}
+
+// ─── Gamepad Input ───────────────────────────────────────
+// Controllers are read through the Gamepad API, which has no events for
+// buttons — the pads must be polled. pollGamepads() runs at the start of
+// every live tick (see update()) and, while any pad is connected, at the
+// start of every gameLoop() frame as well so the pad still works when no
+// ticks run (menus, pause, game over).
+//
+// Pad input is not a parallel input path: each poll compares the pads with
+// the previous poll, and a press or release of a movement or fire button is
+// written into the same `keys` map the keyboard uses, under the pseudo-codes
+// "Pad:left", "Pad:right" and "Pad:fire" that actionHeld() checks alongside
+// the bound keys — so rebinding the keyboard never unbinds the pad.
+//
+// Standard mapping (https://w3c.github.io/gamepad/#remapping):
+//   Left stick / d-pad ← →   Move            Face buttons (A/B/X/Y)  Fire
+//   Start                   Pause/resume    Menus: ↑↓←→ choose, A or Start press
+//
+// On the difficulty picker and the game over screen, the pad moves focus
+// between the overlay's buttons and presses the focused one.
+
+const PAD_DEADZONE = 0.35; // Stick travel ignored around the centre (0–1)
+
+// Virtual pad buttons that feed the keys map, and the entry each one holds
+const PAD_KEYS = { left: "Pad:left", right: "Pad:right", fire: "Pad:fire" };
+
+const padPrev = {}; // Virtual button → pressed on the previous poll
+let padCount = 0; // Pads connected — gameLoop() polls every frame while any are
+
+/**
+ * readPads() — Merge every connected pad into one set of virtual buttons.
+ * @returns {Object} {left, right, up, down, fire, confirm, start} booleans
+ */
+function readPads() {
+  const s = {};
+  for (const pad of navigator.getGamepads?.() || []) {
+    if (!pad) continue; // Empty slot
+    const b = (i) => !!pad.buttons[i]?.pressed,
+      x = pad.axes[0] || 0,
+      y = pad.axes[1] || 0;
+    s.left ||= b(14) || x < -PAD_DEADZONE;
+    s.right ||= b(15) || x > PAD_DEADZONE;
+    s.up ||= b(12) || y < -PAD_DEADZONE;
+    s.down ||= b(13) || y > PAD_DEADZONE;
+    s.fire ||= b(0) || b(1) || b(2) || b(3);
+    s.confirm ||= b(0);
+    s.start ||= b(9);
+  }
+  return s;
+}
+
+/**
+ * pollGamepads() — Read the pads and act on every button that changed since
+ * the last poll: held buttons go into `keys`, presses drive pause and menus.
+ */
+function pollGamepads() {
+  const now = readPads();
+  for (const name of [
+    "left",
+    "right",
+    "up",
+    "down",
+    "fire",
+    "confirm",
+    "start",
+  ]) {
+    const down = !!now[name];
+    if (down === !!padPrev[name]) continue; // No change
+    padPrev[name] = down;
+    if (PAD_KEYS[name]) keys[PAD_KEYS[name]] = down;
+    if (down) onPadPress(name);
+  }
+}
+
+/** onPadPress() — A virtual pad button was just pressed. */
+function onPadPress(name) {
+  if (name === "start" && STATES[state].run) return togglePause();
+  const menu = padMenu();
+  if (!menu) return;
+  // Only the buttons on show — the practice toggles are hidden until
+  // PRACTICE is picked (checkVisibility() is missing in older browsers)
+  const buttons = [...menu.querySelectorAll("button")].filter(
+      (b) => b.checkVisibility?.() ?? true,
+    ),
+    i = buttons.indexOf(document.activeElement);
+  if (name === "confirm" || name === "start") {
+    if (i >= 0) buttons[i].click();
+    else focusPadButton(buttons, 0); // First press just shows where focus is
+  } else if (name !== "fire") {
+    const step = name === "up" || name === "left" ? -1 : 1;
+    focusPadButton(
+      buttons,
+      i < 0 ? 0 : (i + step + buttons.length) % buttons.length,
+    );
+  }
+}
+
+/** padMenu() — The game overlay the pad can navigate right now, if any. */
+function padMenu() {
+  if (!document.getElementById("sec-game")?.classList.contains("active"))
+    return null;
+  if (state === "nameEntry") return DOM.gameOverEl;
+  if (state === "title") return DOM.difficultyScreen;
+  return null;
+}
+
+/** focusPadButton() — Move focus (and the .pad-focus highlight) to buttons[i]. */
+function focusPadButton(buttons, i) {
+  document.querySelector(".pad-focus")?.classList.remove("pad-focus");
+  buttons[i].classList.add("pad-focus");
+  buttons[i].focus();
+  sfx.click();
+}
+
+window.addEventListener("gamepadconnected", (e) => {
+  toast(`🎮 Controller connected: ${e.gamepad.id.split(" (")[0]}`);
+  padCount++;
+});
+
+window.addEventListener("gamepaddisconnected", (e) => {
+  toast(`🎮 Controller disconnected: ${e.gamepad.id.split(" (")[0]}`);
+  padCount = Math.max(0, padCount - 1);
+  pollGamepads(); // Releases whatever the removed pad was holding
+});
+
+// ─── Local Co-op ─────────────────────────────────────────
+// Two pilots, two ships, one keyboard (see Players & Co-op in engine.js).
+// The rebindable key map can't serve both — by default it hands the arrows
+// and A/D to the same ship — so in co-op each pilot gets a fixed half of
+// the keyboard instead: player 1 the left hand, player 2 the right.
+// Gamepads, touch and mouse clicks keep steering player 1.
+//
+// The two pilots' bits share one input mask (player 2's shifted up by
+// IN_BITS), so recordings, replays and takeBonus() work unchanged.
+
+const COOP_KEYS = [
+  { left: "KeyA", right: "KeyD", fire: "KeyF" }, // Player 1
+  { left: "ArrowLeft", right: "ArrowRight", fire: "Enter" }, // Player 2
+];
+const ACTION_BITS = { left: IN_LEFT, right: IN_RIGHT, fire: IN_FIRE };
+
+/**
+ * coopInput() — Both pilots' movement and fire bits for the next tick.
+ * @returns {number} Input mask, player 2's bits shifted up by IN_BITS
+ */
+function coopInput() {
+  let m = 0;
+  COOP_KEYS.forEach((map, i) => {
+    for (const a in map)
+      if (keys[map[a]] || (i === 0 && keys["Pad:" + a]))
+        m |= ACTION_BITS[a] << (i * IN_BITS);
+  });
+  return m;
+}
+
+/** isCoopKey() — Whether a key code steers a ship in a live co-op run. */
+const isCoopKey = (code) =>
+  isLiveGame() &&
+  game.players.length > 1 &&
+  COOP_KEYS.some((map) => Object.values(map).includes(code));
+
+/**
+ * selectedCoop() — The player setup picked on the difficulty screen.
+ * @returns {{players: number, lives: string}} start() options (see engine.js)
+ */
+function selectedCoop() {
+  const mode = DOM.coopSelect.value;
+  return mode === "solo"
+    ? { players: 1, lives: "shared" }
+    : { players: 2, lives: mode };
+}
+
+// ─── Input Recording ─────────────────────────────────────
+// Because the simulation is fixed-timestep and seeded, a whole game is fully
+// described by its seed, difficulty, starting score and the input the player
+// gave on each tick. readInput() is the single place update() gets the input
+// it passes to game.step() from:
+//
+//   - Live games: it samples the keys map, the queued canvas click and the
+//     touch layer, packs them into a bitmask and appends it to `recording`.
+//   - Replays: it returns the recorded bitmask for the current tick instead,
+//     and live keyboard/mouse input is ignored.
+//
+// Recordings are run-length encoded as a flat [mask, count, mask, count, ...]
+// array — players hold the same keys for long stretches, so a several-minute
+// game usually packs into a few thousand numbers.
+
+/**
+ * readInput() — Input bitmask (IN_LEFT | IN_RIGHT | IN_FIRE | IN_CLICK) for the next tick
+ * (in co-op, both pilots' — see Local Co-op).
+ * Must be called exactly once per tick, just before game.step().
+ * @returns {number}
+ */
+function readInput() {
+  if (replayMode) return replayInputs[game.frame] || 0; // Tick game.frame + 1, 0-based
+  let m = 0;
+  if (game.players.length > 1)
+    m = coopInput(); // See Local Co-op
+  else {
+    if (actionHeld("left")) m |= IN_LEFT;
+    if (actionHeld("right")) m |= IN_RIGHT;
+    if (actionHeld("fire")) m |= IN_FIRE;
+  }
+  if (clickQueued) m |= IN_CLICK;
+  m |= touchInput(); // On-screen drag / FIRE button (see Touch Controls)
+  clickQueued = false; // One click = one shot attempt
+  // Extend the current run if the input didn't change, otherwise start a new one
+  const runs = recording.inputs,
+    n = runs.length;
+  if (n && runs[n - 2] === m) runs[n - 1]++;
+  else runs.push(m, 1);
+  return m;
+}
+
+/**
+ * takeBonus() — Easter-egg points that land on the score on the next tick.
+ * Live: drains pendingBonus and records it as [tick, points].
+ * Replay: sums the recorded bonuses stamped with that tick.
+ * Called just before game.step(), which adds them to the score.
+ * @returns {number}
+ */
+function takeBonus() {
+  const tick = game.frame + 1; // The tick about to be simulated
+  let pts = 0;
+  if (replayMode) {
+    const list = replay.bonuses;
+    while (replayBonusIdx < list.length && list[replayBonusIdx][0] === tick)
+      pts += list[replayBonusIdx++][1];
+  } else if (pendingBonus) {
+    pts = pendingBonus;
+    pendingBonus = 0;
+    recording.bonuses.push([tick, pts]);
+  }
+  return pts;
+}
+
+/** isLiveGame() — true while the player is actually playing (not watching a replay). */
+const isLiveGame = () => STATES[state].run && !replayMode;
+
+/** addLiveBonus() — Queue points onto the live score; applied on the next tick. */
+function addLiveBonus(points) {
+  pendingBonus += points;
+}
+
+/**
+ * triggerKonami() — Konami code easter egg reward.
+ *
+ * Called when the player successfully enters the full ↑↑↓↓←→←→BA sequence.
+ * Awards +1000 bonus points and shows a full-screen celebratory overlay.
+ *
+ * Uses the same dual-path point system as runHackSequence():
+ *   - During active game: points queued onto the live score (addLiveBonus)
+ *   - Outside of game: points banked in localStorage for next game start
+ *
+ * Also persists "konamiFound" in localStorage — this is read by
+ * renderAchievements() to unlock the "SECRET AGENT" achievement badge.
+ *
+ * The overlay auto-dismisses after 8 seconds or when the user clicks "AWESOME!".
+ */
+function triggerKonami() {
+  sfx.easter(); // Play the celebratory ascending scale sound effect
+
+  // Persist discovery permanently (survives page reloads) for achievement tracking
+  localStorage.setItem("konamiFound", "1");
+
+  // Dual-path point system: in-game vs banked (same pattern as hack easter egg)
+  const live = isLiveGame(); // Captured once — the label below must agree with this branch
+  if (live) {
+    addLiveBonus(1000);
+    flash("score"); // Visual pulse on score HUD
+  } else {
+    // Bank 1000 points for the next game start
+    // Note: unlike runHackSequence, this overwrites rather than adds — by design,
+    // the Konami code awards a flat 1000 regardless of prior banked amount
+    localStorage.setItem("laserDefenderBonus", "1000");
+  }
+
+  // Dynamic label text based on whether points were applied now or banked
+  const label = live ? "+1000 POINTS ADDED!" : "+1000 BONUS POINTS!";
+
+  // Create a full-screen overlay with the reveal announcement
+  const ov = document.createElement("div");
+  ov.className = "easter-egg-overlay"; // CSS: centered flexbox with semi-transparent backdrop
+  ov.innerHTML = `<div class="easter-egg-content"><h2>🎮 SECRET UNLOCKED!</h2><p>You found the Konami Code!</p><p style="font-size:3rem;margin:1rem 0">⬆⬆⬇⬇⬅➡⬅➡🅱🅰</p><p style="color:var(--gold);font-family:'Press Start 2P',cursive;font-size:.7rem">${label}</p><button class="action-btn" style="margin-top:1.5rem" onclick="this.closest('.easter-egg-overlay').remove()">AWESOME!</button></div>`;
+  document.body.appendChild(ov);
+
+  // Auto-dismiss after 8 seconds in case the user doesn't click the button.
+  // The parentElement check guards against double-removal if the button was already clicked.
+  setTimeout(() => ov.parentElement && ov.remove(), 8000);
+}
+
+// ─── Game States ─────────────────────────────────────────
+// What the game screen is doing is always exactly one named state, and every
+// change goes through setState():
+//
+//   boot ─▶ title ─▶ countdown ─▶ playing ⇄ waveTransition ─▶ gameOver
+//             ▲                      ⇅                            │
+//             │                   paused                          ▼
+//             └────────────────────────────────────────────── nameEntry
+//
+// (paused can also be entered from waveTransition and resume into it, and
+// any state can drop back to title when the game screen is reset)
+//
+//   boot           — the BIOS screen is up (runBootSequence)
+//   title          — the difficulty picker, the sky drifting behind it
+//   countdown      — 3 · 2 · 1 before a live run's first tick
+//   playing        — ticks run
+//   paused         — no ticks; resumes into the state it paused
+//   waveTransition — ticks run while the new wave's banner shows and the sky
+//                    jumps to hyperspace, then it's back to playing
+//   gameOver       — the run has ended; its last frame stays up a moment
+//   nameEntry      — the game-over dialog: name, save, retry
+//
+// Each state lists the states it may move to (`to`); setState() refuses
+// anything else, so a pause key on the title screen or after game over
+// simply does nothing. The flags say whether a run is on screen and still
+// going (`run`), whether ticks run (`ticks`), whether the run's scene is drawn
+// or only the sky (`scene`) and how fast the sky scrolls (`sky`). The hooks
+// are optional: enter(from, payload) and exit(to) on a transition, frame()
+// once per rendered frame and tick() after every tick while the state is
+// current.
+//
+// gameLoop() is the only loop: it runs for the page's whole lifetime and
+// asks the current state what to do each frame. Overlays need no code at
+// all — setState() writes the state to #gameContainer's data-state attribute
+// and style.css shows the matching one (#difficultyScreen for title,
+// #countdownOverlay, #pauseOverlay, #gameOver for nameEntry).
+//
+// A replay skips the countdown and the name entry: it starts straight into
+// playing, and stays in gameOver once it ends until it is restarted or left.
+const COUNTDOWN_FROM = 3, // First number of the countdown
+  COUNTDOWN_STEP_MS = 600, // How long each number stays up
+  WAVE_TRANSITION_TICKS = 75, // Hyperspace length — in ticks, so it follows replay speed
+  GAME_OVER_MS = 1500; // How long the last frame is held before the dialog
+
+const STATES = {
+  boot: { to: ["title"], sky: IDLE_SPEED },
+  title: {
+    to: ["title", "countdown", "playing"],
+    sky: IDLE_SPEED,
+    enter() {
+      renderLevelPickers(); // Levels saved in the editor since the last visit
+      renderGhostInfo(); // Runs saved since the last visit
+      renderPractice();
+      DOM.savedMsg.textContent = ""; // Clear any "Score saved!" message
+      setSkyPalette(SKY_PALETTES.verdant); // Fade back to the first palette
+    },
+  },
+  countdown: {
+    to: ["playing", "title"],
+    run: true,
+    scene: true,
+    sky: 1,
+    enter() {
+      showCount(COUNTDOWN_FROM); // The start fanfare is its sound
+    },
+    frame() {
+      const n = COUNTDOWN_FROM - Math.floor(stateTime / COUNTDOWN_STEP_MS);
+      if (n <= 0) setState("playing");
+      else if (String(n) !== DOM.countdownNum.textContent) {
+        showCount(n);
+        sfx.count();
+      }
+    },
+  },
+  playing: {
+    to: ["playing", "paused", "waveTransition", "gameOver", "title"],
+    run: true,
+    ticks: true,
+    scene: true,
+    sky: 1,
+    enter(from) {
+      if (from === "countdown") sfx.count(true); // GO!
+    },
+  },
+  paused: {
+    to: ["playing", "waveTransition", "gameOver", "title"],
+    run: true,
+    scene: true,
+    sky: 0,
+    enter(from) {
+      resumeTo = from;
+      beep(400, 0.1); // Pause: low beep
+    },
+    exit(to) {
+      if (to === resumeTo) beep(600, 0.05); // Unpause: high beep
+    },
+  },
+  waveTransition: {
+    to: ["playing", "paused", "waveTransition", "gameOver", "title"],
+    run: true,
+    ticks: true,
+    scene: true,
+    sky: WARP_SPEED,
+    enter(from, wave) {
+      if (from === "paused") return; // Resumed — the banner is already up
+      transitionTicks = 0;
+      showWaveBanner(wave);
+    },
+    tick() {
+      if (++transitionTicks >= WAVE_TRANSITION_TICKS) setState("playing");
+    },
+  },
+  gameOver: {
+    to: ["nameEntry", "playing", "title"],
+    scene: true,
+    sky: IDLE_SPEED,
+    enter: endGame,
+    frame() {
+      if (!replayMode && stateTime >= GAME_OVER_MS) setState("nameEntry");
+    },
+  },
+  nameEntry: { to: ["title"], scene: true, sky: IDLE_SPEED },
+};
+
+/**
+ * setState() — Move the game screen to another state, if the current one
+ * allows it: the old state's exit hook runs, then the new one's enter hook.
+ *
+ * @param {string} next - STATES key
+ * @param {*} [payload] - Passed on to the enter hook
+ * @returns {boolean} false if the transition isn't allowed (nothing happens)
+ */
+function setState(next, payload) {
+  if (!STATES[state].to.includes(next)) return false;
+  const from = state;
+  STATES[from].exit?.(next);
+  state = next;
+  stateTime = 0;
+  DOM.gameContainer.dataset.state = next; // Shows the state's overlay (style.css)
+  STATES[next].enter?.(from, payload);
+  pluginsStateChange(next, from); // See Public API
+  return true;
+}
+
+/**
+ * showCount() — Put a countdown number up and restart its pop animation
+ * (removing the class and forcing a reflow lets the same animation replay).
+ */
+function showCount(n) {
+  const el = DOM.countdownNum;
+  el.textContent = n;
+  el.classList.remove("pop");
+  void el.offsetWidth;
+  el.classList.add("pop");
+}
+
+// ─── Game Lifecycle ──────────────────────────────────────
+
+/**
+ * startGame() — Begin a new game with the selected difficulty.
+ *
+ * Called when the player clicks EASY, NORMAL, or HARD on the difficulty screen.
+ * The engine's start() applies the difficulty table (DIFFICULTY in engine.js:
+ * lives, spawn rate, enemy speed multiplier and player speed); this function
+ * handles everything around it — banked bonuses, the input recording, the HUD
+ * and the move to the countdown (a replay goes straight to playing).
+ *
+ * Seeding: the engine re-creates its random streams from `seed`, so passing
+ * the seed of an earlier run reproduces it. The sky gets its own stream
+ * from the same seed, offset by a constant so it never mirrors the others.
+ *
+ * Level: the custom level picked in #levelSelect (see Level Editor) is played
+ * through its wave script; with none picked it's the standard endless game.
+ * Players: #coopSelect picks solo or two-ship co-op (see Local Co-op).
+ * Ghost: with #ghostSelect on, a live game races the best stored run on the
+ * same difficulty (see Ghost Racing).
+ * Practice: #practiceSelect makes it a practice run from the picked wave,
+ * with the practice toggles applied (see Practice Mode).
+ * A replay plays whichever level and players its recording carries.
+ *
+ * @param {string} diff - Difficulty level: "easy", "normal", or "hard"
+ * @param {number} [seed] - 32-bit run seed (a fresh one is picked if omitted)
+ */
+function startGame(diff, seed = newSeed()) {
+  const next = replayMode ? "playing" : "countdown";
+  if (!STATES[state].to.includes(next)) return; // e.g. a second click on a difficulty button
+  sfx.start(); // Play the ascending start fanfare
+
+  // Apply any banked bonus points from easter eggs (Konami code, hack sequence).
+  // These were stored in localStorage by triggerKonami() or runHackSequence()
+  // when discovered outside of an active game. We apply them here, then clear
+  // the stored value so they're not double-counted.
+  // A replay instead starts from whatever score its recording started with.
+  // A practice run leaves them in the bank (see Practice Mode).
+  practice.active = !replayMode && DOM.practiceSelect.value === "on";
+  let startScore = 0;
+  if (replayMode) startScore = replay.startScore;
+  else if (!practice.active) {
+    startScore = +(localStorage.getItem("laserDefenderBonus") || 0);
+    localStorage.removeItem("laserDefenderBonus"); // Clear so it's not applied again
+  }
+
+  const level = replayMode ? replay.level || null : selectedLevel(),
+    coop = replayMode
+      ? { players: replay.players || 1, lives: replay.lives || "shared" }
+      : selectedCoop();
+  game.start({
+    difficulty: diff,
+    seed,
+    startScore,
+    script: level || "endless",
+    ...coop,
+    wave: practice.active ? practiceWave(level) : 1,
+  });
+  starRand = mulberry32(game.seed ^ 0x85ebca6b); // Murmur3 constant — unrelated to the engine's streams
+  initSky(starRand);
+  setSkyPalette(skyPaletteFor(game.waveNumber, !!game.wave.goal.boss), true);
+
+  // Start recording this run's input (see readInput)
+  if (!replayMode)
+    recording = {
+      v: REPLAY_VERSION,
+      seed: game.seed,
+      difficulty: diff,
+      level, // Custom level's wave script (null = endless) — kept whole so the replay survives edits
+      ...coop, // players and lives (see Local Co-op)
+      startScore,
+      inputs: [], // Run-length encoded [mask, count, ...]
+      bonuses: [], // [tick, points] easter-egg bonuses
+      ticks: 0, // Length of the run, filled in by endGame()
+    };
+
+  // Update HUD with initial values
+  DOM.gameContainer.classList.toggle("coop", coop.players > 1); // Shows the co-op panels
+  startGhost(diff); // See Ghost Racing
+  DOM.gameContainer.classList.toggle("practicing", practice.active); // Practice bar
+  practice.kept = null;
+  if (practice.active) ["lives", "slow"].forEach(applyPractice);
+  DOM.score.textContent = game.score;
+  renderLives();
+  renderCoopHud();
+  DOM.waveDisplay.textContent = game.waveNumber;
+  DOM.timeDisplay.textContent = fmtTime(0);
+  renderPowerHud();
+  renderHeat();
+  renderCombo(1);
+  DOM.heatBar.classList.remove("overheated");
+  DOM.modeDisplay.textContent = diff.toUpperCase();
+
+  accumulator = 0; // Fresh accumulator: no stale time is turned into ticks
+  setState(next); // Hides the difficulty picker (see Game States)
+  emitPublic("gameStart", {
+    difficulty: diff,
+    seed: game.seed,
+    level: level ? level.name : null,
+    startScore,
+    ...coop,
+    practice: practice.active,
+    replay: replayMode,
+  });
+}
+
+/**
+ * togglePause() — Pause, or resume into the state the pause interrupted.
+ * Outside a run the paused state refuses the transition and nothing happens.
+ *
+ * Time preservation:
+ *   game.elapsedTime is derived from the tick counter (frame * TICK_MS), so it
+ *   naturally stops while no ticks run. What must NOT happen is the wall-clock
+ *   duration of the pause being fed into the accumulator on resume — that would
+ *   fast-forward the game (capped at MAX_FRAME_MS) the moment it unpauses.
+ *   gameLoop() only accumulates in states that tick, so the paused frames'
+ *   time is simply never counted.
+ *
+ * The game loop continues running while paused and keeps drawing (with a dim
+ * overlay) at the frozen interpolation point, so the canvas stays visible.
+ * The "PAUSED" overlay is hidden for replays, which keep the frame visible.
+ */
+function togglePause() {
+  setState(state === "paused" ? resumeTo : "paused");
+}
+
+/**
+ * flash() — Briefly scale up a HUD element for visual feedback.
+ *
+ * Adds the "flash" CSS class (which applies a scale transform and color change),
+ * then removes it after 200ms. This creates a quick "pulse" effect that draws
+ * the player's eye to the changed value (e.g., score increasing, lives decreasing).
+ *
+ * Accepts either a DOM cache key (e.g., "score" → DOM.score) or a raw element ID
+ * as a fallback, making it flexible for both cached and uncached elements.
+ *
+ * @param {string} id - Key in the DOM cache object, or a DOM element ID
+ */
+function flash(id) {
+  if (fastForwarding) return; // No HUD pulses while a replay seek fast-forwards
+  const el = DOM[id] || document.getElementById(id); // Try cache first, fall back to ID lookup
+  el.classList.add("flash"); // Trigger the CSS scale/color animation
+  setTimeout(() => el.classList.remove("flash"), 200); // Remove after 200ms (matches CSS transition)
+}
+
+/**
+ * fmtTime() — Format milliseconds as a "M:SS" string for the HUD timer.
+ * Examples: 0ms → "0:00", 65000ms → "1:05", 600000ms → "10:00"
+ * padStart(2, "0") ensures seconds are always two digits (e.g., "1:05" not "1:5").
+ */
+function fmtTime(ms) {
+  const s = Math.floor(ms / 1000); // Convert ms to whole seconds
+  return `${Math.floor(s / 60)}:${(s % 60).toString().padStart(2, "0")}`;
+}
+
+/**
+ * pixRect() — Draw a pixel-art style rectangle with highlight/shadow edges.
  *
  * Creates a 3D "extruded" look commonly seen in retro/pixel-art games:
  *
@@ -1307,745 +2654,2762 @@ function fmtTime(ms) {
  * @param {string} main  - Main fill color (center body)
  * @param {string} dark  - Shadow color (bottom + right edges)
  * @param {string} light - Highlight color (top + left edges)
+ * @param {CanvasRenderingContext2D} [c=ctx] - Context to draw on (the game
+ *   canvas, or the sprite atlas while it is built)
+ */
+function pixRect(x, y, w, h, main, dark, light, c = ctx) {
+  c.fillStyle = main;
+  c.fillRect(x, y, w, h); // Fill the entire rectangle with main color
+  c.fillStyle = light;
+  c.fillRect(x, y, w, 3); // Top edge highlight (3px tall, full width)
+  c.fillRect(x, y, 3, h); // Left edge highlight (3px wide, full height)
+  c.fillStyle = dark;
+  c.fillRect(x, y + h - 3, w, 3); // Bottom edge shadow (3px tall, full width)
+  c.fillRect(x + w - 3, y, 3, h); // Right edge shadow (3px wide, full height)
+}
+
+// ─── Screen Shake ────────────────────────────────────────
+/**
+ * onHit() — Trigger a screen shake on the game container.
+ *
+ * Uses a CSS class toggle approach rather than directly manipulating canvas
+ * transforms. The "screen-shake" CSS class applies a @keyframes animation
+ * that rapidly translates the entire game container by a few pixels in
+ * random directions, creating a "camera shake" effect.
+ *
+ * Why CSS class toggle instead of canvas transform?
+ *   - Simpler: one line to add, one line to remove — no manual animation math
+ *   - Performant: CSS animations run on the compositor thread, not JS
+ *   - Consistent: the shake affects the entire game container (canvas + HUD),
+ *     not just the canvas content, for a more immersive effect
+ *
+ * Called when the player collides with an enemy or meteor (takes damage).
+ */
+function onHit() {
+  if (fastForwarding) return; // Don't shake for hits skipped over by a replay seek
+  DOM.gameContainer.classList.add("screen-shake"); // Start shake animation
+  setTimeout(() => DOM.gameContainer.classList.remove("screen-shake"), 200); // Stop after 200ms
+}
+
+/**
+ * showNotify() — Pop a "wave-clear-notify" banner over the game canvas.
+ *
+ * Shared by wave advances, meteor shower warnings and boss banners. The CSS
+ * animation handles the pop-in/fade-out; the element is removed after `ms`.
+ * Suppressed while a replay seek fast-forwards through skipped ticks.
+ *
+ * @param {string} html   - Banner markup
+ * @param {number} ms     - Lifetime before removal
+ * @param {string} [color] - Optional border/text color override
+ * @param {string} [cls="wave-clear-notify"] - Banner style class
+ */
+function showNotify(html, ms, color, cls = "wave-clear-notify") {
+  if (fastForwarding) return;
+  const n = document.createElement("div");
+  n.className = cls;
+  n.innerHTML = html;
+  if (color) {
+    n.style.borderColor = color;
+    n.style.color = color;
+  }
+  DOM.gameContainer.appendChild(n);
+  setTimeout(() => n.remove(), ms);
+}
+
+// ─── Power-up HUD ────────────────────────────────────────
+// Chips under the lives counter for each power-up in effect: timed ones
+// show whole seconds left, the shield just shows that it's up. Colors match
+// the pickups drawn on the canvas (PICKUP_STYLE).
+
+let powerHudHtml = ""; // Last markup written — the DOM is only touched on change
+
+/**
+ * renderPowerHud() — Rebuild the power-up chips from the engine state.
+ * Called every tick from update() (the countdown) and on power-up events.
+ */
+function renderPowerHud() {
+  let html = "";
+  for (const kind of ["spread", "rapid"]) {
+    const left = (game.powerUntil[kind] || 0) - game.frame;
+    if (left > 0)
+      html += `<span class="power-chip ${kind}">${PICKUP_STYLE[kind].glyph} ${Math.ceil((left * TICK_MS) / 1000)}s</span>`;
+  }
+  if (game.shield)
+    html += `<span class="power-chip shield">${PICKUP_STYLE.shield.glyph}</span>`;
+  if (html === powerHudHtml) return;
+  powerHudHtml = html;
+  DOM.powerHud.innerHTML = html;
+}
+
+// ─── Heat Bar ────────────────────────────────────────────
+// The HEAT panel's bar mirrors the ship's laser heat (see Laser Heat in
+// engine.js): it fills as the laser heats, turns red near the limit and
+// blinks while an overheat has the gun locked (the .overheated class,
+// toggled by events). In co-op each ship has its own gun and the bar shows
+// the hotter one.
+
+let heatShown = -1; // Last width written, in whole percent
+
+/** renderHeat() — Size the heat bar to the current heat. Called every tick. */
+function renderHeat() {
+  let heat = 0;
+  for (const p of game.players) if (!p.down) heat = Math.max(heat, p.heat);
+  const pct = Math.round((heat / MAX_HEAT) * 100);
+  if (pct === heatShown) return;
+  heatShown = pct;
+  DOM.heatFill.style.width = pct + "%";
+  DOM.heatBar.classList.toggle("hot", pct >= 75);
+}
+
+// ─── Lives & Co-op HUD ───────────────────────────────────
+// The LIVES panel shows the shared pool — or, when each co-op ship has its
+// own lives, both counts ("2 · 3"). The PILOTS panel (co-op only) lists each
+// ship's score and accuracy, or, for a downed ship, ✖ and the partner kills
+// still needed to bring it back.
+
+let coopHudHtml = ""; // Last markup written — the DOM is only touched on change
+
+/** renderLives() — Refresh the LIVES panel from the engine. */
+function renderLives() {
+  DOM.lives.textContent = practice.kept
+    ? "∞" // Held by ♾ LIVES (see Practice Mode)
+    : game.livesMode === "each" && game.players.length > 1
+      ? game.players.map((p) => p.lives).join(" · ")
+      : game.lives;
+}
+
+/** renderCoopHud() — Rebuild the PILOTS rows. Called every tick in co-op. */
+function renderCoopHud() {
+  if (game.players.length < 2) return;
+  const html = game.players
+    .map(
+      (p) =>
+        `<div class="pilot-${p.id + 1}">P${p.id + 1} ${p.down ? `✖ ${p.revive}` : `${p.score} · ${accuracy(p)}%`}</div>`,
+    )
+    .join("");
+  if (html === coopHudHtml) return;
+  coopHudHtml = html;
+  DOM.coopHud.innerHTML = html;
+}
+
+// ─── Combo HUD & Score Popups ────────────────────────────
+// The score panel shows the combo multiplier (see Combo Multiplier in
+// engine.js) while it is above x1, and every kill floats its points up from
+// where it happened — "+40 x4" — fading out over POPUP_LIFE ticks. Popups
+// are page-only decoration: they move in update() but never touch the engine.
+
+const POPUP_LIFE = 45; // Ticks a score popup stays on screen (0.75s)
+let popups = []; // Floating score texts: {x, y, text, color, life}
+
+/** renderCombo() — Show the current multiplier next to the score (hidden at x1). */
+function renderCombo(mult) {
+  DOM.multiplier.textContent = mult > 1 ? `x${mult}` : "";
+}
+
+/**
+ * addPopup() — Float a kill's points up from (x, y), the kill's center.
+ * Multiplied kills get the multiplier appended and a hotter color.
+ */
+function addPopup(x, y, points, mult) {
+  if (fastForwarding) return; // Seeking — nobody would see it
+  popups.push({
+    x,
+    y,
+    text: mult > 1 ? `+${points} x${mult}` : `+${points}`,
+    color: mult >= 4 ? "#ff6633" : mult > 1 ? "#f0c85a" : "#f5e6a3",
+    life: POPUP_LIFE,
+  });
+}
+
+/** updatePopups() — Drift popups upward and drop the expired ones (once per tick). */
+function updatePopups() {
+  for (const pp of popups) {
+    pp.y -= 0.8;
+    pp.life--;
+  }
+  popups = popups.filter((pp) => pp.life > 0);
+}
+
+/** drawPopups() — Render the score popups, centered on their x and fading out. */
+function drawPopups() {
+  if (!popups.length) return;
+  ctx.font = '10px "Press Start 2P", monospace';
+  ctx.textAlign = "center";
+  for (const pp of popups) {
+    ctx.globalAlpha = Math.min(1, pp.life / 15); // Full until the last 15 ticks
+    ctx.fillStyle = "#1e1830"; // 1px drop shadow keeps it legible on explosions
+    ctx.fillText(pp.text, pp.x + 1, pp.y + 1);
+    ctx.fillStyle = pp.color;
+    ctx.fillText(pp.text, pp.x, pp.y);
+  }
+  ctx.globalAlpha = 1;
+  ctx.textAlign = "start";
+}
+
+// ─── Engine Events ───────────────────────────────────────
+// The engine reports what happened during a tick and the page reacts: HUD
+// counters, flashes, sounds, banners and screen shake all hang off these
+// handlers rather than the simulation code. While seekReplay() fast-forwards,
+// beep(), flash(), onHit() and showNotify() stay silent on their own.
+
+game.on("shot", () => sfx.shoot()); // Pew pew!
+game.on("enemyHit", () => sfx.hit()); // "Damage dealt" sound
+game.on("enemyShot", () => sfx.enemyShot());
+
+game.on("enemyKilled", ({ enemy: e, points, multiplier }) => {
+  DOM.score.textContent = game.score;
+  addPopup(e.x + e.w / 2, e.y + e.h / 2, points, multiplier);
+  flash("score");
+  sfx.kill(); // Two-note "enemy destroyed" jingle
+});
+
+game.on("meteorKilled", ({ meteor: m, points, multiplier }) => {
+  DOM.score.textContent = game.score;
+  addPopup(m.x + m.w / 2, m.y, points, multiplier);
+  sfx.hit();
+});
+
+// Easter-egg points landing on the live score (see takeBonus)
+game.on("bonus", () => (DOM.score.textContent = game.score));
+
+// A new wave changes the sky's palette and the HUD, then hands over to the
+// waveTransition state for the banner and the hyperspace jump. A replay seek
+// skips the transition and just lands under the right palette.
+game.on("waveAdvance", (wave) => {
+  setSkyPalette(skyPaletteFor(wave.wave, wave.boss), fastForwarding);
+  DOM.waveDisplay.textContent = wave.wave;
+  flash("waveDisplay");
+  if (!fastForwarding) setState("waveTransition", wave);
+});
+
+/**
+ * showWaveBanner() — The new wave's banner and jingle (waveTransition's
+ * enter hook).
+ * @param {Object} wave - The waveAdvance payload: {wave, boss, afterBoss}
+ */
+function showWaveBanner({ wave, boss, afterBoss }) {
+  if (afterBoss) return; // The BOSS DEFEATED banner and fanfare cover this one
+  if (boss) {
+    // Boss wave — red warning banner instead of the usual one
+    showNotify(
+      `⚠ WAVE ${wave} ⚠<br><span style="font-size:9px;color:#e88d8d">BOSS APPROACHING!</span>`,
+      2100,
+      "#e88d8d",
+    );
+    sfx.bossWarning();
+    return;
+  }
+  // "WAVE N" banner overlaid on the game for 2.1 seconds
+  showNotify(
+    `WAVE ${wave}<br><span style="font-size:9px;color:#98d8c8">ENEMIES FASTER!</span>`,
+    2100,
+  );
+  sfx.wave(); // Triumphant wave-clear jingle
+}
+
+// Boss waves (see Boss Encounters in engine.js). bossFlash remembers the last
+// part hit so drawBoss() can flash it white for a few ticks.
+const bossFlash = { part: null, frame: 0 };
+
+game.on("bossHit", ({ part }) => {
+  bossFlash.part = part;
+  bossFlash.frame = game.frame;
+  sfx.hit();
+});
+
+game.on("bossPartDestroyed", ({ boss: b, part, points, multiplier }) => {
+  DOM.score.textContent = game.score;
+  addPopup(b.x + part.dx + part.w / 2, b.y + part.dy, points, multiplier);
+  flash("score");
+  sfx.kill();
+  onHit(); // A pod blowing off shakes the screen
+});
+
+game.on("bossPhase", ({ phase }) => {
+  if (phase === "rage" && !fastForwarding) sfx.bossWarning(); // Core cracked — it gets angry
+});
+
+game.on("bossDefeated", ({ points }) => {
+  DOM.score.textContent = game.score;
+  flash("score");
+  onHit();
+  showNotify(
+    `★ BOSS DEFEATED ★<br><span style="font-size:10px;color:#f5e6a3">+${points} BONUS</span>`,
+    3000,
+    null,
+    "boss-defeated-notify",
+  );
+  if (!fastForwarding) sfx.bossFanfare();
+});
+
+// Power-ups (see Power-ups in engine.js)
+game.on("powerUp", ({ kind }) => {
+  if (kind === "life") {
+    renderLives();
+    flash("lives");
+  }
+  renderPowerHud();
+  if (!fastForwarding) sfx[kind === "life" ? "oneUp" : kind]();
+});
+
+// Combo multiplier — flash the score panel's multiplier when it steps up
+game.on("combo", ({ multiplier }) => {
+  if (DOM.multiplier.textContent !== `x${multiplier}` && multiplier > 1) {
+    renderCombo(multiplier);
+    flash("multiplier");
+  }
+});
+
+game.on("comboBreak", () => renderCombo(1));
+
+// Laser heat — the bar blinks while any ship's gun is locked
+const anyOverheated = () =>
+  game.players.some((p) => game.frame < p.overheatUntil);
+
+game.on("overheat", () => {
+  DOM.heatBar.classList.add("overheated");
+  if (!fastForwarding) sfx.overheat();
+});
+
+game.on("heatRecovered", () => {
+  DOM.heatBar.classList.toggle("overheated", anyOverheated());
+  sfx.heatReady();
+});
+
+game.on("powerUpEnd", () => {
+  renderPowerHud();
+  if (!fastForwarding) sfx.powerDown();
+});
+
+game.on("shieldBreak", () => {
+  renderPowerHud();
+  sfx.shieldBreak();
+  onHit();
+});
+
+game.on("playerHit", () => {
+  renderLives();
+  flash("lives"); // Visual pulse on lives HUD (warning: lives decreasing)
+  sfx.death(); // Low damage sound
+  onHit(); // Screen shake
+});
+
+// Co-op with a life count per ship (see Players & Co-op in engine.js)
+game.on("playerDown", ({ player, revive }) => {
+  renderCoopHud();
+  showNotify(
+    `P${player + 1} DOWN<br><span style="font-size:9px;color:#c4b8d0">${revive} KILLS TO REVIVE</span>`,
+    2100,
+    "#e88d8d",
+  );
+});
+
+game.on("playerRevived", ({ player }) => {
+  renderLives();
+  flash("lives");
+  showNotify(`P${player + 1} IS BACK!`, 1500, player ? C.p2Body : C.pBody);
+  if (!fastForwarding) sfx.oneUp();
+});
+
+game.on("meteorShowerStart", () => {
+  // Warning banner for 1.5 seconds, orange to match the meteors
+  showNotify(
+    `⚠ INCOMING!<br><span style="font-size:9px;color:#ff6633">METEOR SHOWER!</span>`,
+    1500,
+    "#ff6633",
+  );
+  // Ominous two-tone warning sound (low sawtooth drones)
+  beep(150, 0.3, "sawtooth");
+  if (!fastForwarding) setTimeout(() => beep(200, 0.2, "sawtooth"), 150);
+});
+
+game.on("meteorShowerEnd", ({ bonus }) => {
+  DOM.score.textContent = game.score;
+  flash("score");
+  if (!fastForwarding) toast(`☄ Meteor shower survived! +${bonus} bonus`);
+});
+
+game.on("gameOver", (over) => setState("gameOver", over)); // Enter hook: endGame()
+
+// ─── Public API (window.LaserDefender) ───────────────────
+// Extensions hook into the game through one global instead of editing this
+// file — load a script after app.js and:
+//
+//   LaserDefender.on("enemyKilled", ({ enemy, points }) => …);
+//   LaserDefender.registerPlugin({
+//     name: "my-plugin",
+//     setup(api) { … },            // once, on registration
+//     stateChange(next, from) { … }, // every game state change (see Game States)
+//     draw(ctx, api) { … },        // after draw(), in world coordinates
+//     teardown() { … },            // when unregistered
+//   });
+//
+// Events and their payloads:
+//   gameStart          {difficulty, seed, level, startScore, replay,
+//                       players, lives, practice}
+//   shot               {x, y, player}
+//   enemyHit           {enemy, kind, part, player}
+//   enemyKilled        {enemy, kind, points, multiplier, part, player}
+//                      (kind: "enemy", "meteor", "bossPart" — one of the
+//                      boss's pods — or "boss", whose core was destroyed;
+//                      `part` is the pod or core hit, boss kinds only.
+//                      Meteors have no hit event — one shot breaks them —
+//                      so "meteor" only ever comes on enemyKilled.)
+//   playerHit          {by, lives, player}
+//   waveAdvance        {wave, boss, afterBoss}
+//   meteorShowerStart  {}
+//   meteorShowerEnd    {bonus}
+//   gameOver           {score, wave, enemiesKilled, shotsFired, shotsHit,
+//                       bestCombo, frame, cleared, accuracy, time,
+//                       players, difficulty, replay}
+//                      (players: {score, shotsFired, shotsHit, kills}
+//                      per ship)
+//   scoreSaved         {name, score, …the leaderboard entry, rank}
+//                      (rank: 0-based place on its level's board, -1 if
+//                      it didn't make the top 20)
+// gameStart, gameOver and scoreSaved come from the page (startGame, endGame,
+// saveScore); the rest are the engine's own events passed through, with the
+// engine's separate meteor and boss events folded into enemyHit and
+// enemyKilled (see TARGET_EVENTS), so one listener sees every kill.
+// `player` is the ship's index (0 = P1, 1 = P2 in co-op). Entities in those
+// payloads are pooled and reused (see Object Pools in engine.js), so copy
+// what you need instead of keeping them. Replays fire the same events as
+// live games — `replay` says which — even while a seek fast-forwards.
+//
+// Extensions can break themselves but never the game: a listener that
+// throws is logged and skipped, and a plugin hook that throws is logged and
+// the plugin unregistered.
+const ENGINE_EVENTS = [
+  "shot",
+  "enemyHit",
+  "enemyKilled",
+  "playerHit",
+  "waveAdvance",
+  "meteorShowerStart",
+  "meteorShowerEnd",
+];
+const PUBLIC_EVENTS = [...ENGINE_EVENTS, "gameStart", "gameOver", "scoreSaved"];
+// Engine event → [public event, kind] for everything a bullet can hit
+const TARGET_EVENTS = {
+  enemyHit: ["enemyHit", "enemy"],
+  enemyKilled: ["enemyKilled", "enemy"],
+  bossHit: ["enemyHit", "boss"],
+  bossPartDestroyed: ["enemyKilled", "bossPart"],
+  bossDefeated: ["enemyKilled", "boss"],
+  meteorKilled: ["enemyKilled", "meteor"],
+};
+
+const publicListeners = {}, // Event type → array of handler functions
+  plugins = []; // Registered plugins: {plugin, api, subs}, in registration order
+
+const LaserDefender = {
+  /**
+   * on() / off() — Subscribe to / unsubscribe from a public event.
+   * Unknown event names throw, so a typo fails loudly instead of silently.
+   */
+  on(type, fn) {
+    if (!PUBLIC_EVENTS.includes(type))
+      throw new Error(`LaserDefender: unknown event "${type}"`);
+    (publicListeners[type] ||= []).push(fn);
+  },
+  off(type, fn) {
+    const list = publicListeners[type];
+    if (list) list.splice(list.indexOf(fn) >>> 0, 1);
+  },
+  registerPlugin,
+  events: PUBLIC_EVENTS,
+  game, // The engine instance — read freely, drive it at your own risk
+  canvas,
+  world: { width: WORLD_W, height: WORLD_H },
+  /** The current game state (a STATES key, e.g. "playing"). */
+  get state() {
+    return state;
+  },
+};
+window.LaserDefender = LaserDefender;
+
+// The engine's events reach the public bus after the page's own handlers
+// above, so the HUD is already up to date when an extension hears of them.
+for (const type of ENGINE_EVENTS)
+  if (!TARGET_EVENTS[type])
+    game.on(type, (payload) => emitPublic(type, payload));
+for (const [type, [as, kind]] of Object.entries(TARGET_EVENTS))
+  game.on(type, (payload) => {
+    if (!publicListeners[as]?.length) return; // Nobody listening — skip the copy
+    const { meteor, boss, ...rest } = payload;
+    emitPublic(as, { ...rest, enemy: rest.enemy || meteor || boss, kind });
+  });
+
+/** emitPublic() — Call every public listener for `type` with `payload`. */
+function emitPublic(type, payload) {
+  const list = publicListeners[type];
+  if (!list) return;
+  for (const fn of list.slice())
+    try {
+      fn(payload);
+    } catch (err) {
+      console.error(`LaserDefender: a "${type}" listener failed`, err);
+    }
+}
+
+/**
+ * registerPlugin() — Add a plugin: an object with a unique `name` and any of
+ * the hooks setup(api), stateChange(next, from), draw(ctx, api) and
+ * teardown(). Hooks are called as methods, so `this` is the plugin.
+ *
+ * The api handed to the hooks is LaserDefender itself, except that its on()
+ * remembers the subscriptions, and unregistering removes them again.
+ *
+ * @param {Object} plugin
+ * @returns {function(): void} Unregisters the plugin (calling its teardown)
+ */
+function registerPlugin(plugin) {
+  const name = plugin?.name;
+  if (typeof name !== "string" || !name)
+    throw new Error("Plugin: needs a name");
+  if (plugins.some((p) => p.plugin.name === name))
+    throw new Error(`Plugin "${name}": already registered`);
+  const entry = { plugin, api: Object.create(LaserDefender), subs: [] };
+  entry.api.on = (type, fn) => {
+    LaserDefender.on(type, fn);
+    entry.subs.push([type, fn]);
+  };
+  plugins.push(entry);
+  callPlugin(entry, "setup", entry.api);
+  return () => removePlugin(entry);
+}
+
+/** removePlugin() — Unregister a plugin and drop its subscriptions. */
+function removePlugin(entry) {
+  const i = plugins.indexOf(entry);
+  if (i < 0) return; // Already gone
+  plugins.splice(i, 1);
+  for (const [type, fn] of entry.subs) LaserDefender.off(type, fn);
+  callPlugin(entry, "teardown");
+}
+
+/**
+ * callPlugin() — Run one hook of a plugin, if it has it. A hook that throws
+ * gets the plugin unregistered (its own teardown still runs, once).
+ */
+function callPlugin(entry, hook, ...args) {
+  const fn = entry.plugin[hook];
+  if (typeof fn !== "function") return;
+  try {
+    fn.apply(entry.plugin, args);
+  } catch (err) {
+    const name = entry.plugin.name;
+    console.error(`Plugin "${name}": ${hook}() failed — disabled`, err);
+    toast(`⚠ Plugin "${name}" failed and was disabled`);
+    removePlugin(entry);
+  }
+}
+
+/** pluginsStateChange() — Tell every plugin about a game state change. */
+function pluginsStateChange(next, from) {
+  for (const entry of plugins.slice())
+    callPlugin(entry, "stateChange", next, from);
+}
+
+/**
+ * drawPlugins() — Let every plugin draw over the finished frame, in world
+ * coordinates. Each gets a saved context, so whatever it changes (alpha,
+ * composite mode, transform) is undone before the next one draws.
+ */
+function drawPlugins() {
+  for (const entry of plugins.slice()) {
+    if (!entry.plugin.draw) continue;
+    ctx.save();
+    callPlugin(entry, "draw", ctx, entry.api);
+    ctx.restore();
+  }
+}
+
+// ─── Drawing Functions ───────────────────────────────────
+
+/**
+ * lerpX() / lerpY() — Interpolated render position of an entity.
+ *
+ * The engine moves entities in whole ticks, but display frames land anywhere
+ * between two ticks. Drawing at the latest tick position would make motion
+ * judder whenever the refresh rate isn't exactly 60Hz, so every entity keeps
+ * its previous-tick position (px, py) and the draw functions blend the two
+ * using renderAlpha (0 = previous tick, 1 = current tick).
+ *
+ * @param {Object} o - Entity with {x, y, px, py}
+ * @returns {number} The x (or y) coordinate to draw at this frame
+ */
+const lerpX = (o) => o.px + (o.x - o.px) * renderAlpha;
+const lerpY = (o) => o.py + (o.y - o.py) * renderAlpha;
+
+/**
+ * drawPlayers() — Render every ship in play: the "ship" sprite ("ship2" for
+ * player 2 in co-op), its "exhaust" animation below it (see BUILTIN_SPRITES
+ * for the built-in art) and, while a shield power-up is up, a pulsing frame
+ * around the hull. A downed co-op ship isn't drawn; a revived one blinks
+ * while nothing can hit it.
+ */
+function drawPlayers() {
+  for (const player of game.players) {
+    if (player.down) continue;
+    if (game.frame < player.safeUntil && game.frame % 8 < 4) continue; // Blink
+    const { w, h } = player,
+      x = lerpX(player),
+      y = lerpY(player);
+    drawSprite(player.id ? "ship2" : "ship", x, y, game.frame);
+    drawSprite("exhaust", x, y, game.frame);
+    // Shield power-up — a shimmering cyan frame 6px outside the hull
+    if (game.shield) {
+      ctx.fillStyle = `rgba(137,212,207,${0.5 + Math.sin(game.frame * 0.2) * 0.3})`;
+      ctx.fillRect(x - 6, y - 6, w + 12, 2); // Top
+      ctx.fillRect(x - 6, y + h + 6, w + 12, 2); // Bottom
+      ctx.fillRect(x - 6, y - 6, 2, h + 14); // Left
+      ctx.fillRect(x + w + 4, y - 6, 2, h + 14); // Right
+    }
+  }
+}
+
+/**
+ * drawGrunt() — The classic enemy: a bevelled block with a face (eyes,
+ * pupils, mouth). Shared by "normal" (red) and "fast" (pink) enemies, which
+ * differ only in palette, and the base several other sprites build on.
+ *
+ * The face is composed of:
+ *   - Two yellow eyes (8x8 squares)
+ *   - Two dark pupils (4x4 squares, centered in the eyes)
+ *   - A wide dark mouth (20x4 rectangle) — gives a menacing "grin"
+ *
+ * @param {CanvasRenderingContext2D} c - Context to paint on (the sprite atlas)
+ * @param {number} x, y, w, h - Where to draw and the hitbox size
+ * @param {string[]} pal      - [main, shadow, highlight] colors for pixRect
+ */
+function drawGrunt(c, x, y, w, h, pal) {
+  // Body — uses pixRect for 3D look, 2px inset from hitbox for visual padding
+  pixRect(x + 2, y + 2, w - 4, h - 4, ...pal, c);
+  // Eyes — two yellow squares positioned symmetrically
+  c.fillStyle = "#f5e6a3";
+  c.fillRect(x + 10, y + 12, 8, 8); // Left eye
+  c.fillRect(x + w - 18, y + 12, 8, 8); // Right eye
+  // Pupils — small dark squares centered within each eye
+  c.fillStyle = "#1e1830";
+  c.fillRect(x + 14, y + 16, 4, 4); // Left pupil
+  c.fillRect(x + w - 14, y + 16, 4, 4); // Right pupil
+  // Mouth — wide dark rectangle for a menacing appearance
+  c.fillRect(x + w / 2 - 10, y + 30, 20, 4);
+}
+
+/**
+ * ENEMY_ART — The built-in sprite of each enemy type id (see ENEMY_TYPES in
+ * engine.js), painted once into the sprite atlas as "enemy.<id>". Each entry
+ * is paint(c, x, y, w, h, i) drawing frame i at (x, y) with the type's hitbox
+ * size, plus the frames/fps of its animation and, for art that overhangs the
+ * hitbox, its offset and size (see BUILTIN_SPRITES). A type with no entry
+ * is drawn with the "normal" sprite, so an engine-side type works before it
+ * has art. Palettes are chosen so each behaviour reads at a glance:
+ *   - normal:  salmon red grunt (C.enemy, C.eDark, C.eHi)
+ *   - fast:    pink grunt — same shape, worth double
+ *   - zigzag:  teal grunt with a lightning-bolt stripe
+ *   - sine:    lavender jelly with tentacles that ripple (8 frames)
+ *   - diver:   gold arrowhead pointing down; "diver.hot" is the glowing
+ *              variant with an afterburn trail, drawn once it dives
+ *   - strafer: wide grey saucer with a row of chasing running lights (5 frames)
+ *   - shooter: purple grunt with a cannon that glows as the next shot nears
+ *              (6 frames over one fire cycle)
+ */
+const ENEMY_ART = {
+  normal: {
+    paint: (c, x, y, w, h) =>
+      drawGrunt(c, x, y, w, h, [C.enemy, C.eDark, C.eHi]),
+  },
+
+  fast: {
+    paint: (c, x, y, w, h) =>
+      drawGrunt(c, x, y, w, h, ["#f0b6c5", "#d890a0", "#f8d4de"]),
+  },
+
+  zigzag: {
+    paint: (c, x, y, w, h) => {
+      drawGrunt(c, x, y, w, h, ["#6ab8b3", "#4a9893", "#98d8c8"]);
+      c.fillStyle = "#f5e6a3"; // Bolt stripe across the forehead
+      c.fillRect(x + 8, y + 5, 10, 4);
+      c.fillRect(x + 18, y + 7, 12, 4);
+      c.fillRect(x + 30, y + 5, 10, 4);
+    },
+  },
+
+  sine: {
+    frames: 8,
+    fps: 12, // One ripple ≈ 0.67s
+    paint: (c, x, y, w, h, i) => {
+      pixRect(x + 4, y + 2, w - 8, 26, "#b8a0d8", "#9078b8", "#d8c8f0", c); // Bell
+      c.fillStyle = "#1e1830";
+      c.fillRect(x + 14, y + 12, 6, 6); // Eyes
+      c.fillRect(x + w - 20, y + 12, 6, 6);
+      // Four tentacles, each swaying a little behind the one before it
+      c.fillStyle = "#9078b8";
+      for (let j = 0; j < 4; j++) {
+        const sway = Math.round(Math.sin((i / 8) * Math.PI * 2 + j) * 3);
+        c.fillRect(x + 8 + j * 10 + sway, y + 28, 4, 16);
+      }
+    },
+  },
+
+  diver: {
+    paint: (c, x, y, w) => paintDiver(c, x, y, w, false),
+  },
+  "diver.hot": {
+    offset: [0, -10], // The trail streams out above the hitbox
+    size: [40, 50],
+    paint: (c, x, y, w) => {
+      paintDiver(c, x, y, w, true);
+      c.fillStyle = "rgba(255,102,51,0.35)"; // Afterburn trail behind the dive
+      c.fillRect(x + w / 2 - 6, y - 10, 12, 10);
+    },
+  },
+
+  strafer: {
+    frames: 5,
+    fps: 10, // The lit light moves on every 6 ticks
+    paint: (c, x, y, w, h, i) => {
+      pixRect(x + 10, y, w - 20, 14, "#9e95a8", "#6e6580", "#c4b8d0", c); // Dome
+      pixRect(x, y + 12, w, h - 20, "#6e6580", "#3f3550", "#9e95a8", c); // Hull
+      // Running lights — one lit at a time, chasing along the hull
+      for (let j = 0; j < 5; j++) {
+        c.fillStyle = j === i ? "#f5e6a3" : "#2d2438";
+        c.fillRect(x + 6 + j * 10, y + 18, 6, 4);
+      }
+    },
+  },
+
+  shooter: {
+    frames: 6,
+    fps: 6000 / (ENEMY_TYPES.shooter.fireRate * TICK_MS), // 6 frames per shot
+    paint: (c, x, y, w, h, i) => {
+      const charge = i / 6; // 0 just fired → 1 about to
+      drawGrunt(c, x, y, w, h - 8, ["#a070c0", "#7850a0", "#c8a0e0"]);
+      pixRect(
+        x + w / 2 - 6,
+        y + h - 12,
+        12,
+        12,
+        "#3f3550",
+        "#2d2438",
+        "#6e6580",
+        c,
+      ); // Cannon
+      c.fillStyle = `rgba(240,182,197,${0.2 + charge * 0.8})`; // Muzzle charge-up
+      c.fillRect(x + w / 2 - 3, y + h - 4, 6, 4);
+    },
+  },
+};
+
+/** paintDiver() — The diver's arrowhead, cool while creeping in, hot once diving. */
+function paintDiver(c, x, y, w, hot) {
+  // Arrowhead built from shrinking rows — reads as "pointing at you"
+  c.fillStyle = hot ? "#ff6633" : "#f0c85a";
+  for (let r = 0; r < 5; r++) c.fillRect(x + r * 4, y + r * 8, w - r * 8, 8);
+  c.fillStyle = hot ? "#f5e6a3" : "#1e1830";
+  c.fillRect(x + w / 2 - 4, y + 10, 8, 8); // Single eye
+}
+
+/**
+ * drawEnemy() — Render one enemy with the sprite for its type ("enemy.<id>",
+ * or its ".hot" variant while diving). Animations run on the enemy's own
+ * age, so a shooter's glow stays in step with its fire timer.
+ * @param {Object} e - Enemy object with {x, y, px, py, w, h, type, ...}
+ */
+function drawEnemy(e) {
+  const [key, hot] = (enemyKeys[e.type] ||= [
+      "enemy." + e.type,
+      "enemy." + e.type + ".hot",
+    ]),
+    x = lerpX(e),
+    y = lerpY(e),
+    age = game.frame - e.born;
+  if (e.diving && drawSprite(hot, x, y, age)) return;
+  if (!drawSprite(key, x, y, age))
+    drawSprite("enemy.normal", x, y, age, e.w, e.h); // No art for this type yet
+}
+const enemyKeys = {}; // Enemy type id → its [sprite key, ".hot" key] (built once)
+
+/**
+ * drawBoss() — Render the boss hull and its parts.
+ *
+ * The hull is a wide bevelled slab with a darker strut beneath. Each pod is a
+ * cannon block that flashes white for a few ticks when hit (see bossFlash) and leaves a
+ * smoking stump once destroyed. The core is a shuttered eye: closed
+ * (grey shutters) while the pods protect it, then open and glowing, pulsing
+ * faster in the "rage" phase.
+ */
+function drawBoss() {
+  const b = game.boss;
+  if (!b) return;
+  const x = lerpX(b),
+    y = lerpY(b),
+    { w } = b;
+  // Hull (matches the engine's hull hitbox) and the strut the parts hang from
+  pixRect(x + 20, y, w - 40, 50, "#6e6580", "#3f3550", "#9e95a8");
+  pixRect(x + 36, y + 36, w - 72, 14, "#3f3550", "#2d2438", "#6e6580");
+  for (const part of b.parts) {
+    const px = x + part.dx,
+      py = y + part.dy;
+    if (part.id === "core") {
+      const open = b.phase !== "pods",
+        pulse =
+          0.6 + Math.sin(game.frame * (b.phase === "rage" ? 0.5 : 0.2)) * 0.4;
+      pixRect(px, py, part.w, part.h, "#1e1830", "#2d2438", "#6e6580"); // Socket
+      if (!open) {
+        // Shutters — horizontal slats across the closed eye
+        ctx.fillStyle = "#9e95a8";
+        for (let i = 0; i < 4; i++)
+          ctx.fillRect(px + 6, py + 8 + i * 12, part.w - 12, 8);
+      } else if (part.health > 0) {
+        ctx.fillStyle = `rgba(232,141,141,${pulse})`; // Glowing iris
+        ctx.fillRect(px + 10, py + 10, part.w - 20, part.h - 20);
+        ctx.fillStyle = "#f5e6a3"; // Pupil — the weak spot
+        ctx.fillRect(px + part.w / 2 - 6, py + part.h / 2 - 6, 12, 12);
+      }
+    } else if (part.health > 0) {
+      const hitFlash =
+        bossFlash.part === part && game.frame - bossFlash.frame < 3;
+      pixRect(
+        px,
+        py,
+        part.w,
+        part.h,
+        hitFlash ? "#ffffff" : "#a070c0",
+        "#7850a0",
+        "#c8a0e0",
+      );
+      ctx.fillStyle = "#2d2438"; // Cannon mouth
+      ctx.fillRect(px + part.w / 2 - 6, py + part.h - 8, 12, 8);
+    } else {
+      // Destroyed pod — charred stump with a flickering ember
+      ctx.fillStyle = "#2d2438";
+      ctx.fillRect(px + 6, py, part.w - 12, part.h / 2);
+      ctx.fillStyle = game.frame % 8 < 4 ? "#ff6633" : "#f0c85a";
+      ctx.fillRect(px + part.w / 2 - 3, py + part.h / 2 - 6, 6, 6);
+    }
+  }
+}
+
+/**
+ * drawBossBar() — Boss health bar across the top of the playfield: a dark
+ * track, a red fill proportional to the boss's remaining total health, tick
+ * marks where the pods' share ends, and a "BOSS" label.
+ */
+function drawBossBar() {
+  const b = game.boss;
+  if (!b) return;
+  const x = 40,
+    y = 14,
+    w = WORLD_W - 80,
+    h = 10,
+    podShare = (b.parts[0].max + b.parts[1].max) / b.maxHealth;
+  ctx.fillStyle = "#1e1830";
+  ctx.fillRect(x - 2, y - 2, w + 4, h + 4);
+  ctx.fillStyle = b.phase === "rage" ? "#ff6633" : "#e88d8d";
+  ctx.fillRect(x, y, (w * b.health) / b.maxHealth, h);
+  ctx.fillStyle = "#f5e6a3"; // Marker: below this, only the core is left
+  ctx.fillRect(x + w * (1 - podShare), y - 2, 2, h + 4);
+  ctx.font = '8px "Press Start 2P", monospace';
+  ctx.fillText(b.level > 1 ? `BOSS MK ${b.level}` : "BOSS", x, y + h + 12);
+}
+
+/**
+ * PICKUP_STYLE — Look of each power-up kind (see POWERUPS in engine.js):
+ * capsule colors for pixRect and the glyph shown on it and in the HUD chip.
+ */
+const PICKUP_STYLE = {
+  spread: { glyph: "W", pal: ["#f0c85a", "#c8a040", "#f5e6a3"] },
+  rapid: { glyph: "R", pal: ["#e88d8d", "#cc6666", "#f0b6c5"] },
+  shield: { glyph: "S", pal: ["#89d4cf", "#6ab8b3", "#c8f0ec"] },
+  life: { glyph: "+", pal: ["#7ec8a0", "#5fa880", "#a2dbb8"] },
+};
+
+/**
+ * drawPickups() — Render falling power-ups as bevelled capsules with their
+ * glyph, bobbing gently and blinking a bright rim so they read as
+ * collectible rather than as another projectile.
+ */
+function drawPickups() {
+  const pickups = game.pickups;
+  ctx.font = '10px "Press Start 2P", monospace';
+  for (let i = 0; i < pickups.length; i++) {
+    const pu = pickups[i],
+      st = PICKUP_STYLE[pu.kind] || PICKUP_STYLE.spread,
+      x = lerpX(pu),
+      y = lerpY(pu) + Math.sin(game.frame * 0.2 + i) * 2; // Bob ±2px
+    if (game.frame % 20 < 10) {
+      ctx.fillStyle = "#ffffff"; // Blinking rim
+      ctx.fillRect(x - 2, y - 2, pu.w + 4, pu.h + 4);
+    }
+    pixRect(x, y, pu.w, pu.h, ...st.pal);
+    ctx.fillStyle = "#1e1830";
+    ctx.fillText(st.glyph, x + 5, y + 15);
+  }
+}
+
+/**
+ * drawEnemyBullets() — Render enemy projectiles ("enemyBullet": pink bolts
+ * with a bright core, visibly different from the player's yellow lasers).
+ */
+function drawEnemyBullets() {
+  const shots = game.enemyBullets;
+  for (let i = 0; i < shots.length; i++)
+    drawSprite("enemyBullet", lerpX(shots[i]), lerpY(shots[i]), game.frame);
+}
+
+/** drawMeteors() — Render all active meteors (the "meteor" sprite). */
+function drawMeteors() {
+  const meteors = game.meteors;
+  for (let i = 0; i < meteors.length; i++)
+    drawSprite("meteor", lerpX(meteors[i]), lerpY(meteors[i]), game.frame);
+}
+
+// ─── Sprite Atlas & Skins ────────────────────────────────
+// The ship, enemies, bullets and meteors are sprites: named images that
+// draw() blits with one drawImage() each, instead of rebuilding them from
+// a dozen fillRect()s every frame.
+//
+// The built-in art is still the procedural painting above and below — but it
+// runs once, at load: buildAtlas() paints every frame of every sprite into a
+// single offscreen canvas (the atlas), one row per sprite. All the art sits
+// on whole world units, so the atlas is drawn at one pixel per unit and the
+// viewport's nearest-neighbour scaling keeps it exactly as sharp as before.
+// Animation that used to come from game.frame inside the painters (exhaust
+// flicker, tentacle ripple, running lights, cannon charge) is now a handful
+// of pre-painted frames.
+//
+// A skin replaces any of those sprites with frames from a PNG sprite sheet,
+// described by a JSON frame map (see loadSkin). Sprites a skin leaves out
+// keep the built-in art, so a skin can be as small as a new ship.
+//
+// Sprite keys: ship, ship2 (player 2 in co-op), exhaust, bullet,
+// enemyBullet, meteor, enemy.<type id> and enemy.diver.hot. The boss,
+// pickups and particles stay procedural — their looks depend on health, text
+// and per-particle colour.
+//
+// Each sprite: {image, frames: [[sx, sy, sw, sh], ...], fps, offset: [dx, dy],
+// size: [w, h]}. It is drawn at the entity's position + offset, at `size`
+// world units; frame n shows n / fps seconds into its animation, timed by
+// the game clock (enemies: their own age).
+const ATLAS_PAD = 2; // Empty pixels between atlas frames, so scaling never bleeds
+
+/**
+ * BUILTIN_SPRITES — The built-in (procedural) art besides the enemies (see
+ * ENEMY_ART). paint(c, x, y, w, h, i) draws frame i of the sprite for an
+ * entity at (x, y) with a w x h hitbox (`hit`); `offset` and `size` give the
+ * box the art fills relative to that position (default: [0, 0] and the hitbox).
+ */
+const BUILTIN_SPRITES = {
+  // The ship (48x32), built from overlapping rectangles drawn with pixRect()
+  // for the 3D extruded look (see paintShip).
+  ship: {
+    hit: [48, 32],
+    paint: (c, x, y, w, h) =>
+      paintShip(c, x, y, w, h, [C.pBody, C.pDark, C.pHi, "#3f8870"]),
+  },
+
+  // Player 2's ship in co-op — the same hull in sky blue
+  ship2: {
+    hit: [48, 32],
+    paint: (c, x, y, w, h) =>
+      paintShip(c, x, y, w, h, [C.p2Body, C.p2Dark, C.p2Hi, "#4a78a8"]),
+  },
+
+  // Engine glow below the ship: the outer glow is peach and the inner one
+  // yellow, simulating heat gradation. The alpha follows one sine cycle
+  // (0.2 to 1.0) over the 8 frames — about 21 ticks, a rapid thruster flicker.
+  exhaust: {
+    hit: [48, 32], // Laid out on the ship
+    offset: [18, 32],
+    size: [12, 6],
+    frames: 8,
+    fps: 23,
+    paint: (c, x, y, w, h, i) => {
+      const a = 0.6 + Math.sin((i / 8) * Math.PI * 2) * 0.4;
+      c.fillStyle = `rgba(247,197,168,${a})`; // Outer glow: warm peach
+      c.fillRect(x + 18, y + h, 12, 4); // Wider outer exhaust
+      c.fillStyle = `rgba(245,230,163,${a})`; // Inner glow: bright yellow (hotter center)
+      c.fillRect(x + 20, y + h + 4, 8, 2); // Narrower inner exhaust flame
+    },
+  },
+
+  // Player laser — an outer fill and an inner shadow for a subtle 3D look
+  // (same technique as pixRect but simplified)
+  bullet: {
+    hit: [8, 16],
+    paint: (c, x, y, w, h) => {
+      c.fillStyle = C.bullet; // Outer fill: warm yellow
+      c.fillRect(x, y, w, h);
+      c.fillStyle = C.bulletSh; // Inner shadow: darker yellow
+      c.fillRect(x + 2, y + 2, w - 4, h - 4); // 2px inset on all sides
+    },
+  },
+
+  // Enemy projectile — a pink bolt with a bright core
+  enemyBullet: {
+    hit: [6, 12],
+    paint: (c, x, y, w, h) => {
+      c.fillStyle = "#f0b6c5";
+      c.fillRect(x, y, w, h);
+      c.fillStyle = "#f8d4de";
+      c.fillRect(x + 2, y + 2, w - 4, h - 4);
+    },
+  },
+
+  // Meteor — an orange body, a darker inset core and a semi-transparent
+  // heat trail above it (atmospheric entry)
+  meteor: {
+    hit: [16, 16],
+    offset: [0, -6],
+    size: [16, 22],
+    paint: (c, x, y, w, h) => {
+      c.fillStyle = C.meteor;
+      c.fillRect(x, y, w, h); // Outer body
+      c.fillStyle = "#ff4400";
+      c.fillRect(x + 2, y + 2, w - 4, h - 4); // Inner core (2px inset)
+      c.fillStyle = "rgba(255, 102, 51, 0.3)";
+      c.fillRect(x + 4, y - 6, w - 8, 6); // Trailing glow
+    },
+  },
+};
+
+/**
+ * paintShip() — The player ship in one palette. Anatomy from top to bottom:
+ *   - Cockpit: small dark rectangle at the top (y+4)
+ *   - Main body: center section in the palette's main colour
+ *   - Wings: two small rectangles on left and right sides
+ * @param {string[]} pal - [main, shadow, highlight, deep shadow] colors
+ */
+function paintShip(c, x, y, w, h, [body, dark, hi, deep]) {
+  // Main body — centered horizontally (4px inset on each side), offset down 8px
+  pixRect(x + 4, y + 8, w - 8, h - 12, body, dark, hi, c);
+  // Cockpit — small dark block at the top center (the "windshield")
+  c.fillStyle = dark;
+  c.fillRect(x + 18, y + 4, 12, 8);
+  // Wings — left and right protrusions, darker with their own 3D shading
+  pixRect(x, y + 16, 8, 16, dark, deep, body, c); // Left wing
+  pixRect(x + w - 8, y + 16, 8, 16, dark, deep, body, c); // Right wing
+}
+
+/**
+ * buildAtlas() — Paint the built-in sprites (BUILTIN_SPRITES plus one
+ * "enemy.<id>" per ENEMY_ART entry) into one offscreen canvas.
+ * @returns {Object} The built-in skin: {name, image, sprites}
+ */
+function buildAtlas() {
+  const defs = {};
+  for (const key in BUILTIN_SPRITES)
+    defs[key] = { size: BUILTIN_SPRITES[key].hit, ...BUILTIN_SPRITES[key] };
+  for (const id in ENEMY_ART) {
+    const t = ENEMY_TYPES[id.split(".")[0]] || {},
+      hit = [t.w || 48, t.h || 48];
+    defs["enemy." + id] = { hit, size: hit, ...ENEMY_ART[id] };
+  }
+
+  // One row per sprite, its frames side by side
+  let width = 0,
+    height = 0;
+  for (const key in defs) {
+    const [w, h] = defs[key].size;
+    width = Math.max(width, (defs[key].frames || 1) * (w + ATLAS_PAD));
+    height += h + ATLAS_PAD;
+  }
+  const image = document.createElement("canvas");
+  image.width = width;
+  image.height = height;
+  const c = image.getContext("2d"),
+    sprites = {};
+  let top = 0;
+  for (const key in defs) {
+    const d = defs[key],
+      [w, h] = d.size,
+      [dx, dy] = d.offset || [0, 0],
+      frames = [];
+    for (let i = 0; i < (d.frames || 1); i++) {
+      const left = i * (w + ATLAS_PAD);
+      c.save();
+      c.beginPath();
+      c.rect(left, top, w, h); // Keep every frame inside its own cell
+      c.clip();
+      d.paint(c, left - dx, top - dy, ...d.hit, i);
+      c.restore();
+      frames.push([left, top, w, h]);
+    }
+    sprites[key] = {
+      image,
+      frames,
+      fps: d.fps || 0,
+      offset: [dx, dy],
+      size: [w, h],
+    };
+    top += h + ATLAS_PAD;
+  }
+  return { name: "Built-in", image, sprites };
+}
+
+const builtinSkin = buildAtlas();
+let skin = null; // The loaded sprite-sheet skin (see loadSkin), or null for the built-in art
+
+/**
+ * drawSprite() — Blit the current frame of a sprite for an entity at (x, y):
+ * from the loaded skin if it has the sprite, otherwise the built-in atlas.
+ *
+ * @param {string} key    - Sprite key (see the section comment)
+ * @param {number} x, y   - The entity's interpolated position
+ * @param {number} clock  - Ticks on the sprite's animation clock
+ * @param {number} [w, h] - Draw size in world units (default: the sprite's)
+ * @returns {boolean} false if no skin has the sprite (nothing drawn)
+ */
+function drawSprite(key, x, y, clock, w, h) {
+  const s = skin?.sprites[key] || builtinSkin.sprites[key];
+  if (!s) return false;
+  const n = s.frames.length,
+    f = s.frames[n > 1 ? Math.floor((clock * TICK_MS * s.fps) / 1000) % n : 0];
+  ctx.drawImage(
+    s.image,
+    f[0],
+    f[1],
+    f[2],
+    f[3],
+    x + s.offset[0],
+    y + s.offset[1],
+    w ?? s.size[0],
+    h ?? s.size[1],
+  );
+  return true;
+}
+
+/**
+ * loadSkin() — Load a sprite-sheet skin and make it the active one.
+ *
+ * A skin is a JSON frame map next to a PNG sheet:
+ *
+ *   {
+ *     "name": "Neon",
+ *     "image": "neon.png",
+ *     "sprites": {
+ *       "ship": { "frames": [[0, 0, 96, 64]] },
+ *       "exhaust": { "frames": [[0, 64, 24, 12], [24, 64, 24, 12]], "fps": 12 },
+ *       "enemy.sine": { "frames": [[0, 80, 96, 96], [96, 80, 96, 96]], "fps": 4 }
+ *     }
+ *   }
+ *
+ * Frames are [x, y, w, h] rectangles in sheet pixels, shown in order at
+ * `fps`. `offset` and `size` (world units) default to the built-in sprite's,
+ * so a sheet drawn at 2x just lines up. The image path is relative to the
+ * JSON file. The page loads the skin named by a ?skin=<url> query parameter.
+ *
+ * @param {string} url - URL of the JSON frame map
+ * @returns {Promise<Object>} The skin, now active
+ * @throws {Error} If the map or sheet can't be loaded, or a frame is malformed
+ */
+async function loadSkin(url) {
+  const base = new URL(url, location.href),
+    res = await fetch(base);
+  if (!res.ok) throw new Error(`Skin ${url}: HTTP ${res.status}`);
+  const map = await res.json(),
+    name = map.name || url;
+  if (typeof map.image !== "string" || typeof map.sprites !== "object")
+    throw new Error(`Skin "${name}": needs an "image" and a "sprites" map`);
+
+  const image = new Image();
+  image.src = new URL(map.image, base).href;
+  await image.decode().catch(() => {
+    throw new Error(`Skin "${name}": can't load ${map.image}`);
+  });
+
+  const sprites = {};
+  for (const key in map.sprites) {
+    const def = map.sprites[key],
+      builtin = builtinSkin.sprites[key] || {},
+      frames = def.frames;
+    if (!Array.isArray(frames) || !frames.length)
+      throw new Error(`Skin "${name}": sprite ${key}: no frames`);
+    for (const f of frames) {
+      const ok =
+        Array.isArray(f) &&
+        f.length === 4 &&
+        f.every((v) => typeof v === "number" && v >= 0) &&
+        f[0] + f[2] <= image.naturalWidth &&
+        f[1] + f[3] <= image.naturalHeight;
+      if (!ok)
+        throw new Error(
+          `Skin "${name}": sprite ${key}: frame ${JSON.stringify(f)} is not inside the ${image.naturalWidth}x${image.naturalHeight} sheet`,
+        );
+    }
+    sprites[key] = {
+      image,
+      frames,
+      fps: def.fps ?? (builtin.fps || 8),
+      offset: def.offset || builtin.offset || [0, 0],
+      size: def.size || builtin.size || frames[0].slice(2),
+    };
+  }
+  skin = { name, image, sprites };
+  return skin;
+}
+
+// ─── Particle Looks ──────────────────────────────────────
+// The engine emits particles from named presets (EMITTERS in engine.js) and
+// moves them; what each preset looks like is decided here:
+//   shape:  "square" | "circle" | "spark" (a streak along its velocity) |
+//           "ring" (an outline whose radius is the particle's size)
+//   colors: colour ramp from birth to death; null stands for the tint the
+//           engine passed with the burst (e.g. the colour of what exploded)
+//   blend:  "lighter" for additive blending — glows that brighten what they
+//           cross (thrusters, fire, sparks); default normal painting
+// Every particle also fades out over its life (alpha = life / max). A preset
+// with no entry here is drawn as an explosion.
+const PARTICLE_LOOKS = {
+  explosion: { shape: "square", colors: [null, "#ff6633", "#3f3550"] },
+  debris: { shape: "square", colors: [null, "#6e6580", "#2d2438"] },
+  sparks: {
+    shape: "spark",
+    colors: ["#ffffff", null, "#ff6633"],
+    blend: "lighter",
+  },
+  shockwave: {
+    shape: "ring",
+    colors: ["#ffffff", null, null],
+    blend: "lighter",
+  },
+  thruster: {
+    shape: "circle",
+    colors: ["#f5e6a3", "#f7c5a8", "#e88d8d"],
+    blend: "lighter",
+  },
+  meteorTail: {
+    shape: "circle",
+    colors: ["#f5e6a3", "#ff6633", "#3f3550"],
+    blend: "lighter",
+  },
+  shield: { shape: "square", colors: ["#c8f0ec", "#89d4cf"], blend: "lighter" },
+};
+const RAMP_STEPS = 16; // Colours per ramp, sampled by life
+const ramps = new Map(); // "kind|tint" → RAMP_STEPS CSS colours (built on first use)
+
+/**
+ * particleRamp() — The colour ramp for a preset and tint: RAMP_STEPS colours
+ * interpolated between the look's stops, built once per combination so the
+ * draw loop only indexes into it.
+ * @param {Object} look   - PARTICLE_LOOKS entry
+ * @param {string} kind   - Its preset name (the cache key)
+ * @param {string} [tint] - The burst's "#rrggbb" colour (fills the null stops)
+ * @returns {string[]}
+ */
+function particleRamp(look, kind, tint) {
+  const id = kind + "|" + tint;
+  let ramp = ramps.get(id);
+  if (ramp) return ramp;
+  const rgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16)),
+    stops = look.colors.map((c) => rgb(c || tint || C.particle));
+  ramp = [];
+  for (let i = 0; i < RAMP_STEPS; i++) {
+    const t = (i / (RAMP_STEPS - 1)) * (stops.length - 1),
+      k = Math.min(Math.floor(t), stops.length - 2),
+      [a, b] = [stops[k], stops[k + 1] || stops[k]],
+      f = t - k;
+    ramp.push(`rgb(${a.map((v, j) => Math.round(v + (b[j] - v) * f))})`);
+  }
+  ramps.set(id, ramp);
+  return ramp;
+}
+
+/**
+ * drawParticles() — Render every particle with its preset's look. Normal
+ * particles are painted first, then the additive ones on top in a second
+ * pass, so the composite mode switches only twice a frame.
+ *
+ * Alpha and colour step per tick, not per frame — over lives of 6–45 ticks
+ * interpolating them as well would be invisible. globalAlpha and the
+ * composite mode are reset afterwards, or every later draw (pause overlay,
+ * next frame) would inherit them.
+ */
+function drawParticles() {
+  const particles = game.particles;
+  if (!particles.length) return;
+  for (const additive of [false, true]) {
+    ctx.globalCompositeOperation = additive ? "lighter" : "source-over";
+    for (let i = 0; i < particles.length; i++) {
+      const p = particles[i],
+        look = PARTICLE_LOOKS[p.kind] || PARTICLE_LOOKS.explosion;
+      if ((look.blend === "lighter") !== additive) continue;
+      const age = 1 - p.life / p.max,
+        color = particleRamp(look, p.kind, p.color)[
+          Math.floor(age * (RAMP_STEPS - 1))
+        ],
+        x = lerpX(p),
+        y = lerpY(p),
+        s = p.size;
+      ctx.globalAlpha = p.life / p.max; // Fade: fully opaque at birth → gone
+      if (look.shape === "spark" || look.shape === "ring") {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = look.shape === "ring" ? 2 : s;
+        ctx.beginPath();
+        if (look.shape === "ring") ctx.arc(x, y, s, 0, Math.PI * 2);
+        else {
+          ctx.moveTo(x - p.vx * 1.5, y - p.vy * 1.5); // Streak behind it
+          ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+      } else {
+        ctx.fillStyle = color;
+        if (look.shape === "circle") {
+          ctx.beginPath();
+          ctx.arc(x, y, s / 2, 0, Math.PI * 2);
+          ctx.fill();
+        } else ctx.fillRect(x - s / 2, y - s / 2, s, s);
+      }
+    }
+  }
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = "source-over";
+}
+
+// ─── Game Loop (Update + Draw) ───────────────────────────
+
+/**
+ * update() — Run one fixed tick (60/second) of the game.
+ *
+ * The game rules themselves live in the engine's step() (see engine.js for
+ * the order of operations inside a tick). Around it, this function does the
+ * page's share of the tick:
+ *   1. Poll gamepads, then gather the tick's input and any easter-egg
+ *      bonus (live or recorded)
+ *   2. game.step() — movement, spawning, collisions, waves, meteors; HUD and
+ *      sound reactions arrive through the engine events handled above
+ *   3. Refresh the time display and power-up/heat/co-op HUD
+ *   4. End a replay that has run past the end of its recording
+ */
+function update() {
+  if (!game.running) return; // Game over (gameLoop only ticks in states that allow it)
+  if (!replayMode) pollGamepads(); // Fresh pad state into `keys` for this tick
+  if (practice.active && practice.lives) holdLives(); // ♾ LIVES (see Practice Mode)
+  game.step(readInput(), takeBonus());
+  stepGhost(); // The ghost's tick at the same elapsed time (see Ghost Racing)
+  DOM.timeDisplay.textContent = fmtTime(game.elapsedTime);
+  renderPowerHud(); // Power-up countdowns
+  renderHeat();
+  renderCoopHud();
+  updatePopups();
+
+  // A replay that outlives its recording (e.g. recorded by an older version
+  // that played out differently) stops where the recording stops.
+  if (replayMode && game.running && game.frame >= replay.ticks) game.end();
+}
+
+/**
+ * draw() — Render the entire game scene to the canvas.
+ *
+ * RENDER ORDER (back to front — "painter's algorithm"):
+ *   1. Background gradient (clears the canvas)
+ *   2. Parallax sky — stars, nebulae, planets (behind everything)
+ *   3. Player ship (above the sky, and above the ghost when racing one)
+ *   4. Bullets (above player)
+ *   5. Enemies (above bullets — enemies are the main visual focus)
+ *   6. Meteors (above enemies — they're a foreground hazard)
+ *   7. Particles (topmost game objects — explosions should be visible over everything)
+ *   8. Pause dimmer (semi-transparent overlay, only when paused)
+ *
+ * This order ensures that foreground elements (particles, meteors) are never
+ * obscured by background elements (stars, player). Canvas draws are cumulative
+ * — each fillRect paints over whatever was drawn before it.
+ *
+ * gameLoop() calls this in the states that show a run (`scene` in STATES);
+ * the others — boot and title — only draw the sky.
+ */
+function draw() {
+  const { bullets, enemies } = game;
+
+  // Step 1: Clear the entire canvas and fill the playfield with the pre-cached
+  // background gradient (beginFrame also sets the world-to-device transform).
+  // This also serves as the "erase" step — without it, previous frames would persist.
+  beginFrame();
+
+  // Step 2: Draw the parallax sky (moved by gameLoop, see updateSky).
+  // Stars are drawn as simple squares (fillRect) rather than circles for the pixel-art aesthetic.
+  drawSky();
+
+  // Step 3: Draw the player ship(s), over the ghost's if racing one
+  drawGhost();
+  drawPlayers();
+
+  // Step 4: Draw all active bullets
+  for (let i = 0; i < bullets.length; i++)
+    drawSprite("bullet", lerpX(bullets[i]), lerpY(bullets[i]), game.frame);
+
+  // Step 5: Draw all enemies (each type has its own sprite), then
+  // their projectiles on top so a shot leaving a cannon is never hidden
+  for (let i = 0; i < enemies.length; i++) drawEnemy(enemies[i]);
+  drawBoss();
+  drawEnemyBullets();
+  drawPickups();
+
+  // Step 6: Draw meteors (if a meteor shower is active)
+  drawMeteors();
+
+  // Step 7: Draw particles — explosions, sparks, trails — fading out (see
+  // Particle Looks)
+  drawParticles();
+
+  // Step 7b: Practice hitboxes over the sprites, then score popups and the
+  // boss health bar, on top of the playfield
+  drawHitboxes();
+  drawPopups();
+  drawBossBar();
+
+  // Step 8: When paused, draw a semi-transparent black overlay to dim the game.
+  // This visually signals "paused" without hiding the game state entirely.
+  if (state === "paused") {
+    ctx.fillStyle = "rgba(0,0,0,.3)"; // 30% black — enough to dim, not to obscure
+    ctx.fillRect(0, 0, WORLD_W, WORLD_H);
+  }
+
+  // Step 9: Let registered plugins draw over the finished frame (see Public API)
+  drawPlugins();
+}
+
+/**
+ * gameLoop() — Main requestAnimationFrame loop with a fixed-timestep accumulator.
+ *
+ * requestAnimationFrame (rAF) is the browser's recommended way to run animations.
+ * Unlike setInterval, rAF:
+ *   - Syncs to the display refresh rate (60, 120, 144Hz...) for smooth animation
+ *   - Automatically pauses when the tab is hidden (saves CPU/battery)
+ *   - Provides optimal frame timing (no drift, no double-frames)
+ *
+ * But because the refresh rate varies, rAF frames can't be the unit of game
+ * time. Instead each frame adds its real duration to `accumulator` and update()
+ * runs once per whole TICK_MS it contains; the leftover fraction becomes
+ * renderAlpha so draw() can interpolate between the last two ticks:
+ *
+ *   144Hz (6.9ms frames):  tick on ~2 of every 5 frames, interpolate the rest
+ *    60Hz (16.7ms frames): one tick per frame
+ *    30Hz (33.3ms frames): two ticks per frame
+ *
+ * Time is only accumulated in states that tick (see Game States) — while
+ * paused, counting down or after game over renderAlpha is left untouched, so
+ * the frozen scene doesn't jitter and no backlog of ticks builds up to be
+ * replayed on resume.
+ *
+ * Replays at 2x/4x simply feed the accumulator `playbackSpeed` times faster
+ * (and 🐢 50% practice half as fast — see Practice Mode).
+ *
+ * This is the page's one loop: started once at load, it never stops, and the
+ * current state decides what each frame does — tick or not, run the state's
+ * frame() hook, move the sky, and draw either the run's scene or just the
+ * sky (boot and title). Only ever one copy is scheduled, so no two loops can
+ * tick the same game.
+ *
+ * @param {DOMHighResTimeStamp} now - Frame timestamp supplied by rAF
+ */
+function gameLoop(now) {
+  if (lastFrameTime === null) lastFrameTime = now; // First frame: start timing from here
+  const delta = Math.min(now - lastFrameTime, MAX_FRAME_MS); // Clamp throttled/hidden-tab gaps
+  lastFrameTime = now;
+  stateTime += delta;
+  if (padCount) pollGamepads(); // Menus and pause too, not just ticks (see Gamepad Input)
+
+  if (STATES[state].ticks) {
+    accumulator += delta * playbackSpeed;
+    // Run as many whole ticks as the accumulated time allows. A tick can
+    // change the state (game over, a new wave), so it is checked before each.
+    while (accumulator >= TICK_MS && STATES[state].ticks) {
+      update(); // Process one tick of game logic
+      accumulator -= TICK_MS;
+      STATES[state].tick?.();
+    }
+    renderAlpha = accumulator / TICK_MS; // Fraction of the way to the next tick
+  }
+  STATES[state].frame?.();
+
+  updateSky(delta / TICK_MS); // Real time, so the sky eases to a stop while paused
+  if (STATES[state].scene)
+    draw(); // Render the current state to canvas
+  else {
+    beginFrame();
+    drawSky();
+  }
+  if (replayMode) updateReplayBar(); // Keep the scrubber in step with playback
+  requestAnimationFrame(gameLoop); // Schedule next frame
+}
+
+// ─── Game Over & Score Saving ────────────────────────────
+
+/**
+ * endGame() — Compute final statistics and fill in the game over screen.
+ *
+ * The gameOver state's enter hook, entered on the engine's "gameOver" event,
+ * fired when lives reach 0 (or when a replay is stopped at the end of its
+ * recording). gameOver doesn't tick, so gameLoop() stops running update().
+ *
+ * Stats computation:
+ *   - Accuracy = shotsHit / shotsFired * 100 (guarded against division by zero)
+ *   - Time survived = elapsedTime (simulated, tick-based) formatted as "M:SS"
+ *   - All other stats (score, kills, difficulty, wave) are read directly from the engine
+ *
+ * The game loop keeps drawing, so the canvas freezes on the last frame; after
+ * GAME_OVER_MS the nameEntry state shows the game over overlay, where the
+ * player can choose to save or restart.
+ *
+ * @param {string} from - The state the game ended in
+ * @param {Object} over - The engine's gameOver payload, passed on to the
+ *   public "gameOver" event with the page's own stats added
+ */
+function endGame(from, over) {
+  // Descending defeat jingle — or the boss fanfare for a cleared custom level
+  if (game.cleared) sfx.bossFanfare();
+  else sfx.gameOver();
+  emitPublic("gameOver", {
+    ...over,
+    accuracy: accuracy(),
+    time: game.elapsedTime,
+    difficulty: game.difficulty,
+    replay: replayMode,
+  });
+
+  // A finished replay just stops on its last frame — no save dialog
+  if (replayMode) {
+    updateReplayBar();
+    return;
+  }
+  recording.ticks = game.frame; // The recording covers exactly the ticks that were played
+
+  // Populate the game over screen with final stats
+  DOM.finalScore.textContent = game.score;
+  DOM.finalKills.textContent = game.enemiesKilled;
+  DOM.finalAccuracy.textContent = accuracy() + "%";
+  DOM.finalTime.textContent = fmtTime(game.elapsedTime);
+  DOM.finalDifficulty.textContent = game.difficulty.toUpperCase();
+  DOM.finalWave.textContent = game.waveNumber;
+  DOM.finalCombo.textContent = game.bestCombo;
+  DOM.gameOverTitle.textContent = game.cleared
+    ? "MISSION COMPLETE" // Every wave of a custom level cleared
+    : "MISSION FAILED";
+  DOM.savedMsg.textContent = ""; // Clear any previous "Score saved!" message
+
+  // Co-op: each pilot's share, and a name input per pilot (.coop-only rows)
+  const coop = game.players.length > 1;
+  DOM.nameLabel.textContent = coop ? "P1:" : "NAME:";
+  DOM.coopStats.innerHTML = coop
+    ? game.players
+        .map(
+          (p) =>
+            `<div class="stat-row"><span class="label pilot-${p.id + 1}">P${p.id + 1} · ${p.kills} KILLS · ${accuracy(p)}%</span><span class="value">${p.score}</span></div>`,
+        )
+        .join("")
+    : "";
+}
+
+/**
+ * accuracy() — Hit percentage of the current run, or of one co-op ship
+ * (0 if it never fired).
+ * @param {Object} [of=game] - The engine, or an entry of game.players
+ */
+function accuracy(of = game) {
+  const { shotsFired, shotsHit } = of;
+  return shotsFired > 0 ? Math.round((shotsHit / shotsFired) * 100) : 0;
+}
+
+/**
+ * saveAndRestart() — Save the current score to the leaderboard, then reset.
+ *
+ * Flow:
+ *   1. Read player name from the input field (default "PILOT" if empty)
+ *   2. Compute final accuracy
+ *   3. Save score + stats to localStorage via saveScore()
+ *   4. Show "Score saved!" confirmation message
+ *   5. Play a two-note confirmation sound
+ *   6. After 600ms delay (so the player can see the confirmation), call resetGame()
+ *
+ * A co-op run is saved as one team entry named "P1 & P2", with each pilot's
+ * own score, accuracy and kills kept in `team` for the leaderboard tooltip.
+ *
+ * The 600ms delay before resetGame() is important — without it, the "Score saved!"
+ * message would flash and disappear instantly, giving no visual feedback.
+ */
+function saveAndRestart() {
+  const name = DOM.playerName.value.trim() || "PILOT"; // Default name for empty input
+  const team =
+    game.players.length > 1
+      ? game.players.map((p) => ({
+          name: p.id ? DOM.playerName2.value.trim() || "PILOT 2" : name,
+          score: p.score,
+          accuracy: accuracy(p),
+          enemiesKilled: p.kills,
+        }))
+      : null;
+  saveScore(team ? team.map((m) => m.name).join(" & ") : name, game.score, {
+    accuracy: accuracy(),
+    enemiesKilled: game.enemiesKilled,
+    timeSurvived: fmtTime(game.elapsedTime),
+    difficulty: game.difficulty.toUpperCase(),
+    bestCombo: game.bestCombo,
+    level: recording.level?.name,
+    seed: game.seed,
+    replay: recording, // Kept alongside the entry so the run can be watched later
+    ...(team ? { team, lives: game.livesMode } : {}),
+  });
+  DOM.savedMsg.textContent = "✓ Score saved!"; // Visual confirmation
+  beep(800, 0.1); // Two-note "success" confirmation sound
+  setTimeout(() => beep(1000, 0.1), 80);
+  setTimeout(resetGame, 600); // Brief pause so the player sees the confirmation, then reset
+}
+
+/**
+ * restartOnly() — Restart the game immediately without saving the score.
+ * Used when the player chooses not to record their performance.
+ */
+function restartOnly() {
+  beep(600, 0.1); // Single neutral beep (not the celebratory save sound)
+  resetGame();
+}
+
+// Enter in a name field (either pilot's in co-op) saves, like 💾 SAVE & RETRY.
+// The global keydown handler leaves typing alone (see isTextEntry), so the
+// fields handle it themselves; one save per game over.
+for (const input of [DOM.playerName, DOM.playerName2])
+  input.addEventListener("keydown", (e) => {
+    if (
+      e.key === "Enter" &&
+      state === "nameEntry" &&
+      !practice.active &&
+      !DOM.savedMsg.textContent
+    )
+      saveAndRestart();
+  });
+
+/**
+ * resetGame() — Reset ALL game state to initial values and show the difficulty screen.
+ *
+ * This is the "factory reset" for the game. It must reset EVERY mutable game
+ * variable to prevent state leakage between games. Missing a reset here would
+ * cause bugs like scores carrying over, enemies persisting, or meteors active
+ * at the start of a new game.
+ *
+ * Called from three places:
+ *   1. navigateTo("game") — when the player navigates to the game section
+ *   2. saveAndRestart() — after saving the score to leaderboard
+ *   3. restartOnly() — when restarting without saving
+ *
+ * The simulation variables themselves are reset by resetState(), which
+ * seekReplay() also uses to rewind a replay without touching the UI.
+ * resetGame() adds the presentation side: it leaves replay mode, resets the
+ * HUD and moves to the title state, whose overlay is the difficulty picker,
+ * waiting for the player to start.
+ */
+function resetGame() {
+  resetState();
+
+  // Leave replay mode (watching ends whenever the game screen is reset)
+  replayMode = false;
+  replay = null;
+  replayInputs = null;
+  playbackSpeed = 1;
+  DOM.replayBar.style.display = "none";
+  DOM.gameContainer.classList.remove("replaying");
+
+  // Reset HUD displays to default values
+  DOM.gameContainer.classList.remove("coop", "ghosting", "practicing");
+  ghost = null; // The race ends with the run
+  practice.active = false;
+  practice.kept = null;
+  DOM.score.textContent = "0";
+  DOM.lives.textContent = "3";
+  DOM.waveDisplay.textContent = "1";
+  renderPowerHud(); // game.reset() cleared the effects
+  renderHeat();
+  renderCombo(1);
+  DOM.heatBar.classList.remove("overheated");
+
+  setState("title"); // Difficulty selection replaces whatever overlay was up
+}
+
+/**
+ * resetState() — Reset the engine and every page-side run variable.
+ *
+ * Note: the sky is NOT reset — it persists across games (startGame() lays it
+ * out afresh from the run's starfield stream).
+ */
+function resetState() {
+  game.reset(); // Player, entities, score, lives, waves, meteors — and game.running = false
+
+  // Reset frame timing
+  accumulator = 0;
+  lastFrameTime = null;
+  renderAlpha = 1;
+
+  // Reset input queues and replay cursor
+  clickQueued = false;
+  touch.targetX = null; // A drag from the last game doesn't steer the next one
+  touch.dragId = null;
+  pendingBonus = 0;
+  replayBonusIdx = 0;
+  popups = []; // Score popups belong to the run being reset
+}
+
+// ─── Replays ─────────────────────────────────────────────
+// A replay re-runs the real engine: startGame() with the recorded seed and
+// difficulty, then readInput() feeds it the recorded input tick by tick.
+// Nothing about the run is stored except its input, so a replay is only as
+// faithful as the simulation is deterministic (see REPLAY_VERSION).
+//
+// Playback controls live in #replayBar:
+//   - pause/play  — the paused state (the PAUSED overlay stays hidden)
+//   - 1x / 2x / 4x — playbackSpeed scales the accumulator in gameLoop()
+//   - scrubbing   — seekReplay() fast-forwards silently to the target tick;
+//                   seeking backwards restarts the run and fast-forwards from 0
+
+let pendingReplay = null; // Recording to start once navigateTo("game") has reset the screen
+
+/**
+ * watchReplay() — Open the game section and play back a stored recording.
+ * Called from the leaderboard's ▶ WATCH buttons.
+ *
+ * @param {string} id - replayId of a leaderboard entry
+ */
+function watchReplay(id) {
+  const rec = getReplays()[id];
+  if (!rec) return toast("⚠ Replay not found");
+  const entry = getBoard().find((e) => e.replayId === id);
+  DOM.replayTitle.textContent = entry
+    ? `▶ ${entry.name} · ${entry.score.toLocaleString()}`
+    : "▶ REPLAY";
+  pendingReplay = rec;
+  navigateTo("game");
+}
+
+/**
+ * startReplay() — Put the engine in replay mode and start the recorded run.
+ * @param {Object} rec - Recording produced by a live game (see startGame)
+ */
+function startReplay(rec) {
+  if (rec.v !== REPLAY_VERSION)
+    toast("⚠ Recorded with another game version — playback may differ");
+  replay = rec;
+  replayInputs = expandInputs(rec);
+  replayMode = true;
+  DOM.gameContainer.classList.add("replaying"); // Hides the touch layer
+  playbackSpeed = 1;
+  startGame(rec.difficulty, rec.seed);
+  DOM.replayScrub.max = rec.ticks;
+  DOM.replayBar.style.display = "flex";
+  updateReplayBar();
+}
+
+/**
+ * expandInputs() — Unpack a recording's run-length encoded input into one
+ * bitmask per tick.
+ * @param {Object} rec - Recording (see startGame)
+ * @returns {Uint8Array}
+ */
+function expandInputs(rec) {
+  const inputs = new Uint8Array(rec.ticks);
+  for (let i = 0, t = 0; i < rec.inputs.length; i += 2) {
+    inputs.fill(rec.inputs[i], t, t + rec.inputs[i + 1]);
+    t += rec.inputs[i + 1];
+  }
+  return inputs;
+}
+
+/**
+ * seekReplay() — Jump playback to a given tick.
+ *
+ * The simulation can only run forwards, so seeking backwards restarts the run
+ * from its seed. Either way the skipped ticks are simulated with
+ * fastForwarding set, which silences sounds and suppresses HUD flashes,
+ * screen shake and notifications for events the viewer jumped over.
+ *
+ * @param {number|string} target - Tick to seek to (range input values are strings)
+ */
+function seekReplay(target) {
+  target = Math.max(0, Math.min(replay.ticks, Math.round(+target)));
+  const paused = state === "paused";
+  fastForwarding = true;
+  if (target < game.frame || !game.running) {
+    resetState();
+    startGame(replay.difficulty, replay.seed); // Back to playing
+  }
+  while (game.frame < target && game.running) update();
+  if (paused && game.running) setState("paused"); // Stays paused where it lands
+  fastForwarding = false;
+  accumulator = 0; // Resume cleanly from the target tick
+  renderAlpha = 1;
+  draw(); // Show the new position even while paused
+  updateReplayBar();
+}
+
+/** toggleReplayPause() — Play/pause button; restarts a replay that has ended. */
+function toggleReplayPause() {
+  if (game.running) togglePause();
+  else seekReplay(0);
+}
+
+/** setReplaySpeed() — Playback speed buttons (1x, 2x, 4x). */
+function setReplaySpeed(speed) {
+  playbackSpeed = speed;
+  updateReplayBar();
+}
+
+/** exitReplay() — Stop watching and return to the difficulty screen. */
+function exitReplay() {
+  beep(600, 0.1);
+  resetGame();
+}
+
+/**
+ * updateReplayBar() — Sync the replay controls with playback state.
+ * Called every frame during replays; the scrubber is left alone while the
+ * user is dragging it so it doesn't fight the pointer.
+ */
+function updateReplayBar() {
+  if (!DOM.replayScrub.matches(":active")) DOM.replayScrub.value = game.frame;
+  DOM.replayTime.textContent = `${fmtTime(game.elapsedTime)} / ${fmtTime(replay.ticks * TICK_MS)}`;
+  DOM.replayPlay.textContent = !game.running
+    ? "↻"
+    : state === "paused"
+      ? "▶"
+      : "⏸";
+  DOM.replayBar
+    .querySelectorAll("[data-speed]")
+    .forEach((b) =>
+      b.classList.toggle("active", +b.dataset.speed === playbackSpeed),
+    );
+}
+
+// Delegated handler for the leaderboard's ▶ WATCH buttons (rebuilt on every render)
+document.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-replay]");
+  if (btn) {
+    sfx.click();
+    watchReplay(btn.dataset.replay);
+  }
+});
+
+// ─── Ghost Racing ────────────────────────────────────────
+// With 👻 RACE BEST RUN picked on the difficulty screen, a live game races
+// the best stored run on the same difficulty, level and number of ships: a
+// second engine instance replays that run's recording in lockstep with the
+// live one — one recorded tick per live tick — so the translucent ghost
+// ship flies exactly where it flew, and the GHOST panel shows how far ahead
+// (+) or behind (−) its score you are at the same elapsed time.
+//
+// The ghost is never seen by the live engine, so racing one changes nothing
+// about the run: its recording and replay are the same as without. Runs
+// recorded by another REPLAY_VERSION would replay differently, so they
+// aren't raced.
+
+const GHOST_ALPHA = 0.35; // Opacity of the ghost ship
+
+let ghost = null; // The race under way: {engine, rec, inputs, bonusIdx} (null = none)
+
+/**
+ * findGhost() — The best stored run a new game could race.
+ * @param {string} diff - Difficulty ("easy", "normal", "hard")
+ * @returns {{entry: Object, rec: Object}|null} Leaderboard entry and recording
+ */
+function findGhost(diff) {
+  const level = selectedLevel(),
+    players = selectedCoop().players,
+    replays = getReplays();
+  // boardFor() is best first, so the first match is the one to beat
+  const entry = boardFor(level ? level.name : "").find(
+    (e) =>
+      (e.difficulty || "NORMAL") === diff.toUpperCase() &&
+      (e.team ? 2 : 1) === players &&
+      replays[e.replayId]?.v === REPLAY_VERSION,
+  );
+  return entry ? { entry, rec: replays[entry.replayId] } : null;
+}
+
+/**
+ * renderGhostInfo() — List the score to race on each difficulty under the
+ * ghost picker. Called when the difficulty screen opens and whenever one of
+ * its pickers changes.
+ */
+function renderGhostInfo() {
+  DOM.ghostInfo.textContent = Object.keys(DIFFICULTY)
+    .map((d) => {
+      const found = findGhost(d);
+      return `${d.toUpperCase()} ${found ? found.entry.score.toLocaleString() : "—"}`;
+    })
+    .join(" · ");
+}
+
+/**
+ * startGhost() — Line up the ghost for the live game startGame() is
+ * starting, if one was asked for and there is a run to race.
+ * @param {string} diff - The new game's difficulty
+ */
+function startGhost(diff) {
+  ghost = null;
+  if (!replayMode && !practice.active && DOM.ghostSelect.value === "best") {
+    const found = findGhost(diff);
+    if (!found) toast(`👻 No ${diff.toUpperCase()} run to race yet`);
+    else {
+      const { rec } = found,
+        engine = createEngine();
+      engine.start({
+        difficulty: rec.difficulty,
+        seed: rec.seed,
+        startScore: rec.startScore,
+        script: rec.level || "endless",
+        players: rec.players || 1,
+        lives: rec.lives || "shared",
+      });
+      ghost = { engine, rec, inputs: expandInputs(rec), bonusIdx: 0 };
+    }
+  }
+  DOM.gameContainer.classList.toggle("ghosting", !!ghost); // Shows the GHOST panel
+  renderGhostDelta();
+}
+
+/**
+ * stepGhost() — Advance the ghost by one recorded tick, alongside each live
+ * tick (see update()). Once its run is over the ghost stays at its final score.
  */
-function pixRect(x, y, w, h, main, dark, light) {
-  ctx.fillStyle = main;
-  ctx.fillRect(x, y, w, h); // Fill the entire rectangle with main color
-  ctx.fillStyle = light;
-  ctx.fillRect(x, y, w, 3); // Top edge highlight (3px tall, full width)
-  ctx.fillRect(x, y, 3, h); // Left edge highlight (3px wide, full height)
-  ctx.fillStyle = dark;
-  ctx.fillRect(x, y + h - 3, w, 3); // Bottom edge shadow (3px tall, full width)
-  ctx.fillRect(x + w - 3, y, 3, h); // Right edge shadow (3px wide, full height)
+function stepGhost() {
+  if (!ghost) return;
+  const { engine, rec, inputs } = ghost;
+  if (engine.running && engine.frame < rec.ticks) {
+    // Recorded easter-egg bonuses, as takeBonus() applies them to a replay
+    const tick = engine.frame + 1;
+    let pts = 0;
+    while (
+      ghost.bonusIdx < rec.bonuses.length &&
+      rec.bonuses[ghost.bonusIdx][0] === tick
+    )
+      pts += rec.bonuses[ghost.bonusIdx++][1];
+    engine.step(inputs[engine.frame], pts);
+  }
+  renderGhostDelta();
+}
+
+/** renderGhostDelta() — Points ahead of (+) or behind (−) the ghost. */
+function renderGhostDelta() {
+  if (!ghost) return;
+  const d = game.score - ghost.engine.score;
+  DOM.ghostDelta.textContent = d > 0 ? `+${d}` : d < 0 ? `−${-d}` : "±0";
+  DOM.ghostDelta.classList.toggle("ahead", d > 0);
+  DOM.ghostDelta.classList.toggle("behind", d < 0);
 }
 
-// ─── Screen Shake ────────────────────────────────────────
 /**
- * onHit() — Trigger a screen shake on the game container.
- *
- * Uses a CSS class toggle approach rather than directly manipulating canvas
- * transforms. The "screen-shake" CSS class applies a @keyframes animation
- * that rapidly translates the entire game container by a few pixels in
- * random directions, creating a "camera shake" effect.
- *
- * Why CSS class toggle instead of canvas transform?
- *   - Simpler: one line to add, one line to remove — no manual animation math
- *   - Performant: CSS animations run on the compositor thread, not JS
- *   - Consistent: the shake affects the entire game container (canvas + HUD),
- *     not just the canvas content, for a more immersive effect
- *
- * Called when the player collides with an enemy or meteor (takes damage).
+ * drawGhost() — The ghost's ship(s), translucent and without exhaust, while
+ * its run lasts. Drawn under the live ships.
  */
-function onHit() {
-  DOM.gameContainer.classList.add("screen-shake"); // Start shake animation
-  setTimeout(() => DOM.gameContainer.classList.remove("screen-shake"), 200); // Stop after 200ms
+function drawGhost() {
+  if (!ghost || !ghost.engine.running) return;
+  const { engine } = ghost;
+  ctx.save();
+  ctx.globalAlpha = GHOST_ALPHA;
+  for (const p of engine.players)
+    if (!p.down)
+      drawSprite(p.id ? "ship2" : "ship", lerpX(p), lerpY(p), engine.frame);
+  ctx.restore();
 }
 
-// ─── Meteor Shower Event ─────────────────────────────────
+// ─── Practice Mode ───────────────────────────────────────
+// 🎯 PRACTICE on the difficulty screen turns the next run into a practice
+// run, for learning the later waves without surviving the early ones:
+//   - START WAVE — the engine starts on that wave, with the spawn rate and
+//                  enemy speed the waves before it would have built up
+//                  (see start() in engine.js)
+//   - ♾ LIVES    — hits still explode but never cost a life
+//   - 🐢 50%     — the simulation runs at half speed (playbackSpeed)
+//   - ▢ HITBOXES — the boxes collides() tests, drawn over the sprites
+//   - ☄ METEORS  — a meteor shower on demand (practice bar only)
+// The toggles stay set between runs and can be flipped mid-run from the
+// practice bar.
+//
+// A practice run is off the record: saveScore() refuses it, so it never
+// reaches the leaderboard — and with it the achievements and stats, which
+// are worked out from the board. It leaves banked bonus points in the bank
+// and races no ghost.
+
+const SLOW_SPEED = 0.5; // playbackSpeed of 🐢 50%
+const PRACTICE_LIVES = 99; // What ♾ LIVES holds the lives at (shown as ∞)
+const HITBOX_COLORS = {
+  ship: "#7ec8a0",
+  bullet: "#f0c85a",
+  enemy: "#e88d8d",
+  shot: "#f0b6c5",
+  meteor: "#f7c5a8",
+  pickup: "#89d4cf",
+};
+
+const practice = {
+  active: false, // The run under way is a practice run
+  lives: false, // ♾ LIVES
+  slow: false, // 🐢 50%
+  hitboxes: false, // ▢ HITBOXES
+  kept: null, // Real lives while ♾ LIVES holds them: {lives, each: [...]}
+};
+
 /**
- * triggerMeteorShower() — Random mid-game event that adds chaos.
- *
- * Trigger probability: ~2.2% per check, checked roughly once per second
- * (every 60 frames), but only after 10 seconds of gameplay have elapsed.
- * This gives an average interval of ~45 seconds between showers.
- * (See the meteor check block in update() for the probability logic.)
- *
- * Event flow:
- *   1. Show a warning notification ("INCOMING! METEOR SHOWER!")
- *   2. For 5 seconds, spawn a meteor every 8 frames (~7-8 per second)
- *   3. After 6 seconds (5s spawning + 1s cleanup), if all meteors are off-screen,
- *      end the shower and award +50 bonus points for surviving.
- *
- * Meteors are smaller (16x16) and faster (6-10 px/frame) than enemies, but only
- * have 1 health (single hit to destroy). They deal damage on player contact
- * just like enemies.
+ * practiceWave() — The starting wave picked for a practice run, kept within
+ * 1–99 and, for a custom level that doesn't loop, within its waves.
+ * @param {Object|null} level - The level about to be played (null = endless)
  */
-function triggerMeteorShower() {
-  if (meteorActive) return; // Don't trigger if a shower is already in progress
-  meteorActive = true;
-  meteorTimer = Date.now(); // Record start time for duration tracking
-
-  // Show a warning notification overlaid on the game canvas
-  const warn = document.createElement("div");
-  warn.className = "wave-clear-notify"; // Reuses the wave-clear CSS animation
-  warn.innerHTML = `⚠ INCOMING!<br><span style="font-size:9px;color:#ff6633">METEOR SHOWER!</span>`;
-  warn.style.borderColor = "#ff6633"; // Orange border to match meteor theme
-  warn.style.color = "#ff6633";
-  DOM.gameContainer.appendChild(warn);
-  setTimeout(() => warn.remove(), 1500); // Warning visible for 1.5 seconds
+function practiceWave(level) {
+  const n = Math.min(99, Math.max(1, Math.floor(+DOM.practiceWave.value) || 1));
+  return level && level.loop == null ? Math.min(n, level.waves.length) : n;
+}
 
-  // Ominous two-tone warning sound (low sawtooth drones)
-  beep(150, 0.3, "sawtooth");
-  setTimeout(() => beep(200, 0.2, "sawtooth"), 150);
+/**
+ * togglePractice() — Flip one of the practice toggles (difficulty screen or
+ * practice bar). Mid-run it takes effect at once.
+ * @param {string} key - "lives", "slow" or "hitboxes"
+ */
+function togglePractice(key) {
+  sfx.click();
+  practice[key] = !practice[key];
+  if (practice.active) applyPractice(key);
+  renderPractice();
 }
 
 /**
- * spawnMeteor() — Create a single fast meteor object.
- * Meteors are smaller (16x16 vs 48x48 for enemies), faster (6-10 px/frame),
- * and weaker (1 health vs 2 for enemies). They're a brief hazard, not a core enemy.
+ * applyPractice() — Put a toggle into effect on the practice run.
+ * @param {string} key - "lives" or "slow" ("hitboxes" only changes draw())
  */
-function spawnMeteor() {
-  meteors.push({
-    x: Math.random() * 580, // Random x within canvas (580 + 16 = 596, fits in 600px)
-    y: -20, // Spawn just above the visible canvas
-    w: 16, // Small — harder to hit but less imposing
-    h: 16,
-    speed: 6 + Math.random() * 4, // 6–10 px/frame — notably faster than enemies
-    health: 1, // One-hit kill (compared to enemies' 2 health)
-  });
+function applyPractice(key) {
+  if (key === "slow") playbackSpeed = practice.slow ? SLOW_SPEED : 1;
+  if (key !== "lives") return;
+  if (practice.lives) {
+    practice.kept = {
+      lives: game.lives,
+      each: game.players.map((p) => p.lives),
+    };
+    holdLives();
+  } else if (practice.kept) {
+    // Back to the lives the run had when ♾ LIVES went on
+    game.lives = practice.kept.lives;
+    game.players.forEach((p, i) => (p.lives = practice.kept.each[i]));
+    practice.kept = null;
+  }
+  renderLives();
 }
 
 /**
- * updateMeteors() — Process meteor movement, spawning, collisions, and cleanup.
- * Called every frame from update(). No-ops if no meteor shower is active.
- *
- * The function handles three phases of the meteor shower lifecycle:
- *   Phase 1 (0–5s):   Spawn a new meteor every 8 frames while moving existing ones
- *   Phase 2 (5–6s):   Stop spawning, let remaining meteors clear the screen
- *   Phase 3 (>6s):    Once all meteors are gone, end the event and award bonus
- *
- * Collision loops iterate in reverse (mi--, bi--) to safely remove elements
- * by marking them as .dead = true. Actual array compaction happens at the end
- * using the write-pointer pattern (same technique used for bullets/enemies in update()).
+ * holdLives() — Top the lives back up before each tick under ♾ LIVES, so no
+ * hit can take the last one (the editor preview's trick).
  */
-function updateMeteors() {
-  if (!meteorActive) return; // Early exit: no shower happening
+function holdLives() {
+  game.lives = PRACTICE_LIVES;
+  if (game.livesMode === "each")
+    for (const p of game.players) p.lives = PRACTICE_LIVES;
+}
 
-  const elapsed = Date.now() - meteorTimer; // Time since shower started
+/** renderPractice() — Light up the practice toggles that are on. */
+function renderPractice() {
+  document.querySelectorAll("[data-practice]").forEach((b) => {
+    b.classList.toggle("active", practice[b.dataset.practice]);
+    b.setAttribute("aria-pressed", practice[b.dataset.practice]);
+  });
+}
 
-  // Phase 1: Spawn meteors for the first 5 seconds, one every 8 frames (~7.5/sec)
-  if (elapsed < 5000 && frame % 8 === 0) {
-    spawnMeteor();
-  }
+/** forceMeteorShower() — ☄ METEORS: start a meteor shower now. */
+function forceMeteorShower() {
+  if (!practice.active || !game.running) return;
+  sfx.click();
+  game.meteorShower();
+}
 
-  // Phase 3: After 6 seconds and all meteors are off-screen or destroyed, end the event
-  if (elapsed > 6000 && meteors.length === 0) {
-    meteorActive = false;
-    score += 50; // Survival bonus
-    DOM.score.textContent = score;
-    flash("score");
-    toast("☄ Meteor shower survived! +50 bonus");
+/**
+ * drawHitboxes() — ▢ HITBOXES: outline every box collides() tests — ships,
+ * bullets, enemies, enemy shots, meteors, pickups and the boss's hull and
+ * living parts — at the sprites' interpolated positions.
+ */
+function drawHitboxes() {
+  if (!practice.active || !practice.hitboxes) return;
+  ctx.lineWidth = 1;
+  const outline = (o, kind) => {
+    ctx.strokeStyle = HITBOX_COLORS[kind];
+    ctx.strokeRect(lerpX(o) + 0.5, lerpY(o) + 0.5, o.w - 1, o.h - 1);
+  };
+  for (const p of game.players) if (!p.down) outline(p, "ship");
+  for (const b of game.bullets) outline(b, "bullet");
+  for (const e of game.enemies) outline(e, "enemy");
+  for (const s of game.enemyBullets) outline(s, "shot");
+  for (const m of game.meteors) outline(m, "meteor");
+  for (const pu of game.pickups) outline(pu, "pickup");
+  const b = game.boss;
+  if (b) {
+    // Boss boxes come out already interpolated; px = x keeps outline() from moving them
+    const at = { x: lerpX(b), y: lerpY(b), w: b.w };
+    for (const r of [
+      hullRect(at),
+      ...b.parts.map((part) => partRect(at, part)),
+    ])
+      if (r) outline({ ...r, px: r.x, py: r.y }, "enemy");
   }
+}
 
-  // ── Move meteors and check collisions (reverse iteration for safe removal) ──
-  for (let mi = meteors.length - 1; mi >= 0; mi--) {
-    const m = meteors[mi];
-    m.y += m.speed; // Move meteor downward
+// ─── Level Editor ────────────────────────────────────────
+// The Editor section (sec-editor) builds custom levels — wave scripts in the
+// engine's format (see Wave Scripts in engine.js) — and keeps them in
+// localStorage under LEVELS_KEY or downloads them as JSON.
+//
+// Layout:
+//   - Level bar  — name, loop setting, saved-level picker and the
+//                  new / save / delete / import / export buttons
+//   - Wave tabs  — one button per wave (☠ marks boss waves), plus add,
+//                  duplicate and delete
+//   - Wave form  — goal, timed spawning (pattern, count, rate, speed), the
+//                  enemy mix and the meteor chance
+//   - Timeline   — canvas with time running left → right and the playfield's
+//                  x running top → bottom. Clicking an empty spot places the
+//                  brush (an enemy or formation, a meteor shower or a
+//                  power-up); clicking a marker selects it and loads it into
+//                  the brush controls, dragging moves it.
+//   - Preview    — a second engine instance plays the current wave on its own
+//                  canvas, flown by an invulnerable autopilot ship.
+//
+// The editor works on a plain script object (editor.level) and checks it with
+// the engine's own loadWaveScript(), so anything it saves the engine can play.
+// Saved levels show up in the difficulty screen's level picker (#levelSelect);
+// their scores carry the level name and get their own leaderboard.
+
+const LEVELS_KEY = "laserDefenderLevels"; // localStorage key: { [name]: wave script }
+const TIMELINE_MIN = 30; // Shortest timeline shown, in seconds
+const TIMELINE_PAD = 10; // Seconds of empty timeline kept past the last event
+const TL_LEFT = 30; // Timeline px reserved for the x-axis labels
+
+// One-line description of each enemy type's movement — the "path" the brush
+// picks. Types without an entry are listed by id.
+const ENEMY_PATHS = {
+  normal: "Grunt — straight down",
+  fast: "Fast grunt — straight down",
+  zigzag: "Zig-zagger — bounces side to side",
+  sine: "Jelly — sways on a sine wave",
+  diver: "Diver — dives at the ship",
+  strafer: "Strafer — hovers and strafes",
+  shooter: "Shooter — fires aimed shots",
+};
 
-    // ── Bullet-meteor collision check ──
-    // Inner loop also reverse-iterates; marks both bullet and meteor as dead on hit
-    for (let bi = bullets.length - 1; bi >= 0; bi--) {
-      const b = bullets[bi];
-      if (b.dead) continue; // Skip already-consumed bullets
-      if (collides(b, m)) {
-        b.dead = true; // Bullet is consumed
-        shotsHit++; // Count as a hit for accuracy tracking
-        m.health--;
-        if (m.health <= 0) {
-          boom(m.x + 8, m.y + 8, C.meteor); // Explosion centered on meteor
-          score += 5; // Small score bonus per meteor destroyed
-          DOM.score.textContent = score;
-          sfx.hit();
-          m.dead = true;
-          break; // This bullet is consumed — stop checking other bullets
-        }
-      }
-    }
+// Marker / preview colour per enemy type (the main colour of its sprite)
+const ENEMY_COLORS = {
+  normal: C.enemy,
+  fast: "#f0b6c5",
+  zigzag: "#6ab8b3",
+  sine: "#b8a0d8",
+  diver: "#f0c85a",
+  strafer: "#9e95a8",
+  shooter: "#a070c0",
+};
 
-    // ── Meteor-player collision check ──
-    // Meteors that hit the player deal damage (same as enemy collision)
-    if (!m.dead && collides(m, player)) {
-      boom(player.x + 24, player.y + 16, "#ff6633"); // Explosion at player center
-      lives--;
-      DOM.lives.textContent = lives;
-      flash("lives"); // Visual pulse on lives HUD
-      sfx.death(); // Damage sound effect
-      onHit(); // Screen shake
-      m.dead = true; // Meteor is destroyed on contact
-      if (lives <= 0) endGame(); // Check for game over
-    }
+const editor = {
+  level: null, // The script being edited: { name, waves: [...], loop? }
+  wave: 0, // Index of the wave shown in the form and on the timeline
+  selected: -1, // Index of the selected timeline event (-1 = none)
+  dragging: false, // A marker is being dragged on the timeline
+  preview: null, // Engine instance of the running preview (null when stopped)
+  previewHandle: 0, // rAF id of the preview loop
+};
 
-    // Remove meteors that have scrolled past the bottom of the canvas
-    if (m.y > 820) m.dead = true;
-  }
+/** escapeHtml() — Make a level or pilot name safe to put in markup. */
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
 
-  // ── Array compaction: remove dead meteors using write-pointer pattern ──
-  // This avoids Array.filter() which creates a new array every frame (GC pressure).
-  // Instead, we compact in-place by overwriting dead entries with live ones.
-  let mWrite = 0;
-  for (let i = 0; i < meteors.length; i++) {
-    if (!meteors[i].dead) meteors[mWrite++] = meteors[i];
+/** getLevels() — Saved custom levels as { name: script } ({} on error). */
+const getLevels = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LEVELS_KEY)) || {};
+  } catch {
+    return {};
   }
-  meteors.length = mWrite; // Truncate the array to remove trailing dead entries
-}
+};
+
+/** newWave() — The wave a fresh level (or "+ WAVE") starts with. */
+const newWave = () => ({
+  goal: { kills: 10 },
+  pattern: "random",
+  count: 5,
+  spawnOffset: 0,
+  speedBonus: 0,
+  meteorChance: 0,
+  events: [],
+});
 
 /**
- * drawMeteors() — Render all active meteors on the canvas.
- * Each meteor is drawn as a layered square with three visual elements:
- *   1. Outer fill (C.meteor orange) — the meteor body
- *   2. Inner fill (#ff4400 darker orange) — creates an inset/depth effect
- *   3. Trailing glow (semi-transparent orange) — a small rectangle above the
- *      meteor that simulates a heat trail/motion blur as it falls
+ * flattenLevel() — Copy a script into the editor's shape: "defaults" merged
+ * into every wave (the form edits waves one by one) and every field present.
  */
-function drawMeteors() {
-  for (let i = 0; i < meteors.length; i++) {
-    const m = meteors[i];
-    ctx.fillStyle = C.meteor;
-    ctx.fillRect(m.x, m.y, m.w, m.h); // Outer body
-    ctx.fillStyle = "#ff4400";
-    ctx.fillRect(m.x + 2, m.y + 2, m.w - 4, m.h - 4); // Inner core (2px inset)
-    // Trailing glow — a semi-transparent rectangle above the meteor body
-    // simulates a heat trail / atmospheric entry effect
-    ctx.fillStyle = "rgba(255, 102, 51, 0.3)";
-    ctx.fillRect(m.x + 4, m.y - 6, m.w - 8, 6);
-  }
+function flattenLevel(script) {
+  const waves = script.waves.map((w) => ({
+    ...newWave(),
+    ...script.defaults,
+    ...w,
+  }));
+  return JSON.parse(
+    JSON.stringify({
+      name: script.name || "CUSTOM",
+      waves,
+      ...(script.loop ? { loop: script.loop } : {}),
+    }),
+  );
 }
 
-// ─── Drawing Functions ───────────────────────────────────
+/** currentWave() — The wave being edited. */
+const currentWave = () => editor.level.waves[editor.wave];
 
 /**
- * drawPlayer() — Render the player ship sprite on the canvas.
- *
- * The ship is composed of multiple overlapping rectangles drawn with pixRect()
- * for the 3D extruded look. Anatomy from top to bottom:
- *   - Cockpit: small dark-green rectangle at the top (y+4)
- *   - Main body: center section using player colors (green palette)
- *   - Wings: two small rectangles on left and right sides
- *   - Engine glow: two rectangles below the ship that pulse using a sine wave
- *
- * The engine glow alpha oscillates between 0.2 and 1.0 using Math.sin(frame * 0.3),
- * creating a pulsing "thruster" effect. The outer glow is peach-colored and the
- * inner glow is yellow, simulating heat gradation.
+ * openEditor() — Called by navigateTo("editor"): start on a blank level the
+ * first time, then redraw everything from editor.level.
  */
-function drawPlayer() {
-  const { x, y, w, h } = player;
-  // Main body — centered horizontally (4px inset on each side), offset down 8px
-  pixRect(x + 4, y + 8, w - 8, h - 12, C.pBody, C.pDark, C.pHi);
-  // Cockpit — small dark green block at the top center (the "windshield")
-  ctx.fillStyle = "#5fa880";
-  ctx.fillRect(x + 18, y + 4, 12, 8);
-  // Wings — left and right protrusions, darker green with their own 3D shading
-  pixRect(x, y + 16, 8, 16, C.pDark, "#3f8870", "#7ec8a0"); // Left wing
-  pixRect(x + w - 8, y + 16, 8, 16, C.pDark, "#3f8870", "#7ec8a0"); // Right wing
-  // Engine glow (pulsing) — alpha oscillates via sine wave for a thruster flicker effect
-  // sin(frame * 0.3) cycles every ~21 frames (~0.35s at 60fps), giving a rapid flicker
-  const a = 0.6 + Math.sin(frame * 0.3) * 0.4; // Alpha range: 0.2 to 1.0
-  ctx.fillStyle = `rgba(247,197,168,${a})`; // Outer glow: warm peach
-  ctx.fillRect(x + 18, y + h, 12, 4); // Wider outer exhaust
-  ctx.fillStyle = `rgba(245,230,163,${a})`; // Inner glow: bright yellow (hotter center)
-  ctx.fillRect(x + 20, y + h + 4, 8, 2); // Narrower inner exhaust flame
-}
-
-/**
- * drawEnemy() — Render an enemy sprite with face (eyes, pupils, mouth).
- *
- * Enemy types have different color palettes:
- *   - "normal" enemies: red/salmon tones (C.enemy, C.eDark, C.eHi)
- *   - "fast" enemies: pink tones (#f0b6c5, #d890a0, #f8d4de)
- * This visual distinction helps players identify the faster, more dangerous variant.
- *
- * The face is composed of:
- *   - Two yellow eyes (8x8 squares)
- *   - Two dark pupils (4x4 squares, centered in the eyes)
- *   - A wide dark mouth (20x4 rectangle) — gives a menacing "grin"
- *
- * @param {Object} e - Enemy object with {x, y, w, h, type}
+function openEditor() {
+  if (!editor.level) editor.level = { name: "MY LEVEL", waves: [newWave()] };
+  renderEditor();
+}
+
+/** renderEditor() — Rebuild every editor control from editor.level. */
+function renderEditor() {
+  const { level } = editor;
+  editor.wave = Math.min(editor.wave, level.waves.length - 1);
+  document.getElementById("levelName").value = level.name;
+  document.getElementById("levelLoop").value = level.loop || 0;
+  renderLevelPickers();
+  renderWaveTabs();
+  renderWaveForm();
+  renderBrush();
+  drawTimeline();
+}
+
+/**
+ * renderLevelPickers() — Fill the editor's saved-level picker and the
+ * difficulty screen's #levelSelect with the saved levels.
  */
-function drawEnemy(e) {
-  const { x, y, w, h } = e,
-    f = e.type === "fast"; // Boolean flag for color selection
-  // Body — uses pixRect for 3D look, 2px inset from hitbox for visual padding
-  pixRect(
-    x + 2,
-    y + 2,
-    w - 4,
-    h - 4,
-    f ? "#f0b6c5" : C.enemy, // Main fill: pink (fast) or red (normal)
-    f ? "#d890a0" : C.eDark, // Shadow: darker pink or darker red
-    f ? "#f8d4de" : C.eHi, // Highlight: lighter pink or lighter red
-  );
-  // Eyes — two yellow squares positioned symmetrically
-  ctx.fillStyle = "#f5e6a3";
-  ctx.fillRect(x + 10, y + 12, 8, 8); // Left eye
-  ctx.fillRect(x + w - 18, y + 12, 8, 8); // Right eye
-  // Pupils — small dark squares centered within each eye
-  ctx.fillStyle = "#1e1830";
-  ctx.fillRect(x + 14, y + 16, 4, 4); // Left pupil
-  ctx.fillRect(x + w - 14, y + 16, 4, 4); // Right pupil
-  // Mouth — wide dark rectangle for a menacing appearance
-  ctx.fillRect(x + 14, y + 30, 20, 4);
+function renderLevelPickers() {
+  const names = Object.keys(getLevels()).sort(),
+    opts = names
+      .map((n) => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`)
+      .join("");
+  const picker = document.getElementById("levelPicker"),
+    select = document.getElementById("levelSelect"),
+    chosen = select.value;
+  picker.innerHTML = `<option value="">📂 SAVED LEVELS…</option>${opts}`;
+  select.innerHTML = `<option value="">🌌 ENDLESS</option>${opts}`;
+  select.value = names.includes(chosen) ? chosen : "";
 }
 
-// ─── Game Loop (Update + Draw) ───────────────────────────
+/** renderWaveTabs() — One tab per wave; boss waves are marked ☠. */
+function renderWaveTabs() {
+  document.getElementById("waveTabs").innerHTML = editor.level.waves
+    .map(
+      (w, i) =>
+        `<button class="hud-btn wave-tab${i === editor.wave ? " active" : ""}" onclick="selectWave(${i})">${w.goal.boss ? "☠" : ""}${i + 1}</button>`,
+    )
+    .join("");
+}
+
+/** renderWaveForm() — Show the current wave's settings in #waveForm. */
+function renderWaveForm() {
+  const w = currentWave(),
+    f = document.getElementById("waveForm").elements,
+    kind = w.goal.boss ? "boss" : w.goal.time ? "time" : "kills";
+  f.goalKind.value = kind;
+  f.goalValue.value = w.goal[kind] === true ? "" : w.goal[kind];
+  f.goalValue.disabled = kind === "boss";
+  f.pattern.value = w.pattern;
+  f.count.value = w.count;
+  f.spawnOffset.value = w.spawnOffset;
+  f.speedBonus.value = w.speedBonus;
+  f.meteorChance.value = Math.round(w.meteorChance * 1000) / 10; // Shown in %
+  document.getElementById("mixInputs").innerHTML = Object.keys(ENEMY_TYPES)
+    .map(
+      (id) =>
+        `<label class="mix-input" style="--type:${ENEMY_COLORS[id] || C.enemy}">${id}<input type="number" name="mix-${id}" min="0" max="20" value="${w.mix?.[id] || 0}" /></label>`,
+    )
+    .join("");
+}
 
 /**
- * update() — THE MAIN GAME LOOP LOGIC. Runs every frame (~60fps).
- *
- * This is the heart of the game engine. It processes all game logic in a
- * specific order that ensures correct behavior:
- *
- * ORDER OF OPERATIONS (each step depends on the previous):
- *   1. Frame counter & timer update
- *   2. Player movement (read keyboard state)
- *   3. Bullet movement & off-screen cleanup
- *   4. Enemy spawning (frame-rate based)
- *   5. Star field scrolling (visual only, no gameplay impact)
- *   6. Collision detection (bullet-enemy, enemy-player) + wave advancement
- *   7. Dead bullet cleanup (second pass — some were marked dead in step 6)
- *   8. Dead/off-screen enemy cleanup
- *   9. Particle physics (movement, gravity, fade, cleanup)
- *   10. Meteor shower random trigger check
- *   11. Meteor update (spawning, movement, collisions, cleanup)
- *
- * Why this order matters:
- *   - Bullets must move (step 3) BEFORE collision checks (step 6) so that
- *     newly fired bullets travel at least one frame before hitting anything.
- *   - Enemies must move (step 6 inner) BEFORE player collision so the check
- *     uses the enemy's current position, not its previous-frame position.
- *   - Dead entity cleanup (steps 7-8) happens AFTER all collisions are resolved
- *     to avoid checking already-removed entities.
- *
- * Array compaction pattern (used for bullets, enemies, particles, meteors):
- *   Instead of Array.filter() (which allocates a new array every frame and
- *   creates garbage collection pressure at 60fps), we use an in-place
- *   write-pointer technique: iterate with a read index, copy live entries
- *   to a write index, then truncate the array. This is O(n) with zero
- *   allocations — critical for a smooth 60fps game loop.
+ * editWave() — #waveForm's change handler: copy the form back into the
+ * current wave. A mix with every weight at 0 is left out, which means
+ * "whatever the wave number unlocks" (see pickEnemyType in engine.js).
  */
-function update() {
-  if (!gameRunning || gamePaused) return; // Skip logic when paused or game over
-  frame++; // Global frame counter — used for timed spawns and effects
-  elapsedTime = Date.now() - startTime; // Update elapsed time for HUD display
-  DOM.timeDisplay.textContent = fmtTime(elapsedTime);
-
-  // ── Step 2: Player movement ──
-  // Read the keys map (populated by keydown/keyup handlers) and move player.
-  // Math.max/Math.min clamp the player within canvas bounds (0 to 552, since player is 48px wide).
-  // Supports both Arrow keys and WASD for accessibility.
-  if (keys["ArrowLeft"] || keys["a"])
-    player.x = Math.max(0, player.x - player.speed);
-  if (keys["ArrowRight"] || keys["d"])
-    player.x = Math.min(552, player.x + player.speed);
-  if (keys[" "]) shoot(); // Spacebar = continuous fire (rate-limited inside shoot())
-
-  // ── Step 3: Bullet movement + off-screen cleanup ──
-  // Move all bullets upward. Remove any that have scrolled above the canvas (y < -20).
-  // Uses write-pointer compaction to avoid array allocation.
-  let bWrite = 0;
-  for (let i = 0; i < bullets.length; i++) {
-    bullets[i].y -= bullets[i].speed; // Move upward (negative y direction)
-    if (bullets[i].y > -20) {
-      // Keep if still on-screen (20px grace above canvas)
-      bullets[bWrite++] = bullets[i];
-    }
-  }
-  bullets.length = bWrite;
-
-  // ── Step 4: Enemy spawning ──
-  // Spawn a new enemy every `enemySpawnRate` frames. Lower rate = more frequent spawns.
-  // At 60fps: rate 80 = ~1.3s between spawns (easy), rate 40 = ~0.67s (hard)
-  if (frame % enemySpawnRate === 0) spawnEnemy();
-
-  // ── Step 5: Star field scrolling ──
-  // Move stars downward to create the illusion of upward movement.
-  // Stars that scroll off the bottom wrap to the top with a new random x.
-  for (let i = 0; i < stars.length; i++) {
-    stars[i].y += stars[i].speed;
-    if (stars[i].y > 800) {
-      stars[i].y = 0; // Wrap to top
-      stars[i].x = Math.random() * 600; // New random horizontal position
-    }
+function editWave() {
+  const w = currentWave(),
+    f = document.getElementById("waveForm").elements,
+    kind = f.goalKind.value;
+  w.goal =
+    kind === "boss"
+      ? { boss: true }
+      : { [kind]: Math.max(1, +f.goalValue.value || 10) };
+  w.pattern = f.pattern.value;
+  w.count = Math.min(12, Math.max(1, Math.round(+f.count.value) || 5));
+  w.spawnOffset = Math.round(+f.spawnOffset.value || 0);
+  w.speedBonus = +f.speedBonus.value || 0;
+  w.meteorChance = Math.min(100, Math.max(0, +f.meteorChance.value || 0)) / 100;
+  const mix = {};
+  for (const id in ENEMY_TYPES) {
+    const v = +f["mix-" + id].value;
+    if (v > 0) mix[id] = v;
   }
+  if (Object.keys(mix).length) w.mix = mix;
+  else delete w.mix;
+  f.goalValue.disabled = kind === "boss";
+  if (kind !== "boss") f.goalValue.value = w.goal[kind];
+  renderWaveTabs();
+  drawTimeline();
+}
 
-  // ── Step 6: Collision detection (enemy-bullet and enemy-player) ──
-  // Outer loop: iterate all enemies, move them, check against all bullets and player.
-  for (let ei = 0; ei < enemies.length; ei++) {
-    const e = enemies[ei];
-    e.y += e.speed; // Move enemy downward
-
-    // Inner loop: check all bullets against this enemy (reverse for safe marking)
-    for (let bi = bullets.length - 1; bi >= 0; bi--) {
-      const b = bullets[bi];
-      if (b.dead) continue; // Skip bullets already consumed by a previous collision
-      if (collides(b, e)) {
-        b.dead = true; // Mark bullet as consumed (cleaned up in step 7)
-        shotsHit++; // Track for accuracy stat
-        e.health--; // Reduce enemy health
-        sfx.hit(); // "Damage dealt" sound
-        if (e.health <= 0) {
-          // Enemy destroyed!
-          boom(e.x + 24, e.y + 24, C.particle); // Explosion at enemy center
-          score += e.type === "fast" ? 20 : 10; // Fast enemies worth double
-          enemiesKilled++;
-          killsThisWave++;
-          DOM.score.textContent = score;
-          flash("score");
-          sfx.kill(); // Two-note "enemy destroyed" jingle
-
-          e.dead = true; // Mark for cleanup in step 8
-
-          // ── Wave advancement check ──
-          // Every KILLS_PER_WAVE (8) kills, advance to the next wave.
-          // Waves increase difficulty by reducing spawn interval and increasing speed.
-          if (killsThisWave >= KILLS_PER_WAVE) {
-            killsThisWave = 0; // Reset kill counter for the new wave
-            waveNumber++;
-            DOM.waveDisplay.textContent = waveNumber;
-            flash("waveDisplay");
-
-            // Scale difficulty: reduce spawn interval and increase speed with each wave.
-            // wb = wave bonus, capped at 9 to prevent infinite scaling.
-            // Spawn rate decreases by 3 frames per wave (minimum 20 frames).
-            // Speed multiplier increases by 0.08 per wave.
-            const wb = Math.min(waveNumber - 1, 9);
-            enemySpawnRate = Math.max(
-              20, // Hard floor: never spawn faster than every 20 frames (~0.33s)
-              ({ easy: 80, hard: 40 }[difficulty] || 60) - wb * 3,
-            );
-            enemySpeedMult =
-              ({ easy: 0.7, hard: 1.5 }[difficulty] || 1) + wb * 0.08;
-
-            // Show a "WAVE N" notification overlaid on the game
-            const n = document.createElement("div");
-            n.className = "wave-clear-notify";
-            n.innerHTML = `WAVE ${waveNumber}<br><span style="font-size:9px;color:#98d8c8">ENEMIES FASTER!</span>`;
-            DOM.gameContainer.appendChild(n);
-            setTimeout(() => n.remove(), 2100); // Auto-remove after 2.1 seconds
-            sfx.wave(); // Triumphant wave-clear jingle
-          }
-          break; // Bullet consumed — stop checking more bullets against this (now dead) enemy
-        }
-      }
-    }
+/** selectWave() — Show wave `i` in the form and on the timeline. */
+function selectWave(i) {
+  stopPreview();
+  editor.wave = i;
+  editor.selected = -1;
+  renderWaveTabs();
+  renderWaveForm();
+  drawTimeline();
+}
 
-    // Enemy-player collision (only if enemy wasn't already destroyed by a bullet above)
-    // Costs the player a life and triggers screen shake + explosion effects.
-    if (!e.dead && collides(e, player)) {
-      boom(player.x + 24, player.y + 16, "#f5e6a3"); // Yellow explosion at player center
-      lives--;
-      DOM.lives.textContent = lives;
-      flash("lives"); // Visual pulse on lives HUD (warning: lives decreasing)
-      sfx.death(); // Low damage sound
-      onHit(); // Trigger screen shake
-      e.dead = true; // Enemy is destroyed on contact (kamikaze)
-      if (lives <= 0) endGame(); // No lives left = game over
-    }
-  }
+/** addWave() — Append a fresh wave (or a copy of the current one) and show it. */
+function addWave(copy = false) {
+  const { waves } = editor.level;
+  waves.push(copy ? JSON.parse(JSON.stringify(currentWave())) : newWave());
+  selectWave(waves.length - 1);
+}
 
-  // ── Step 7: Dead bullet cleanup (second pass) ──
-  // Some bullets were marked .dead = true during collision detection in step 6.
-  // This pass removes them using the write-pointer compaction pattern.
-  bWrite = 0;
-  for (let i = 0; i < bullets.length; i++) {
-    if (!bullets[i].dead) bullets[bWrite++] = bullets[i];
-  }
-  bullets.length = bWrite;
-
-  // ── Step 8: Dead/off-screen enemy cleanup ──
-  // Removes enemies that were killed in step 6 OR scrolled past the bottom (y >= 850).
-  // Enemies that scroll off-screen don't cost the player a life — they're just gone.
-  let eWrite = 0;
-  for (let i = 0; i < enemies.length; i++) {
-    if (!enemies[i].dead && enemies[i].y < 850) enemies[eWrite++] = enemies[i];
-  }
-  enemies.length = eWrite;
-
-  // ── Step 9: Particle physics ──
-  // Update each explosion particle: apply velocity, add gravity, decrement life.
-  // Particles with life <= 0 are removed via write-pointer compaction.
-  let pWrite = 0;
-  for (let i = 0; i < particles.length; i++) {
-    const p = particles[i];
-    p.x += p.vx; // Apply horizontal velocity
-    p.y += p.vy; // Apply vertical velocity
-    p.vy += 0.2; // Apply gravity (particles arc downward over time)
-    p.life--; // Count down to expiry (used as alpha: life/25)
-    if (p.life > 0) particles[pWrite++] = p; // Keep alive particles
-  }
-  particles.length = pWrite;
-
-  // ── Step 10: Meteor shower random trigger ──
-  // Only check after 10 seconds of gameplay (give the player time to warm up).
-  // Check approximately once per second (every 60 frames) to avoid per-frame
-  // random rolls. The 2.2% probability per check gives an expected interval
-  // of ~45 seconds between meteor showers (1 / 0.022 ≈ 45 checks ≈ 45 seconds).
-  if (!meteorActive && elapsedTime > 10000) {
-    if (frame - lastMeteorCheck > 60) {
-      lastMeteorCheck = frame;
-      if (Math.random() < 0.022) {
-        triggerMeteorShower();
-      }
-    }
-  }
+/** deleteWave() — Remove the current wave; a level always keeps one. */
+function deleteWave() {
+  const { waves } = editor.level;
+  if (waves.length === 1) return toast("⚠ A level needs at least one wave");
+  waves.splice(editor.wave, 1);
+  if (editor.level.loop > waves.length) editor.level.loop = waves.length;
+  selectWave(Math.min(editor.wave, waves.length - 1));
+  document.getElementById("levelLoop").value = editor.level.loop || 0;
+}
 
-  // ── Step 11: Meteor update ──
-  updateMeteors(); // Handles meteor spawning, movement, collisions, and cleanup
+/** editLevel() — Name and loop inputs: copy them into the level. */
+function editLevel() {
+  const { level } = editor,
+    loop = Math.round(+document.getElementById("levelLoop").value) || 0;
+  level.name = document.getElementById("levelName").value.trim().toUpperCase();
+  if (loop >= 1) level.loop = Math.min(loop, level.waves.length);
+  else delete level.loop;
 }
 
+// ── Timeline ──
+
 /**
- * draw() — Render the entire game scene to the canvas.
- *
- * RENDER ORDER (back to front — "painter's algorithm"):
- *   1. Background gradient (clears the canvas)
- *   2. Star field (behind everything)
- *   3. Player ship (above stars)
- *   4. Bullets (above player)
- *   5. Enemies (above bullets — enemies are the main visual focus)
- *   6. Meteors (above enemies — they're a foreground hazard)
- *   7. Particles (topmost game objects — explosions should be visible over everything)
- *   8. Pause dimmer (semi-transparent overlay, only when paused)
- *
- * This order ensures that foreground elements (particles, meteors) are never
- * obscured by background elements (stars, player). Canvas draws are cumulative
- * — each fillRect paints over whatever was drawn before it.
+ * renderBrush() — Fill the brush pickers (once) and, when a marker is
+ * selected, show its settings so they can be edited in place.
  */
-function draw() {
-  // Step 1: Clear the entire canvas by filling with the pre-cached background gradient.
-  // This also serves as the "erase" step — without it, previous frames would persist.
-  ctx.fillStyle = bgGradient;
-  ctx.fillRect(0, 0, 600, 800);
+function renderBrush() {
+  const kind = document.getElementById("brushKind");
+  if (!kind.options.length)
+    kind.innerHTML =
+      Object.keys(ENEMY_TYPES)
+        .map(
+          (id) =>
+            `<option value="spawn:${id}">👾 ${ENEMY_PATHS[id] || id}</option>`,
+        )
+        .join("") +
+      `<option value="meteorShower">☄ Meteor shower</option>` +
+      Object.keys(POWERUPS)
+        .map((k) => `<option value="powerUp:${k}">⚡ Power-up: ${k}</option>`)
+        .join("");
+  const ev = currentWave().events[editor.selected];
+  if (!ev) return;
+  kind.value =
+    ev.event === "spawn"
+      ? "spawn:" + ev.type
+      : ev.event === "powerUp"
+        ? "powerUp:" + ev.kind
+        : ev.event;
+  document.getElementById("brushFormation").value = ev.formation || "single";
+  document.getElementById("brushCount").value = ev.count || 5;
+}
 
-  // Step 2: Draw the star field — small squares in a cool lavender color.
-  // Stars are drawn as simple squares (fillRect) rather than circles for the pixel-art aesthetic.
-  ctx.fillStyle = C.star;
-  for (let i = 0; i < stars.length; i++) {
-    const s = stars[i];
-    ctx.fillRect(s.x, s.y, s.size, s.size);
-  }
+/** brushEvent() — A wave event built from the brush controls, at (at, x). */
+function brushEvent(at, x) {
+  const [event, arg] = document.getElementById("brushKind").value.split(":");
+  if (event === "meteorShower") return { at, event };
+  if (event === "powerUp") return { at, event, kind: arg, x };
+  const formation = document.getElementById("brushFormation").value,
+    ev = { at, event, type: arg, formation };
+  if (formation === "single") ev.x = x;
+  else
+    ev.count = Math.min(
+      12,
+      Math.max(1, +document.getElementById("brushCount").value || 5),
+    );
+  return ev;
+}
 
-  // Step 3: Draw the player ship (only if a game is active — not on difficulty screen)
-  if (gameStarted) drawPlayer();
+/** editBrush() — Brush controls changed: restyle the selected marker, if any. */
+function editBrush() {
+  const events = currentWave().events,
+    ev = events[editor.selected];
+  if (!ev) return;
+  events[editor.selected] = brushEvent(ev.at, ev.x ?? WORLD_W / 2);
+  drawTimeline();
+}
 
-  // Step 4: Draw all active bullets — each with an outer fill and inner shadow
-  // for a subtle 3D extruded look (same technique as pixRect but simplified)
-  for (let i = 0; i < bullets.length; i++) {
-    const b = bullets[i];
-    ctx.fillStyle = C.bullet; // Outer fill: warm yellow
-    ctx.fillRect(b.x, b.y, b.w, b.h);
-    ctx.fillStyle = C.bulletSh; // Inner shadow: darker yellow
-    ctx.fillRect(b.x + 2, b.y + 2, b.w - 4, b.h - 4); // 2px inset on all sides
-  }
+/** deleteEvent() — Remove the selected timeline marker. */
+function deleteEvent() {
+  if (editor.selected < 0) return;
+  currentWave().events.splice(editor.selected, 1);
+  editor.selected = -1;
+  drawTimeline();
+}
 
-  // Step 5: Draw all enemies (each has its own multi-part sprite drawing)
-  for (let i = 0; i < enemies.length; i++) drawEnemy(enemies[i]);
+/** timelineSpan() — Seconds the timeline shows for the current wave. */
+function timelineSpan() {
+  const w = currentWave();
+  let end = w.goal.time || 0;
+  for (const ev of w.events) end = Math.max(end, ev.at + TIMELINE_PAD);
+  return Math.max(TIMELINE_MIN, Math.ceil(end / 10) * 10);
+}
 
-  // Step 6: Draw meteors (if a meteor shower is active)
-  drawMeteors();
+/**
+ * timelinePoint() — Map between the timeline canvas and wave coordinates:
+ * seconds on the horizontal axis, playfield x (0–WORLD_W) on the vertical.
+ */
+function timelinePoint(tl, span, ev) {
+  return {
+    px: TL_LEFT + (ev.at / span) * (tl.width - TL_LEFT - 10),
+    py: 10 + ((ev.x ?? WORLD_W / 2) / WORLD_W) * (tl.height - 30),
+  };
+}
 
-  // Step 7: Draw explosion particles with fading alpha.
-  // Each particle's alpha = life/25, so it fades from fully opaque (life=25)
-  // to nearly invisible (life=1) before being removed.
-  // IMPORTANT: globalAlpha must be reset to 1 after the particle loop,
-  // otherwise all subsequent draws (pause overlay, next frame) would be transparent.
-  if (particles.length > 0) {
-    for (let i = 0; i < particles.length; i++) {
-      const p = particles[i];
-      ctx.fillStyle = p.color;
-      ctx.globalAlpha = p.life / 25; // Fade: 1.0 → 0.04 over 25 frames
-      ctx.fillRect(p.x, p.y, p.size, p.size);
-    }
-    ctx.globalAlpha = 1; // Reset alpha so nothing else is affected
+/**
+ * drawTimeline() — Redraw the timeline canvas: a 5-second grid, the time
+ * goal (if any), and one marker per event. Single enemies sit at their x;
+ * formations and meteor showers span the whole width.
+ */
+function drawTimeline() {
+  const tl = document.getElementById("timeline"),
+    c = tl.getContext("2d"),
+    span = timelineSpan(),
+    w = currentWave(),
+    bottom = tl.height - 20;
+  c.fillStyle = "#12101c";
+  c.fillRect(0, 0, tl.width, tl.height);
+  c.font = "8px 'Press Start 2P', monospace";
+  for (let s = 0; s <= span; s += 5) {
+    const { px } = timelinePoint(tl, span, { at: s });
+    c.fillStyle = s % 10 ? "#2d2438" : "#3f3550";
+    c.fillRect(px, 10, 1, bottom - 10);
+    c.fillStyle = "#9e95a8";
+    if (s % 10 === 0) c.fillText(s + "s", px - 6, tl.height - 5);
   }
+  c.fillStyle = "#6e6580";
+  c.fillText("◀", 4, 18);
+  c.fillText("▶", 4, bottom);
+  if (w.goal.time) {
+    const { px } = timelinePoint(tl, span, { at: w.goal.time });
+    c.fillStyle = C.enemy;
+    c.fillRect(px, 10, 2, bottom - 10);
+  }
+  w.events.forEach((ev, i) => {
+    const { px, py } = timelinePoint(tl, span, ev),
+      sel = i === editor.selected;
+    if (
+      ev.event === "meteorShower" ||
+      (ev.formation || "single") !== "single"
+    ) {
+      // Whole-width events: a band down the timeline
+      c.fillStyle =
+        ev.event === "meteorShower"
+          ? C.meteor
+          : ENEMY_COLORS[ev.type] || C.enemy;
+      c.globalAlpha = sel ? 0.9 : 0.55;
+      c.fillRect(px - 4, 10, 8, bottom - 10);
+      c.globalAlpha = 1;
+      c.fillStyle = "#f5e6a3";
+      c.fillText(
+        ev.event === "meteorShower" ? "☄" : ev.formation === "vee" ? "V" : "≡",
+        px - 4,
+        8,
+      );
+    } else {
+      c.fillStyle =
+        ev.event === "powerUp" ? "#f0c85a" : ENEMY_COLORS[ev.type] || C.enemy;
+      if (ev.event === "powerUp") {
+        c.beginPath(); // Diamond for pickups
+        c.moveTo(px, py - 7);
+        c.lineTo(px + 7, py);
+        c.lineTo(px, py + 7);
+        c.lineTo(px - 7, py);
+        c.fill();
+      } else c.fillRect(px - 6, py - 6, 12, 12);
+    }
+    if (sel) {
+      c.strokeStyle = "#fff";
+      c.lineWidth = 2;
+      c.strokeRect(px - 9, py - 9, 18, 18);
+    }
+  });
+}
 
-  // Step 8: When paused, draw a semi-transparent black overlay to dim the game.
-  // This visually signals "paused" without hiding the game state entirely.
-  if (gamePaused) {
-    ctx.fillStyle = "rgba(0,0,0,.3)"; // 30% black — enough to dim, not to obscure
-    ctx.fillRect(0, 0, 600, 800);
+/** timelineHit() — Index of the event marker under (x, y) canvas px, or -1. */
+function timelineHit(tl, x, y) {
+  const span = timelineSpan(),
+    events = currentWave().events;
+  for (let i = events.length - 1; i >= 0; i--) {
+    const { px, py } = timelinePoint(tl, span, events[i]),
+      wide =
+        events[i].event === "meteorShower" ||
+        (events[i].formation || "single") !== "single";
+    if (Math.abs(x - px) <= 8 && (wide || Math.abs(y - py) <= 8)) return i;
   }
+  return -1;
 }
 
 /**
- * gameLoop() — Main requestAnimationFrame loop.
- *
- * requestAnimationFrame (rAF) is the browser's recommended way to run animations.
- * Unlike setInterval, rAF:
- *   - Syncs to the display refresh rate (usually 60fps) for smooth animation
- *   - Automatically pauses when the tab is hidden (saves CPU/battery)
- *   - Provides optimal frame timing (no drift, no double-frames)
- *
- * The loop calls update() (game logic) then draw() (rendering) each frame.
- * It self-terminates when gameStarted becomes false (game over → resetGame).
+ * timelineAt() — Wave coordinates under a pointer event: seconds (0.1s
+ * steps) and playfield x (5px steps), clamped to the timeline.
  */
-function gameLoop() {
-  update(); // Process one tick of game logic
-  draw(); // Render the current state to canvas
-  if (gameStarted) requestAnimationFrame(gameLoop); // Schedule next frame (or stop if game ended)
+function timelineAt(tl, e) {
+  const r = tl.getBoundingClientRect(),
+    x = ((e.clientX - r.left) / r.width) * tl.width,
+    y = ((e.clientY - r.top) / r.height) * tl.height,
+    span = timelineSpan(),
+    at = ((x - TL_LEFT) / (tl.width - TL_LEFT - 10)) * span,
+    px = ((y - 10) / (tl.height - 30)) * WORLD_W;
+  return {
+    x,
+    y,
+    at: Math.round(Math.min(Math.max(at, 0), span) * 10) / 10,
+    wx: Math.round(Math.min(Math.max(px, 0), WORLD_W) / 5) * 5,
+  };
 }
 
 /**
- * drawIdleBackground() — Animate the starfield when no game is running.
- *
- * Shows a gentle star scroll on the difficulty selection screen, giving the
- * canvas visual life even before the player starts a game. Stars move at
- * 30% of their game speed (speed * 0.3) for a slow, ambient effect.
- *
- * This loop runs independently of gameLoop() — it starts on page load and
- * when resetGame() is called, and stops when startGame() sets idleRunning = false.
- * The two loops never run simultaneously because startGame() sets idleRunning = false
- * before calling gameLoop().
+ * Timeline pointer handling: press on a marker to select (and drag) it,
+ * press on an empty spot to place the brush there. Dragging keeps the
+ * marker under the pointer until release.
  */
-function drawIdleBackground() {
-  if (!idleRunning) return; // Stop loop if a game has started
-  // Clear canvas and redraw background
-  ctx.fillStyle = bgGradient;
-  ctx.fillRect(0, 0, 600, 800);
-  // Draw and slowly scroll stars (30% of normal speed for a calm ambient effect)
-  ctx.fillStyle = C.star;
-  for (let i = 0; i < stars.length; i++) {
-    const s = stars[i];
-    s.y += s.speed * 0.3; // Slow scroll — 30% of in-game speed
-    if (s.y > 800) {
-      s.y = 0;
-      s.x = Math.random() * 600;
+function initTimeline() {
+  const tl = document.getElementById("timeline");
+  tl.addEventListener("pointerdown", (e) => {
+    const p = timelineAt(tl, e),
+      events = currentWave().events;
+    editor.selected = timelineHit(tl, p.x, p.y);
+    if (editor.selected < 0) {
+      events.push(brushEvent(p.at, p.wx));
+      editor.selected = events.length - 1;
+      sfx.click();
     }
-    ctx.fillRect(s.x, s.y, s.size, s.size);
-  }
-  requestAnimationFrame(drawIdleBackground); // Continue the idle animation loop
+    editor.dragging = true;
+    tl.setPointerCapture?.(e.pointerId);
+    renderBrush();
+    drawTimeline();
+  });
+  tl.addEventListener("pointermove", (e) => {
+    const ev = currentWave().events[editor.selected];
+    if (!editor.dragging || !ev) return;
+    const p = timelineAt(tl, e);
+    ev.at = p.at;
+    if (ev.x !== undefined) ev.x = p.wx;
+    drawTimeline();
+  });
+  const endDrag = () => (editor.dragging = false);
+  tl.addEventListener("pointerup", endDrag);
+  tl.addEventListener("pointercancel", endDrag);
 }
 
-// ─── Game Over & Score Saving ────────────────────────────
+// ── Preview ──
 
 /**
- * endGame() — Stop the game loop, compute final statistics, and show the game over screen.
- *
- * Called when lives reach 0 (from enemy or meteor collision in update/updateMeteors).
- *
- * Stats computation:
- *   - Accuracy = shotsHit / shotsFired * 100 (guarded against division by zero)
- *   - Time survived = elapsedTime formatted as "M:SS"
- *   - All other stats (score, kills, difficulty, wave) are read directly from game state
- *
- * After this function, the game loop continues running (gameStarted is still true),
- * but update() early-returns because gameRunning is false. The canvas freezes on the
- * last frame. The player sees the game over overlay and can choose to save or restart.
+ * startPreview() — Play the current wave on the preview canvas: a private
+ * engine running a one-wave script at NORMAL difficulty, on the same fixed
+ * timestep as gameLoop() — whole TICK_MS ticks out of the real time that
+ * passed, so the wave plays at game speed at any refresh rate (without
+ * gameLoop's interpolation: the schematic is drawn at the last tick's
+ * positions). The ship flies itself (holds fire, tracks the lowest enemy or the
+ * boss) and cannot die, so the whole wave can be watched to its goal.
  */
-function endGame() {
-  gameRunning = false; // Stops update() from processing game logic (but rAF loop still runs)
-  elapsedTime = Date.now() - startTime; // Final snapshot of elapsed time
-  sfx.gameOver(); // Play the descending three-note defeat jingle
+function startPreview() {
+  stopPreview();
+  const g = createEngine();
+  g.on("gameOver", () =>
+    setPreviewStatus(`✓ WAVE CLEAR · ${fmtTime(g.elapsedTime)}`),
+  );
+  try {
+    g.start({
+      difficulty: "normal",
+      script: { name: "preview", waves: [currentWave()] },
+    });
+  } catch (err) {
+    return toast("⚠ " + err.message);
+  }
+  editor.preview = g;
+  let acc = 0, // Real time not yet turned into ticks (ms)
+    last = null; // Timestamp of the previous frame (null = first frame)
+  const tick = (now) => {
+    if (last === null) last = now;
+    acc += Math.min(now - last, MAX_FRAME_MS); // Clamp hidden-tab gaps, as gameLoop() does
+    last = now;
+    while (acc >= TICK_MS && g.running) {
+      g.lives = 99; // The autopilot can't die — hits never end the preview
+      const target =
+          g.boss || g.enemies.reduce((t, e) => (!t || e.y > t.y ? e : t), null),
+        tx = target ? target.x + target.w / 2 : WORLD_W / 2,
+        cx = g.player.x + g.player.w / 2;
+      g.step(IN_FIRE | (tx > cx + 8 ? IN_RIGHT : tx < cx - 8 ? IN_LEFT : 0));
+      acc -= TICK_MS;
+    }
+    drawPreview(g);
+    if (g.running) {
+      const goal = g.wave.goal;
+      setPreviewStatus(
+        `${fmtTime(g.elapsedTime)} · ${goal.kills ? `KILLS ${g.killsThisWave}/${goal.kills}` : goal.time ? `SURVIVE ${goal.time}s` : "BOSS"}`,
+      );
+      editor.previewHandle = requestAnimationFrame(tick);
+    }
+  };
+  tick(performance.now());
+}
 
-  // Compute accuracy: avoid division by zero if the player never fired
-  const acc = shotsFired > 0 ? Math.round((shotsHit / shotsFired) * 100) : 0;
+/** stopPreview() — Halt the preview loop (the last frame stays on screen). */
+function stopPreview() {
+  cancelAnimationFrame(editor.previewHandle);
+  editor.preview = null;
+}
 
-  // Populate the game over screen with final stats
-  DOM.finalScore.textContent = score;
-  DOM.finalKills.textContent = enemiesKilled;
-  DOM.finalAccuracy.textContent = acc + "%";
-  DOM.finalTime.textContent = fmtTime(elapsedTime);
-  DOM.finalDifficulty.textContent = difficulty.toUpperCase();
-  DOM.finalWave.textContent = waveNumber;
-  DOM.gameOverEl.style.display = "block"; // Show the game over overlay
-  DOM.savedMsg.textContent = ""; // Clear any previous "Score saved!" message
+/** setPreviewStatus() — The text line under the preview canvas. */
+function setPreviewStatus(text) {
+  document.getElementById("previewStatus").textContent = text;
 }
 
 /**
- * saveAndRestart() — Save the current score to the leaderboard, then reset.
- *
- * Flow:
- *   1. Read player name from the input field (default "PILOT" if empty)
- *   2. Compute final accuracy
- *   3. Save score + stats to localStorage via saveScore()
- *   4. Show "Score saved!" confirmation message
- *   5. Play a two-note confirmation sound
- *   6. After 600ms delay (so the player can see the confirmation), call resetGame()
- *
- * The 600ms delay before resetGame() is important — without it, the "Score saved!"
- * message would flash and disappear instantly, giving no visual feedback.
+ * drawPreview() — A schematic frame of the preview engine: flat boxes in each
+ * type's colour rather than the game's sprites, at half scale.
  */
-function saveAndRestart() {
-  const name = DOM.playerName.value.trim() || "PILOT"; // Default name for empty input
-  const acc = shotsFired > 0 ? Math.round((shotsHit / shotsFired) * 100) : 0;
-  saveScore(name, score, {
-    accuracy: acc,
-    enemiesKilled,
-    timeSurvived: fmtTime(elapsedTime),
-    difficulty: difficulty.toUpperCase(),
-  });
-  DOM.savedMsg.textContent = "✓ Score saved!"; // Visual confirmation
-  beep(800, 0.1); // Two-note "success" confirmation sound
-  setTimeout(() => beep(1000, 0.1), 80);
-  setTimeout(resetGame, 600); // Brief pause so the player sees the confirmation, then reset
+function drawPreview(g) {
+  const pc = document.getElementById("previewCanvas"),
+    c = pc.getContext("2d"),
+    box = (o, color) => {
+      c.fillStyle = color;
+      c.fillRect(o.x, o.y, o.w, o.h);
+    };
+  c.setTransform(pc.width / WORLD_W, 0, 0, pc.height / WORLD_H, 0, 0);
+  c.fillStyle = "#0f0c18";
+  c.fillRect(0, 0, WORLD_W, WORLD_H);
+  for (const pu of g.pickups) box(pu, "#f0c85a");
+  for (const b of g.bullets) box(b, C.bullet);
+  for (const s of g.enemyBullets) box(s, "#f0b6c5");
+  for (const e of g.enemies) box(e, ENEMY_COLORS[e.type] || C.enemy);
+  for (const m of g.meteors) box(m, C.meteor);
+  if (g.boss) {
+    const b = g.boss;
+    box({ x: b.x, y: b.y, w: b.w, h: 50 }, "#6e6580");
+    for (const part of b.parts)
+      if (part.health > 0)
+        box(
+          { x: b.x + part.dx, y: b.y + part.dy, w: part.w, h: part.h },
+          part.id === "core" ? C.enemy : "#9e95a8",
+        );
+  }
+  box(g.player, C.pBody);
+  c.setTransform(1, 0, 0, 1, 0, 0);
 }
 
-/**
- * restartOnly() — Restart the game immediately without saving the score.
- * Used when the player chooses not to record their performance.
- */
-function restartOnly() {
-  beep(600, 0.1); // Single neutral beep (not the celebratory save sound)
-  resetGame();
+// ── Saving, loading, import & export ──
+
+/** newLevel() — Start over on a blank one-wave level. */
+function newLevel() {
+  stopPreview();
+  editor.level = { name: "MY LEVEL", waves: [newWave()] };
+  editor.wave = 0;
+  editor.selected = -1;
+  renderEditor();
 }
 
 /**
- * resetGame() — Reset ALL game state to initial values and show the difficulty screen.
- *
- * This is the "factory reset" for the game. It must reset EVERY mutable game
- * variable to prevent state leakage between games. Missing a reset here would
- * cause bugs like scores carrying over, enemies persisting, or meteors active
- * at the start of a new game.
- *
- * Called from three places:
- *   1. navigateTo("game") — when the player navigates to the game section
- *   2. saveAndRestart() — after saving the score to leaderboard
- *   3. restartOnly() — when restarting without saving
- *
- * After reset, it starts the idle starfield animation (drawIdleBackground)
- * and shows the difficulty selection overlay, waiting for the player to start.
- *
- * Note: the `stars` array is NOT reset — the starfield persists across games.
+ * saveLevel() — Check the level with the engine's loadWaveScript() and store
+ * it under its name (replacing a saved level of the same name).
  */
-function resetGame() {
-  // Reset player to center-bottom of canvas
-  player = { x: 275, y: 720, w: 48, h: 32, speed: 6 };
-
-  // Clear all entity arrays (but NOT stars — they persist)
-  bullets = [];
-  enemies = [];
-  particles = [];
-  meteors = [];
-
-  // Reset scoring and lives
-  score = 0;
-  lives = 3;
-
-  // Reset lifecycle flags — this stops the game loop's update() from running
-  gameRunning = false;
-  gamePaused = false;
-  gameStarted = false; // This also stops gameLoop's rAF from re-scheduling
-
-  // Reset timing and statistics
-  frame = 0;
-  shotsFired = 0;
-  shotsHit = 0;
-  enemiesKilled = 0;
-  startTime = 0;
-  elapsedTime = 0;
-
-  // Reset wave system
-  waveNumber = 1;
-  killsThisWave = 0;
-  konamiBonus = 0;
-
-  // Reset meteor shower state
-  meteorActive = false;
-  meteorTimer = 0;
-  lastMeteorCheck = 0;
+function saveLevel() {
+  editLevel();
+  const { level } = editor;
+  if (!level.name) return toast("⚠ Give the level a name first");
+  try {
+    loadWaveScript(level);
+  } catch (err) {
+    return toast("⚠ " + err.message);
+  }
+  const levels = getLevels();
+  levels[level.name] = JSON.parse(JSON.stringify(level));
+  localStorage.setItem(LEVELS_KEY, JSON.stringify(levels));
+  renderLevelPickers();
+  toast(`💾 Saved "${level.name}" — pick it on the difficulty screen`);
+}
 
-  // Reset HUD displays to default values
-  DOM.score.textContent = "0";
-  DOM.lives.textContent = "3";
-  DOM.waveDisplay.textContent = "1";
+/** loadLevel() — Open a saved level from the picker. */
+function loadLevel(name) {
+  const script = getLevels()[name];
+  if (!script) return;
+  stopPreview();
+  editor.level = flattenLevel(script);
+  editor.wave = 0;
+  editor.selected = -1;
+  renderEditor();
+}
+
+/** deleteLevel() — Remove the level with the current name from storage. */
+function deleteLevel() {
+  const levels = getLevels(),
+    { name } = editor.level;
+  if (!levels[name]) return toast("⚠ This level hasn't been saved");
+  if (!confirm(`Delete level "${name}"?`)) return;
+  delete levels[name];
+  localStorage.setItem(LEVELS_KEY, JSON.stringify(levels));
+  renderLevelPickers();
+  beep(200, 0.3, "sawtooth"); // Same low buzz as clearing the scores
+}
+
+/** exportLevel() — Download the level as "<name>.json". */
+function exportLevel() {
+  editLevel();
+  const { level } = editor,
+    blob = new Blob([JSON.stringify(level, null, 2)], {
+      type: "application/json",
+    }),
+    a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download =
+    (level.name || "level").toLowerCase().replace(/\W+/g, "-") + ".json";
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
 
-  // Hide game over and pause overlays, show difficulty selection
-  DOM.gameOverEl.style.display = "none";
-  DOM.pauseOverlay.style.display = "none";
-  DOM.difficultyScreen.style.display = "flex"; // Flexbox centers the difficulty buttons
-  DOM.savedMsg.textContent = ""; // Clear any "Score saved!" message
+/**
+ * importLevel() — Open a JSON level file chosen in the import input. It is
+ * checked like a save, then opened for editing (not saved until SAVE).
+ * @param {HTMLInputElement} input
+ */
+async function importLevel(input) {
+  const file = input.files[0];
+  input.value = ""; // Picking the same file again still fires onchange
+  if (!file) return;
+  try {
+    const script = JSON.parse(await file.text());
+    loadWaveScript(script);
+    stopPreview();
+    editor.level = flattenLevel(script);
+    editor.wave = 0;
+    editor.selected = -1;
+    renderEditor();
+    toast(`📂 Imported "${editor.level.name}"`);
+  } catch (err) {
+    toast("⚠ " + err.message);
+  }
+}
 
-  // Start the idle starfield animation on the canvas
-  idleRunning = true;
-  drawIdleBackground(); // Begins the ambient star scroll loop
+/**
+ * selectedLevel() — The custom level picked on the difficulty screen, or
+ * null for the standard endless game.
+ */
+function selectedLevel() {
+  const name = document.getElementById("levelSelect").value;
+  return (name && getLevels()[name]) || null;
 }
 
 // ─── Fake BIOS Boot Sequence ─────────────────────────────
@@ -2073,7 +5437,7 @@ function resetGame() {
  */
 function runBootSequence() {
   const bootScreen = document.getElementById("bootScreen");
-  if (!bootScreen) return; // Guard: skip if boot screen element doesn't exist
+  if (!bootScreen) return setState("title"); // Guard: skip if boot screen element doesn't exist
 
   // The "POST" messages — written to feel like a real 1980s BIOS boot
   const lines = [
@@ -2111,6 +5475,7 @@ function runBootSequence() {
         bootScreen.classList.add("fade-out"); // CSS transition: opacity 1 → 0 over 600ms
         setTimeout(() => {
           bootScreen.classList.add("hidden"); // Remove from layout (display: none)
+          if (state === "boot") setState("title"); // The site is usable now
         }, 600); // Wait for the 600ms fade-out transition to complete
       }, 800); // 800ms reading time after the last line
     }
@@ -2135,7 +5500,7 @@ function runBootSequence() {
      4. Idle timer setup (registers event listeners for UFO easter egg)
      5. Clear button handler
      6. Hero typewriter (delayed 800ms to start after boot screen typing)
-     7. Idle starfield animation
+     7. Idle sky animation
      8. Click ripple effect
      9. Page body fade-in (very last — reveals everything at once)
    ═══════════════════════════════════════════════ */
@@ -2173,6 +5538,15 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // ── Sprite skin ──
+  // ?skin=<url> swaps in a sprite-sheet skin (see loadSkin); if it fails to
+  // load, the built-in art simply stays.
+  const skinUrl = new URLSearchParams(location.search).get("skin");
+  if (skinUrl)
+    loadSkin(skinUrl)
+      .then((s) => toast(`🎨 Skin: ${s.name}`))
+      .catch((err) => toast(`⚠ ${err.message} — using the built-in art`));
+
   // ── 3. Data-driven renders ──
   // Populate the home page with data from localStorage. These must run at init
   // because the home section is the default visible section — the player sees
@@ -2181,6 +5555,8 @@ document.addEventListener("DOMContentLoaded", () => {
   initScrollTop(); // Create the scroll-to-top button
   renderPersonalBest(); // Hero banner with highest score
   renderAchievements(); // Achievement badges grid
+  renderLevelPickers(); // Custom levels for the difficulty screen's picker
+  initTimeline(); // Level editor timeline pointer handling
 
   // ── 4. Idle timer setup ──
   // Register resetIdleTimer() on ALL common user interaction events.
@@ -2214,10 +5590,11 @@ document.addEventListener("DOMContentLoaded", () => {
     setTimeout(() => typewriter(hero, hero.dataset.text || "", 25), 800);
   }
 
-  // ── 7. Idle starfield animation ──
-  // Start the ambient star scroll on the game canvas. This runs until the
-  // player starts a game (startGame sets idleRunning = false).
-  drawIdleBackground();
+  // ── 7. Game loop ──
+  // Start the one loop that runs the game canvas for the page's lifetime —
+  // the sky drifting behind the boot and title screens, then every run (see
+  // gameLoop and Game States).
+  requestAnimationFrame(gameLoop);
 
   // ── 8. Click ripple effect ──
   // Creates a small expanding circle animation at the mouse position on every click.
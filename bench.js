@@ -0,0 +1,122 @@
+/* ═══════════════════════════════════════════════════════════
+   LASER DEFENDER — Collision Benchmark
+   Times the engine's tick on a crowded playfield (500+ entities)
+   with the spatial-hash broadphase on and with brute-force
+   collision checks, under plain Node:
+
+     node bench.js [ticks]
+
+   Both runs play the same seeded game and must end in the same
+   state — the broadphase may only change the cost of a tick, never
+   its outcome (exit code 1 if they differ).
+   ═══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const {
+  createEngine,
+  mulberry32,
+  WORLD_W,
+  WORLD_H,
+  IN_LEFT,
+  IN_RIGHT,
+} = require("./engine.js");
+
+const TICKS = +process.argv[2] || 3000; // Timed ticks per run
+const WARMUP = 600; // Ticks to fill the playfield before timing starts
+const BULLETS = 300; // Player bullets kept in flight
+// Pool caps for the crowd (the defaults are sized for normal play)
+const CAPS = { enemies: 512, enemyBullets: 512, particles: 4096 };
+
+// A line of 6 every 4 ticks from a tough mix, meteors rolled every second
+const SCRIPT = {
+  name: "bench",
+  waves: [
+    {
+      goal: { time: 3600 },
+      pattern: "line",
+      count: 6,
+      spawnOffset: -200,
+      spawnMin: 4,
+      meteorChance: 1,
+      mix: { normal: 2, zigzag: 1, sine: 1, shooter: 1 },
+    },
+  ],
+};
+
+/**
+ * run() — Play the benchmark game with the broadphase on or off.
+ * @returns {{us: number, entities: Object, score: number, kills: number}}
+ *   Microseconds per timed tick and average entity counts
+ */
+function run(broadphase) {
+  const game = createEngine({ poolCaps: CAPS }),
+    rand = mulberry32(99); // Bullet stream — the same for both runs
+  game.start({ difficulty: "hard", seed: 1234, script: SCRIPT });
+  game.broadphase = broadphase;
+
+  const entities = { bullets: 0, enemies: 0, shots: 0, meteors: 0 };
+  let ns = 0n;
+  for (let t = 0; t < WARMUP + TICKS; t++) {
+    game.lives = 3; // Nobody dies in a benchmark
+
+    // Top up the bullet storm: shots rising from the bottom edge
+    while (game.bullets.length < BULLETS) {
+      const x = rand() * (WORLD_W - 8),
+        y = WORLD_H - rand() * 40;
+      game.bullets.push({
+        x,
+        y,
+        px: x,
+        py: y,
+        w: 8,
+        h: 16,
+        speed: 6,
+        vx: 0,
+        owner: 0, // Credited to P1, like the ship's own shots
+      });
+    }
+
+    const input = t % 240 < 120 ? IN_LEFT : IN_RIGHT, // Sweep side to side
+      t0 = process.hrtime.bigint();
+    game.step(input);
+    if (t < WARMUP) continue;
+    ns += process.hrtime.bigint() - t0;
+    entities.bullets += game.bullets.length;
+    entities.enemies += game.enemies.length;
+    entities.shots += game.enemyBullets.length;
+    entities.meteors += game.meteors.length;
+  }
+
+  for (const k in entities) entities[k] = Math.round(entities[k] / TICKS);
+  return {
+    us: Number(ns) / 1000 / TICKS,
+    entities,
+    score: game.score,
+    kills: game.enemiesKilled,
+  };
+}
+
+const brute = run(false),
+  grid = run(true),
+  n = grid.entities,
+  total = n.bullets + n.enemies + n.shots + n.meteors;
+
+console.log(
+  `${TICKS} ticks, avg ${total} entities (${n.bullets} bullets, ` +
+    `${n.enemies} enemies, ${n.shots} enemy shots, ${n.meteors} meteors)`,
+);
+console.log(`  brute force   ${brute.us.toFixed(1).padStart(7)} µs/tick`);
+console.log(
+  `  spatial hash  ${grid.us.toFixed(1).padStart(7)} µs/tick` +
+    `  (${(brute.us / grid.us).toFixed(1)}x faster)`,
+);
+
+if (brute.score !== grid.score || brute.kills !== grid.kills) {
+  console.error(
+    `Outcomes differ: score ${brute.score} vs ${grid.score}, ` +
+      `kills ${brute.kills} vs ${grid.kills}`,
+  );
+  process.exit(1);
+}
+console.log(`  same outcome  score ${grid.score}, ${grid.kills} kills`);
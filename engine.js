@@ -0,0 +1,2302 @@
+/* ═══════════════════════════════════════════════════════════
+   LASER DEFENDER — Simulation Engine
+   The game rules with no DOM, canvas or audio attached.
+
+   Everything that decides how a run plays out lives here: the player,
+   bullets, enemies (and their shots), meteors, power-ups, explosion
+   particles, score, lives and the wave system. An engine instance is
+   advanced one fixed tick at a time with step(input) and reports what
+   happened through events ("shot", "enemyKilled", "playerHit",
+   "waveAdvance", "gameOver", ...).
+
+   app.js is one consumer: it feeds keyboard input into step() from its
+   requestAnimationFrame loop, draws the engine's entity arrays on the
+   canvas and turns events into HUD updates and sounds. Because the
+   engine never touches the page, it also runs under plain Node:
+
+     const { createEngine, IN_FIRE } = require("./engine.js");
+     const game = createEngine();
+     game.on("waveAdvance", (e) => console.log("wave", e.wave));
+     game.start({ difficulty: "hard", seed: 42 });
+     while (game.running) game.step(IN_FIRE);
+     console.log(game.score, game.waveNumber);
+
+   Loaded as a classic <script> it defines a single global, LaserEngine;
+   under CommonJS it is the module's exports instead.
+   ═══════════════════════════════════════════════════════════ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.LaserEngine = api;
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ─── Constants ───────────────────────────────────────────
+  // Every speed (player.speed, bullet speed, e.speed, particle velocity) and
+  // every tick-count timer (enemySpawnRate, meteor spawns) is expressed per
+  // fixed 1/60 s tick — see the Fixed Timestep notes in app.js.
+  const TICK_RATE = 60; // Simulation ticks per second
+  const TICK_MS = 1000 / TICK_RATE; // Duration of one tick (~16.67ms)
+  const SHOT_COOLDOWN = Math.round(150 / TICK_MS); // Fastest fire rate: 150ms between shots, in ticks (9)
+  const MAX_HEAT = 100; // Laser heat at which the gun overheats
+
+  // Logical world size. All positions, spawn ranges and off-screen limits are
+  // in these units; the renderer maps the world onto however many device
+  // pixels the canvas actually has (see the Viewport section in app.js).
+  const WORLD_W = 600,
+    WORLD_H = 800;
+
+  // Per-tick input bits passed to step(). IN_CLICK is kept separate from
+  // IN_FIRE so a replay reproduces canvas clicks and held Space independently.
+  // In co-op every ship reads its own IN_BITS-wide group of bits, player 1's
+  // lowest (player 2 firing is IN_FIRE << IN_BITS — see Players & Co-op).
+  const IN_LEFT = 1,
+    IN_RIGHT = 2,
+    IN_FIRE = 4,
+    IN_CLICK = 8,
+    IN_BITS = 4;
+
+  // Difficulty table — the starting values start() applies, and the base each
+  // wave's spawnOffset/speedBonus (see Wave Scripts) is added to. Exposed (and mutable) so balance
+  // simulations can tweak an entry and replay thousands of seeded games.
+  //   lives:      5 / 3 / 1  — more forgiving on easy, one-hit on hard
+  //   spawnRate:  80 / 60 / 40 ticks between spawns — fewer enemies on easy
+  //   speedMult:  0.7 / 1.0 / 1.5 — enemies move slower on easy, faster on hard
+  //   playerSpeed: 7 / 6 / 5 px/tick — player is slightly faster on easy to compensate
+  //   heatPerShot: 8 / 10 / 12 — laser heat added per shot (out of MAX_HEAT)
+  //   heatCool:    0.6 / 0.5 / 0.4 — heat shed per tick while the gun works
+  //   overheatLock: 60 / 90 / 120 ticks the gun stays locked after overheating
+  // Held fire at full rate overheats in about 5.5s on easy, 2.5s on normal and
+  // 1.7s on hard — see Laser Heat below.
+  const DIFFICULTY = {
+    easy: {
+      lives: 5,
+      spawnRate: 80,
+      speedMult: 0.7,
+      playerSpeed: 7,
+      heatPerShot: 8,
+      heatCool: 0.6,
+      overheatLock: 60,
+    },
+    normal: {
+      lives: 3,
+      spawnRate: 60,
+      speedMult: 1,
+      playerSpeed: 6,
+      heatPerShot: 10,
+      heatCool: 0.5,
+      overheatLock: 90,
+    },
+    hard: {
+      lives: 1,
+      spawnRate: 40,
+      speedMult: 1.5,
+      playerSpeed: 5,
+      heatPerShot: 12,
+      heatCool: 0.4,
+      overheatLock: 120,
+    },
+  };
+
+  // ─── Enemy Types ─────────────────────────────────────────
+  // Every kind of enemy the spawner can pick, keyed by the type id stored on
+  // each enemy (e.type). Fields:
+  //   fromWave:  first wave the type can spawn in
+  //   weight:    relative spawn chance among the types available this wave
+  //              (fromWave and weight only apply to waves without a "mix" —
+  //              see Wave Scripts)
+  //   health:    hits to destroy
+  //   score:     points for the kill
+  //   speed:     [min, max] base fall speed in px/tick (× enemySpeedMult)
+  //   w, h:      hitbox size (default 48×48)
+  //   init(g, e):  optional — extra per-enemy state, set once at spawn
+  //   move(g, e):  optional — one tick of movement; default is straight down
+  //   fireRate:  optional — ticks between shots; the enemy fires projectiles
+  //              that damage the player (see enemyFire)
+  // Exposed and mutable like DIFFICULTY: adding an entry plugs a new enemy
+  // into the spawner. The engine never draws — the page draws the sprite
+  // "enemy.<type id>" (built-in art in ENEMY_ART in app.js, or a skin's) and
+  // falls back to "enemy.normal" for a type with no art.
+  //
+  // Movement helpers read the enemy's age in ticks (g.frame - e.born) rather
+  // than keeping their own counters, so every pattern is a pure function of
+  // spawn state and time.
+  const ENEMY_TYPES = {
+    // The original two — straight down; "fast" only differs in looks and score
+    normal: { fromWave: 1, weight: 7, health: 2, score: 10, speed: [2, 5] },
+    fast: { fromWave: 1, weight: 3, health: 2, score: 20, speed: [2, 5] },
+
+    // Zig-zag: drifts sideways and flips direction every 40 ticks or at a wall
+    zigzag: {
+      fromWave: 2,
+      weight: 3,
+      health: 2,
+      score: 25,
+      speed: [1.5, 3],
+      init: (g, e) => (e.vx = g.rand() < 0.5 ? -3 : 3),
+      move: (g, e) => {
+        e.y += e.speed;
+        e.x += e.vx;
+        if ((g.frame - e.born) % 40 === 0) e.vx = -e.vx;
+        bounceX(e);
+      },
+    },
+
+    // Sine weave: a smooth side-to-side wave around its spawn column
+    sine: {
+      fromWave: 3,
+      weight: 3,
+      health: 2,
+      score: 25,
+      speed: [1.5, 2.5],
+      init: (g, e) => {
+        e.x = e.px = Math.min(Math.max(e.x, 70), WORLD_W - e.w - 70);
+        e.baseX = e.x; // Centre line of the wave
+        e.phase = g.rand() * Math.PI * 2;
+      },
+      move: (g, e) => {
+        e.y += e.speed;
+        e.x = e.baseX + Math.sin(e.phase + (g.frame - e.born) * 0.05) * 70;
+      },
+    },
+
+    // Diver: creeps in, then locks onto where the player is and dives at them
+    diver: {
+      fromWave: 4,
+      weight: 2,
+      health: 1,
+      score: 30,
+      speed: [1, 2],
+      w: 40,
+      h: 40,
+      init: (g, e) => (e.diveAt = 80 + g.rand() * 170), // y where the dive starts
+      move: (g, e) => {
+        if (!e.diving) {
+          e.y += e.speed;
+          if (e.y < e.diveAt) return;
+          // Aim once — the dive is a straight line the player can sidestep
+          const p = targetPlayer(g, e.x + e.w / 2),
+            dx = p.x + p.w / 2 - (e.x + e.w / 2),
+            dy = p.y - e.y,
+            len = Math.hypot(dx, dy) || 1,
+            v = 7 * g.enemySpeedMult;
+          e.vx = (dx / len) * v;
+          e.vy = (dy / len) * v;
+          e.diving = true;
+        }
+        e.x += e.vx;
+        e.y += e.vy;
+      },
+    },
+
+    // Strafer: drops to a hover line, sweeps the screen a few times, then leaves
+    strafer: {
+      fromWave: 5,
+      weight: 2,
+      health: 3,
+      score: 40,
+      speed: [1.5, 2],
+      w: 56,
+      h: 36,
+      init: (g, e) => {
+        e.hoverY = 60 + g.rand() * 160;
+        e.vx = g.rand() < 0.5 ? -4 : 4;
+        e.passes = 0; // Wall bounces so far
+      },
+      move: (g, e) => {
+        if (e.y < e.hoverY || e.passes >= 3) {
+          e.y += e.speed; // Entering, or done strafing and heading out
+          return;
+        }
+        e.x += e.vx * g.enemySpeedMult;
+        if (bounceX(e)) e.passes++;
+      },
+    },
+
+    // Shooter: slow and tough, fires aimed shots while above the player
+    shooter: {
+      fromWave: 3,
+      weight: 2,
+      health: 3,
+      score: 35,
+      speed: [1, 1.8],
+      fireRate: 90,
+    },
+  };
+
+  /**
+   * bounceX() — Keep an enemy inside the playfield horizontally, reversing
+   * its e.vx when it touches a wall.
+   * @returns {boolean} true if it bounced this tick
+   */
+  function bounceX(e) {
+    if (e.x < 0 || e.x > WORLD_W - e.w) {
+      e.x = Math.min(Math.max(e.x, 0), WORLD_W - e.w);
+      e.vx = -e.vx;
+      return true;
+    }
+    return false;
+  }
+
+  // ─── Seeded Random Numbers ───────────────────────────────
+  /**
+   * mulberry32() — Tiny, fast 32-bit seeded PRNG.
+   *
+   * Returns a function that yields floats in [0, 1) like Math.random(), but the
+   * sequence is fully determined by `seed`. Mulberry32 passes the usual
+   * statistical test suites for a game's needs and is only a few integer ops
+   * per call (Math.imul keeps the multiplications in 32-bit integer space).
+   *
+   * @param {number} seed - Any 32-bit integer
+   * @returns {function(): number} Generator returning floats in [0, 1)
+   */
+  function mulberry32(seed) {
+    let a = seed >>> 0; // Coerce to unsigned 32-bit
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0; // Advance the state by a fixed odd constant
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1); // Scramble the bits...
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296; // ...and scale to [0, 1)
+    };
+  }
+
+  /** newSeed() — Pick a fresh random 32-bit seed for a new run. */
+  const newSeed = () => (Math.random() * 4294967296) >>> 0;
+
+  // ─── Engine Instances ────────────────────────────────────
+
+  /**
+   * createEngine() — Build an independent simulation instance.
+   *
+   * All run state is plain data on the returned object, so consumers read it
+   * directly (game.player, game.enemies, game.score, ...) — the renderer walks
+   * the entity arrays every frame. Only the engine's own methods should write
+   * to it. Instances share nothing, so a replay, a benchmark and a bot run can
+   * exist side by side.
+   *
+   * @param {Object} [opts]
+   * @param {Object} [opts.poolCaps] - Entity kind → pool cap (see Object Pools)
+   * @returns {Object} Engine with on/off/reset/start/step/end/poolStats/
+   *   meteorShower and the run state
+   */
+  function createEngine({ poolCaps } = {}) {
+    const g = {
+      listeners: {}, // Event type → array of handler functions
+      pools: createPools(poolCaps), // Entity kind → recycled objects (see acquire)
+      on: (type, fn) => on(g, type, fn),
+      off: (type, fn) => off(g, type, fn),
+      reset: () => reset(g),
+      start: (opts) => start(g, opts),
+      step: (input, bonus) => step(g, input, bonus),
+      end: () => gameOver(g),
+      poolStats: () => poolStats(g),
+      meteorShower: () => triggerMeteorShower(g), // Practice: a shower on demand
+    };
+    reset(g);
+    return g;
+  }
+
+  /**
+   * on() / off() — Subscribe to / unsubscribe from engine events.
+   * Handlers receive a single payload object; see emit() call sites for the
+   * fields each event carries.
+   */
+  function on(g, type, fn) {
+    (g.listeners[type] ||= []).push(fn);
+  }
+
+  function off(g, type, fn) {
+    const list = g.listeners[type];
+    if (list) list.splice(list.indexOf(fn) >>> 0, 1);
+  }
+
+  /** emit() — Call every handler registered for `type` with `payload`. */
+  function emit(g, type, payload) {
+    const list = g.listeners[type];
+    if (list) for (const fn of list.slice()) fn(payload);
+  }
+
+  /**
+   * reset() — Put every simulation variable back to its pre-game value.
+   * Listeners survive, so a consumer subscribes once and reuses the engine.
+   */
+  function reset(g) {
+    g.players = [createPlayer(0, 1)]; // The ships in play (see Players & Co-op)
+    g.player = g.players[0]; // Player 1 — the only ship outside co-op
+    g.bullets = recycle(g, "bullets"); // {x, y, px, py, w, h, speed, vx, dead?, gi/seen (broadphase)}
+    g.enemies = recycle(g, "enemies"); // {x, y, px, py, w, h, speed, health, type, born, dead?, ...per-type state}
+    g.enemyBullets = recycle(g, "enemyBullets"); // Enemy projectiles: {x, y, px, py, w, h, vx, vy, dead?}
+    g.boss = null; // The boss on boss waves (see spawnBoss), otherwise null
+    g.pickups = recycle(g, "pickups"); // Falling power-ups: {x, y, px, py, w, h, kind, speed}
+    g.powerUntil = {}; // Timed power-up → tick it runs out (see POWERUPS)
+    g.shield = false; // Shield up — the next hit (to either ship) is absorbed
+    g.particles = recycle(g, "particles"); // {x, y, px, py, vx, vy, life, max, size, kind, color?}
+    g.meteors = recycle(g, "meteors"); // {x, y, px, py, w, h, speed, health, dead?}
+    g.grid = createGrid(); // Collision broadphase (see buildGrid)
+    g.broadphase = true; // false = test every pair (benchmarks only)
+
+    g.score = 0; // Team score: the ships' own scores plus flat bonuses
+    g.lives = 3; // Lives left — in "each" mode the sum of the ships' lives
+    g.livesMode = "shared"; // "shared" pool or "each" ship its own
+    g.running = false; // true from start() until the game is over
+    g.frame = 0; // Tick counter (incremented at the start of each step)
+    g.elapsedTime = 0; // Simulated milliseconds since start (frame * TICK_MS)
+
+    g.script = null; // The loaded wave script (see loadWaveScript)
+    g.wave = null; // The current wave's script entry
+    g.waveNumber = 1;
+    g.waveStart = 0; // Tick the current wave began (time goals, events)
+    g.waveEventIdx = 0; // Next of the wave's scheduled events to run
+    g.killsThisWave = 0;
+    g.bossCount = 0; // Bosses met this run — the next boss's level is one more
+    g.cleared = false; // The script's last wave was cleared (see advanceWave)
+    g.shotsFired = 0;
+    g.shotsHit = 0;
+    g.enemiesKilled = 0;
+
+    g.difficulty = "normal";
+    g.enemySpawnRate = 60; // Ticks between enemy spawns (set per wave)
+    g.enemySpeedMult = 1; // Multiplier on base enemy speed (set per wave)
+    g.combo = 0; // Kills in a row (see Combo Multiplier)
+    g.comboLast = 0; // Tick of the combo's latest kill
+    g.bestCombo = 0; // Longest combo this run
+
+    // Meteor shower state — a random mid-game event (see triggerMeteorShower)
+    g.meteorActive = false;
+    g.meteorTimer = 0; // Tick when the current shower started
+    g.lastMeteorCheck = 0; // Tick of the last random roll (~1/sec)
+
+    g.seed = 0;
+    g.rand = mulberry32(0); // Gameplay stream — replaced in start()
+    g.fxRand = mulberry32(0); // Cosmetic stream (particles) — replaced in start()
+  }
+
+  /**
+   * start() — Reset and begin a new run.
+   *
+   * Seeding: both random streams (rand for gameplay, fxRand for cosmetics) are
+   * re-created from `seed`, so passing the seed of an earlier run reproduces it.
+   * The cosmetic stream is offset by a constant so the two never mirror each other.
+   *
+   * @param {Object} g
+   * @param {Object} [opts]
+   * @param {string} [opts.difficulty="normal"] - Key of DIFFICULTY
+   * @param {number} [opts.seed] - 32-bit run seed (a fresh one is picked if omitted)
+   * @param {number} [opts.startScore=0] - Score the run starts with (banked bonuses)
+   * @param {Object|string} [opts.script="endless"] - Wave script: a key of
+   *   WAVE_SCRIPTS, a script object or its JSON text (see loadWaveScript)
+   * @param {number} [opts.players=1] - Ships in play: 1, or 2 for co-op
+   * @param {string} [opts.lives="shared"] - "shared" or "each" (see Players & Co-op)
+   * @param {number} [opts.wave=1] - Wave to start on (practice): the run
+   *   begins with that wave's spawn rate and speed, and the bosses of the
+   *   waves skipped count as met, so the next one is as tough as it would be
+   */
+  function start(
+    g,
+    {
+      difficulty = "normal",
+      seed = newSeed(),
+      startScore = 0,
+      script = "endless",
+      players = 1,
+      lives = "shared",
+      wave = 1,
+    } = {},
+  ) {
+    if (!(players >= 1 && players <= MAX_PLAYERS))
+      throw new Error(`Players: ${players} is not 1–${MAX_PLAYERS}`);
+    if (lives !== "shared" && lives !== "each")
+      throw new Error(`Lives: unknown mode "${lives}"`);
+    reset(g);
+    const d = DIFFICULTY[difficulty];
+    g.difficulty = difficulty;
+    g.script = loadWaveScript(script);
+    g.seed = seed >>> 0;
+    g.rand = mulberry32(g.seed);
+    g.fxRand = mulberry32(g.seed ^ 0x9e3779b9); // Golden-ratio offset — an unrelated sequence
+    g.livesMode = lives;
+    g.players.length = 0;
+    for (let id = 0; id < players; id++) {
+      const p = createPlayer(id, players);
+      p.speed = d.playerSpeed;
+      if (lives === "each") p.lives = d.lives;
+      g.players.push(p);
+    }
+    g.player = g.players[0];
+    g.lives = lives === "each" ? d.lives * players : d.lives;
+    if (!(wave >= 1 && wave % 1 === 0 && waveDef(g, wave)))
+      throw new Error(`Wave: ${wave} is not in "${g.script.name}"`);
+    for (let n = 1; n < wave; n++) if (waveDef(g, n).goal.boss) g.bossCount++;
+    g.waveNumber = wave;
+    applyWave(g);
+    g.score = startScore;
+    g.running = true;
+    emit(g, "gameStart", { difficulty, seed: g.seed, script: g.script.name });
+    if (g.wave.goal.boss) spawnBoss(g);
+  }
+
+  /**
+   * gameOver() — Stop the run and announce the final state.
+   * Safe to call more than once; only the first call has an effect.
+   */
+  function gameOver(g) {
+    if (!g.running) return;
+    g.running = false;
+    emit(g, "gameOver", {
+      score: g.score,
+      wave: g.waveNumber,
+      enemiesKilled: g.enemiesKilled,
+      shotsFired: g.shotsFired,
+      shotsHit: g.shotsHit,
+      bestCombo: g.bestCombo,
+      frame: g.frame,
+      cleared: g.cleared,
+      players: g.players.map(({ score, shotsFired, shotsHit, kills }) => ({
+        score,
+        shotsFired,
+        shotsHit,
+        kills,
+      })),
+    });
+  }
+
+  /**
+   * shoot() — Fire from a ship's current position.
+   *
+   * Two limits, both on the simulation clock so they behave the same at every
+   * refresh rate:
+   *   - Fire rate: at least SHOT_COOLDOWN ticks (150ms) between shots, so held
+   *     fire isn't one bullet per tick (a solid beam). Rapid fire halves it.
+   *   - Heat: every shot heats the laser; at MAX_HEAT it overheats and locks
+   *     (see Laser Heat). This is what stops fire from being held forever.
+   *
+   * Every ship has its own gun, so both limits are per ship.
+   *
+   * Bullets spawn at p.x + 24 (center of the 48px-wide ship) and p.y (top
+   * edge of the ship), traveling upward at 14px/tick, and remember which
+   * ship fired them (owner) for the per-player tally. With spread shot
+   * active, two more bullets fan out at ±2px/tick sideways.
+   */
+  function shoot(g, p) {
+    if (!g.running) return; // Can't shoot after game over
+    const cooldown = powerActive(g, "rapid")
+      ? Math.ceil(SHOT_COOLDOWN / 2)
+      : SHOT_COOLDOWN;
+    if (g.frame - p.lastShot < cooldown) return; // Rate limit
+    if (g.frame < p.overheatUntil) return; // Overheated — gun locked
+    p.lastShot = g.frame;
+    addHeat(g, p);
+    const x = p.x + 24,
+      y = p.y;
+    for (const vx of powerActive(g, "spread") ? [-2, 0, 2] : [0]) {
+      const b = acquire(g, "bullets");
+      if (!b) break; // Pool full — the volley comes out thinner
+      b.x = b.px = x;
+      b.y = b.py = y;
+      b.w = 8;
+      b.h = 16;
+      b.speed = 14;
+      b.vx = vx;
+      b.owner = p.id;
+      g.shotsFired++; // Track for accuracy calculation at game over
+      p.shotsFired++;
+    }
+    emit(g, "shot", { x, y, player: p.id });
+  }
+
+  /**
+   * pickEnemyType() — Weighted random choice by the current wave's mix, or,
+   * for a wave without one, among the ENEMY_TYPES whose fromWave has been
+   * reached. Types are always visited in ENEMY_TYPES order, so the roll does
+   * not depend on the key order of a script's mix.
+   * @returns {string} Type id
+   */
+  function pickEnemyType(g) {
+    const mix = g.wave.mix,
+      weight = (id) =>
+        mix
+          ? mix[id] || 0
+          : ENEMY_TYPES[id].fromWave <= g.waveNumber
+            ? ENEMY_TYPES[id].weight
+            : 0;
+    let total = 0,
+      last = "normal";
+    for (const id in ENEMY_TYPES) total += weight(id);
+    let roll = g.rand() * total;
+    for (const id in ENEMY_TYPES) {
+      if (!weight(id)) continue;
+      last = id;
+      roll -= weight(id);
+      if (roll < 0) return id;
+    }
+    return last; // Only reached through floating-point rounding
+  }
+
+  /**
+   * spawnEnemy() — Create a new enemy above the playfield.
+   *
+   * The type comes from pickEnemyType() unless given; its ENEMY_TYPES entry
+   * supplies the size, health and speed range (× enemySpeedMult), and its
+   * init() any extra state. Enemies spawn at y = -50 so they "fly in" from
+   * the top, by default at an x chosen so the sprite stays within the
+   * playfield. Formations (see spawnFromWave) pass their own x and y.
+   */
+  function spawnEnemy(g, type = pickEnemyType(g), x, y = -50) {
+    const t = ENEMY_TYPES[type],
+      w = t.w || 48,
+      h = t.h || 48,
+      [lo, hi] = t.speed;
+    if (x === undefined) x = g.rand() * (WORLD_W - w);
+    const speed = (lo + g.rand() * (hi - lo)) * g.enemySpeedMult,
+      e = acquire(g, "enemies");
+    if (!e) return; // Pool full — this spawn is skipped
+    e.x = e.px = x; // px/py: previous-tick position for interpolation
+    e.y = e.py = y; // Start above the playfield (scrolls in)
+    e.w = w;
+    e.h = h;
+    e.speed = speed;
+    e.health = t.health;
+    e.type = type;
+    e.born = g.frame; // Spawn tick — movement patterns and fire timers use the age
+    if (t.init) t.init(g, e);
+  }
+
+  /**
+   * enemyFire() — Let an enemy whose type has a fireRate shoot this tick.
+   * Shots start once the enemy is fully on screen and stop when it is within
+   * 150px of the ships' row, so nothing fires point-blank. Each projectile
+   * is aimed at the nearest ship's current centre, with its sideways speed
+   * capped so it stays a readable downward shot.
+   */
+  function enemyFire(g, e) {
+    const rate = ENEMY_TYPES[e.type].fireRate;
+    if (!rate || e.y < 0 || e.y + e.h > g.player.y - 150) return; // Every ship flies the same row
+    if ((g.frame - e.born) % rate !== 0) return;
+    const x = e.x + e.w / 2 - 3;
+    fireShot(g, e, x, e.y + e.h, aimedVx(g, x), 5 * g.enemySpeedMult);
+  }
+
+  /**
+   * collides() — Axis-Aligned Bounding Box (AABB) overlap test.
+   * The rectangles overlap unless one lies entirely left/right/above/below
+   * the other. Both objects must have {x, y, w, h}.
+   *
+   * @returns {boolean} true if the rectangles overlap
+   */
+  function collides(a, b) {
+    return (
+      a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y
+    );
+  }
+
+  /**
+   * damagePlayer() — Ship hit by an enemy, enemy shot or meteor: lose a
+   * life, explode (a shockwave around the ship), and end the run when no
+   * lives are left. A shield (power-up) absorbs the hit instead. In "each"
+   * lives mode the ship's own last life takes it down (see downPlayer).
+   * @param {Object} p     - The ship hit (an entry of g.players)
+   * @param {string} by    - "enemy", "shot" or "meteor"
+   * @param {string} color - Explosion color
+   */
+  function damagePlayer(g, p, by, color) {
+    if (g.shield) {
+      // Shield takes the hit instead — it breaks, the life is kept
+      g.shield = false;
+      burst(g, "shockwave", p.x + 24, p.y + 16, "#89d4cf");
+      burst(g, "sparks", p.x + 24, p.y, "#89d4cf", 40);
+      emit(g, "shieldBreak", { by, player: p.id });
+      return;
+    }
+    boom(g, p.x + 24, p.y + 16, color);
+    burst(g, "shockwave", p.x + 24, p.y + 16, "#e88d8d");
+    g.lives--;
+    if (g.livesMode === "each") p.lives--;
+    breakCombo(g, "hit");
+    emit(g, "playerHit", { by, lives: g.lives, player: p.id });
+    if (g.lives <= 0) gameOver(g);
+    else if (g.livesMode === "each" && p.lives <= 0) downPlayer(g, p);
+  }
+
+  /**
+   * advanceWave() — The current wave's goal is met: move on to the script's
+   * next wave (see applyWave). Entering a boss wave brings the boss in. When
+   * a script without a loop has no next wave, the run ends as cleared.
+   * @param {boolean} [afterBoss=false] - The wave was cleared by beating a boss
+   */
+  function advanceWave(g, afterBoss = false) {
+    if (!g.running) return;
+    if (!waveDef(g, g.waveNumber + 1)) {
+      g.cleared = true;
+      emit(g, "scriptComplete", {
+        script: g.script.name,
+        wave: g.waveNumber,
+      });
+      gameOver(g);
+      return;
+    }
+    g.killsThisWave = 0;
+    g.waveNumber++;
+    applyWave(g);
+    const boss = !!g.wave.goal.boss;
+    emit(g, "waveAdvance", { wave: g.waveNumber, boss, afterBoss });
+    if (boss) spawnBoss(g);
+  }
+
+  /**
+   * step() — Advance the simulation by exactly one tick.
+   *
+   * ORDER OF OPERATIONS (each step depends on the previous):
+   *   1. Tick counter, timer & previous-position snapshot, queued bonus points
+   *   2. Laser cooling, player movement + firing (from the input bitmask)
+   *   3. Bullet movement & off-screen cleanup, broadphase grid rebuild
+   *   4. Enemy spawning (tick based), the wave's scheduled events and time goal
+   *   5. Enemy movement (per-type pattern) and firing + collision detection
+   *      (bullet-enemy, enemy-player) + waves
+   *   5b. Boss movement, attacks and bullet hits (boss waves only)
+   *   6. Dead bullet cleanup (second pass — some were marked dead in step 5)
+   *   7. Dead/off-screen enemy cleanup, then enemy projectiles (move, hit, cleanup)
+   *      and power-up pickups (fall, collect, expire), combo timeout
+   *   8. Particle trails (thruster, meteor tails, shield) and physics
+   *      (movement, drag, gravity, fade, cleanup)
+   *   9. Meteor shower random trigger check (at the wave's meteorChance)
+   *   10. Meteor update (spawning, movement, collisions, cleanup)
+   *
+   * Why this order matters:
+   *   - Bullets move (step 3) BEFORE collision checks (step 5) so newly fired
+   *     bullets travel at least one tick before hitting anything.
+   *   - Enemies move BEFORE the player collision check so it uses their
+   *     current position, not the previous tick's.
+   *   - Dead entity cleanup happens AFTER all collisions are resolved.
+   *
+   * Array compaction: instead of Array.filter() (a new array every tick), live
+   * entries are copied down to a write index and the array is truncated —
+   * O(n) with zero allocations. Dropped entries go back to their pool (see
+   * Object Pools).
+   *
+   * @param {Object} g
+   * @param {number} [input=0] - IN_LEFT | IN_RIGHT | IN_FIRE | IN_CLICK bits,
+   *   one IN_BITS-wide group per ship (player 1 lowest)
+   * @param {number} [bonus=0] - Points landing on the score this tick (easter eggs)
+   */
+  function step(g, input = 0, bonus = 0) {
+    if (!g.running) return;
+    g.frame++;
+    g.elapsedTime = g.frame * TICK_MS;
+    snapshotPositions(g);
+
+    if (bonus) {
+      g.score += bonus;
+      emit(g, "bonus", { points: bonus });
+    }
+
+    // ── Step 2: Laser cooling, player movement (each ship from its own bits) ──
+    for (const p of g.players) {
+      if (p.down) continue; // Out of play until revived
+      const bits = input >> (p.id * IN_BITS);
+      coolLaser(g, p);
+      // Clamp within the playfield (0 to WORLD_W - p.w)
+      if (bits & IN_LEFT) p.x = Math.max(0, p.x - p.speed);
+      if (bits & IN_RIGHT) p.x = Math.min(WORLD_W - p.w, p.x + p.speed);
+      if (bits & IN_FIRE) shoot(g, p); // Held fire (rate-limited inside shoot())
+      if (bits & IN_CLICK) shoot(g, p); // Click (same cooldown applies)
+    }
+
+    // ── Step 3: Bullet movement + off-screen cleanup (20px grace above the top) ──
+    const bullets = g.bullets;
+    let bWrite = 0;
+    for (let i = 0; i < bullets.length; i++) {
+      bullets[i].x += bullets[i].vx; // Sideways drift (spread shot)
+      bullets[i].y -= bullets[i].speed;
+      if (bullets[i].y > -20) bullets[bWrite++] = bullets[i];
+      else {
+        if (!bullets[i].vx) breakCombo(g, "miss"); // Flew off the top without hitting anything
+        release(g, "bullets", bullets[i]);
+      }
+    }
+    bullets.length = bWrite;
+    buildGrid(g); // Broadphase for every collision check below
+
+    // ── Step 4: Enemy spawning ──
+    // At 60 ticks/s: rate 80 = ~1.3s between spawns (easy), rate 40 = ~0.67s (hard)
+    // No regular spawns while a boss is on the field
+    if (!g.boss && g.frame % g.enemySpawnRate === 0) spawnFromWave(g);
+    updateWave(g);
+
+    // ── Step 5: Enemy movement + collisions ──
+    const enemies = g.enemies;
+    for (let ei = 0; ei < enemies.length; ei++) {
+      const e = enemies[ei],
+        move = ENEMY_TYPES[e.type].move;
+      if (move) move(g, e);
+      else e.y += e.speed; // Default pattern: straight down
+      enemyFire(g, e);
+
+      // Check the bullets near this enemy (reverse for safe marking)
+      const near = queryBullets(g, e, true);
+      for (let bi = 0; bi < near.length; bi++) {
+        const b = near[bi];
+        if (b.dead) continue; // Already consumed by a previous collision
+        if (collides(b, e)) {
+          const shooter = g.players[b.owner];
+          b.dead = true;
+          g.shotsHit++;
+          shooter.shotsHit++;
+          e.health--;
+          emit(g, "enemyHit", { enemy: e, player: shooter.id });
+          if (e.health <= 0) {
+            boom(g, e.x + e.w / 2, e.y + e.h / 2, "#f7c5a8"); // Warm peach explosion at enemy center
+            const { points, multiplier } = scoreKill(
+              g,
+              shooter,
+              ENEMY_TYPES[e.type].score,
+            );
+            g.enemiesKilled++;
+            shooter.kills++;
+            g.killsThisWave++;
+            e.dead = true;
+            maybeDrop(g, e.x + e.w / 2, e.y + e.h / 2, DROP_CHANCE.enemy);
+            emit(g, "enemyKilled", {
+              enemy: e,
+              points,
+              multiplier,
+              player: shooter.id,
+            });
+            const goal = g.wave.goal.kills;
+            if (!g.boss && goal && g.killsThisWave >= goal) advanceWave(g);
+            break; // Bullet consumed — this enemy is dead
+          }
+          burst(g, "sparks", b.x + b.w / 2, b.y); // Hit, but still standing
+        }
+      }
+
+      // Enemy-player collision (kamikaze — the enemy is destroyed on contact)
+      const ship = e.dead ? null : shipTouching(g, e, true);
+      if (ship) {
+        e.dead = true;
+        damagePlayer(g, ship, "enemy", "#f5e6a3");
+      }
+    }
+
+    // ── Step 5b: Boss (boss waves only) — movement, attacks, bullet hits ──
+    updateBoss(g);
+
+    // ── Step 6: Dead bullet cleanup ──
+    bWrite = 0;
+    for (let i = 0; i < bullets.length; i++) {
+      if (!bullets[i].dead) bullets[bWrite++] = bullets[i];
+      else release(g, "bullets", bullets[i]);
+    }
+    bullets.length = bWrite;
+
+    // ── Step 7: Dead/off-screen enemy cleanup ──
+    // Enemies that scroll 50px past the bottom (or a diver that overshoots a
+    // side) don't cost a life — they're just gone.
+    let eWrite = 0;
+    for (let i = 0; i < enemies.length; i++) {
+      const e = enemies[i];
+      if (!e.dead && e.y < WORLD_H + 50 && e.x > -100 && e.x < WORLD_W + 100)
+        enemies[eWrite++] = e;
+      else release(g, "enemies", e);
+    }
+    enemies.length = eWrite;
+
+    // ── Step 7b: Enemy projectiles — movement, player hits, cleanup ──
+    const shots = g.enemyBullets;
+    let sWrite = 0;
+    for (let i = 0; i < shots.length; i++) {
+      const s = shots[i];
+      s.x += s.vx;
+      s.y += s.vy;
+      const ship = g.running ? shipTouching(g, s, true) : null;
+      if (ship) {
+        damagePlayer(g, ship, "shot", "#f0b6c5");
+        release(g, "enemyBullets", s);
+        continue; // Absorbed by the ship
+      }
+      if (s.y < WORLD_H + 20) shots[sWrite++] = s;
+      else release(g, "enemyBullets", s);
+    }
+    shots.length = sWrite;
+
+    // ── Step 7c: Power-up pickups and effect timers, combo timeout ──
+    updatePickups(g);
+    if (g.combo && g.frame - g.comboLast >= COMBO_TIMEOUT)
+      breakCombo(g, "timeout");
+
+    // ── Step 8: Particle trails and physics ──
+    updateParticles(g);
+
+    // ── Step 9: Meteor shower random trigger ──
+    // Only after 10 seconds, rolled about once per second (every 60 ticks).
+    // The endless script's 2.2% per roll gives an expected ~45 seconds
+    // between showers; a wave with no meteorChance never rolls.
+    const chance = g.wave.meteorChance;
+    if (chance && !g.meteorActive && g.elapsedTime > 10000) {
+      if (g.frame - g.lastMeteorCheck > 60) {
+        g.lastMeteorCheck = g.frame;
+        if (g.rand() < chance) triggerMeteorShower(g);
+      }
+    }
+
+    // ── Step 10: Meteor update ──
+    updateMeteors(g);
+  }
+
+  /**
+   * snapshotPositions() — Copy every entity's current position into px/py.
+   *
+   * Called at the start of each tick, before anything moves, so that after the
+   * tick (px, py) holds the previous-tick position and (x, y) the new one —
+   * the pair a renderer interpolates between. Entities created during the
+   * tick set px/py to their spawn position themselves.
+   */
+  function snapshotPositions(g) {
+    for (const p of g.players) {
+      p.px = p.x;
+      p.py = p.y;
+    }
+    if (g.boss) {
+      g.boss.px = g.boss.x;
+      g.boss.py = g.boss.y;
+    }
+    for (const list of [
+      g.bullets,
+      g.enemies,
+      g.enemyBullets,
+      g.pickups,
+      g.particles,
+      g.meteors,
+    ])
+      for (let i = 0; i < list.length; i++) {
+        list[i].px = list[i].x;
+        list[i].py = list[i].y;
+      }
+  }
+
+  // ─── Players & Co-op ─────────────────────────────────────
+  /**
+   * A run has one ship, or two in local co-op (start({ players: 2 })). Every
+   * ship is an entry of g.players with its own position, gun (fire cooldown
+   * and laser heat) and tally (score, shots, kills); g.player stays player 1,
+   * so code that only knows one ship keeps working. step() reads each ship's
+   * controls from its own IN_BITS-wide group of input bits.
+   *
+   * What the ships share: the team score g.score (their own scores plus flat
+   * bonuses — meteor shower survival, easter eggs), the combo, power-ups and
+   * the shield. Hazards go for the nearest ship (targetPlayer).
+   *
+   * Lives (start's `lives` option):
+   *   "shared" — one pool, g.lives; a hit on either ship spends from it and
+   *              the run ends when it is empty. Solo games always play this.
+   *   "each"   — every ship starts with the difficulty's lives (p.lives;
+   *              g.lives is their sum). A ship that loses its last life goes
+   *              down: it leaves the field until its partner scores
+   *              REVIVE_KILLS kills or collects an extra life, then comes
+   *              back with one life and REVIVE_GRACE ticks in which nothing
+   *              can hit it. The run ends when every ship is down.
+   *
+   * Events: "playerDown" {player, revive} (kills needed), "playerRevived"
+   * {player, by} ("kills" or "life").
+   */
+  const MAX_PLAYERS = 2;
+  const REVIVE_KILLS = 10; // Kills by the partner that bring a downed ship back
+  const REVIVE_GRACE = 2 * TICK_RATE; // Ticks a revived ship can't be hit (2s)
+
+  /**
+   * createPlayer() — A fresh ship for player `id` of `count`, spaced evenly
+   * along the bottom of the playfield (centered when alone).
+   */
+  function createPlayer(id, count) {
+    const x = (WORLD_W * (id + 1)) / (count + 1) - 25,
+      y = WORLD_H - 80;
+    return {
+      id, // Index in g.players — also the owner stamped on its bullets
+      x,
+      y,
+      px: x,
+      py: y,
+      w: 48,
+      h: 32,
+      speed: 6,
+      lives: 0, // Own lives ("each" mode only)
+      down: false, // Out of play, waiting to be revived
+      revive: 0, // Partner kills still needed to come back
+      safeUntil: 0, // Tick until which nothing can hit it (after a revive)
+      score: 0,
+      shotsFired: 0,
+      shotsHit: 0,
+      kills: 0,
+      lastShot: -Infinity, // Tick of its last shot (see shoot)
+      heat: 0, // Laser heat, 0–MAX_HEAT (see Laser Heat)
+      overheatUntil: 0, // Tick the overheat lock ends (gun is locked while frame < this)
+    };
+  }
+
+  /**
+   * targetPlayer() — The ship in play whose centre is nearest to x — what
+   * aimed shots and divers go for. Ties go to player 1.
+   */
+  function targetPlayer(g, x) {
+    let best = g.player;
+    for (const p of g.players)
+      if (
+        best.down ||
+        (!p.down &&
+          Math.abs(p.x + p.w / 2 - x) < Math.abs(best.x + best.w / 2 - x))
+      )
+        best = p;
+    return best;
+  }
+
+  /**
+   * shipTouching() — The first ship in play that `o` overlaps, or null.
+   * @param {boolean} [hazard=false] - Skip ships that can't be hit right now
+   *   (just revived), so the hazard flies through them
+   */
+  function shipTouching(g, o, hazard = false) {
+    for (const p of g.players) {
+      if (p.down || (hazard && g.frame < p.safeUntil)) continue;
+      if (nearPlayer(g, o, p) && collides(o, p)) return p;
+    }
+    return null;
+  }
+
+  /** downPlayer() — Ship p lost its last life ("each" mode): out until revived. */
+  function downPlayer(g, p) {
+    p.down = true;
+    p.revive = REVIVE_KILLS;
+    emit(g, "playerDown", { player: p.id, revive: REVIVE_KILLS });
+  }
+
+  /**
+   * revivePlayer() — Bring a downed ship back at its starting spot with one
+   * life, a cool gun and a moment of grace.
+   * @param {string} by - "kills" or "life"
+   */
+  function revivePlayer(g, p, by) {
+    const x = createPlayer(p.id, g.players.length).x;
+    p.down = false;
+    p.x = p.px = x;
+    p.lives = 1;
+    g.lives++;
+    p.heat = 0;
+    p.overheatUntil = 0;
+    p.safeUntil = g.frame + REVIVE_GRACE;
+    burst(g, "shockwave", p.x + 24, p.y + 16, "#89d4cf");
+    emit(g, "playerRevived", { player: p.id, by });
+  }
+
+  /**
+   * addLife() — An extra life collected by ship p: it revives a downed
+   * partner if there is one, otherwise adds a life (up to MAX_LIVES) — to
+   * the shared pool, or to p's own in "each" mode.
+   */
+  function addLife(g, p) {
+    const down = g.players.find((q) => q.down);
+    if (down) return revivePlayer(g, down, "life");
+    if (g.livesMode === "shared") g.lives = Math.min(MAX_LIVES, g.lives + 1);
+    else if (p.lives < MAX_LIVES) {
+      p.lives++;
+      g.lives++;
+    }
+  }
+
+  // ─── Broadphase (Spatial Hash) ───────────────────────────
+  /**
+   * Collision detection runs in two phases. collides() is the narrow phase:
+   * an exact AABB test. The broadphase decides which pairs reach it at all,
+   * so a tick costs roughly O(entities) tests instead of bullets × targets.
+   *
+   * The grid is uniform: GRID_CELL-sized cells over the world plus a
+   * GRID_MARGIN border (spawn rows above the top, divers overshooting a
+   * side). Anything further out is clamped onto the edge cells, which only
+   * ever widens a box's range — every overlapping pair still shares a cell.
+   *
+   * It is rebuilt once per tick, right after the player's bullets move
+   * (step 3): each bullet is filed under every cell its box touches. The
+   * cell arrays are emptied in place, so rebuilding allocates nothing.
+   *   - Bullets ↔ enemies, meteors and the boss: queryBullets() returns the
+   *     bullets sharing a cell with the target, in the order the loops have
+   *     always visited them (their index in g.bullets). Step 6 compacts the
+   *     array before meteors are checked, but it only drops dead bullets, so
+   *     the order the grid recorded still holds.
+   *   - Hazards ↔ ships: there are at most two ships, so rather than filing
+   *     every hazard, each ship's cell range is kept and nearPlayer()
+   *     lets a hazard through to collides() only when its cells overlap it.
+   *
+   * The broadphase changes what a tick costs, never what it decides, so
+   * replays recorded before it still play back identically. Setting
+   * g.broadphase = false falls back to testing every pair — bench.js times
+   * the two against each other.
+   */
+  const GRID_CELL = 64;
+  const GRID_MARGIN = 128;
+  const GRID_COLS = Math.ceil((WORLD_W + 2 * GRID_MARGIN) / GRID_CELL);
+  const GRID_ROWS = Math.ceil((WORLD_H + 2 * GRID_MARGIN) / GRID_CELL);
+
+  /** createGrid() — An empty grid (one per engine, reused every tick). */
+  function createGrid() {
+    const cells = [];
+    for (let i = 0; i < GRID_COLS * GRID_ROWS; i++) cells.push([]);
+    return {
+      cells, // Cell index (row * GRID_COLS + col) → bullets touching it
+      used: [], // Indices of the non-empty cells, to empty them next build
+      found: [], // Result array shared by every query
+      query: 0, // Query counter — stamps bullets so each is returned once
+      ships: Array.from({ length: MAX_PLAYERS }, () => ({
+        c0: 0,
+        c1: 0,
+        r0: 0,
+        r1: 0,
+      })), // Each ship's cell range, by player id
+    };
+  }
+
+  /** gridCol() / gridRow() — The (clamped) cell column/row of a coordinate. */
+  function gridCol(x) {
+    const c = Math.floor((x + GRID_MARGIN) / GRID_CELL);
+    return c < 0 ? 0 : c >= GRID_COLS ? GRID_COLS - 1 : c;
+  }
+  function gridRow(y) {
+    const r = Math.floor((y + GRID_MARGIN) / GRID_CELL);
+    return r < 0 ? 0 : r >= GRID_ROWS ? GRID_ROWS - 1 : r;
+  }
+
+  /**
+   * buildGrid() — File every bullet under the cells its box touches and
+   * note each ship's cell range. Called once per tick after step 3.
+   */
+  function buildGrid(g) {
+    const grid = g.grid,
+      cells = grid.cells,
+      bullets = g.bullets;
+    for (let i = 0; i < grid.used.length; i++) cells[grid.used[i]].length = 0;
+    grid.used.length = 0;
+
+    for (let bi = 0; bi < bullets.length; bi++) {
+      const b = bullets[bi],
+        c1 = gridCol(b.x + b.w),
+        r1 = gridRow(b.y + b.h);
+      b.gi = bi; // Visit order for queries
+      for (let r = gridRow(b.y); r <= r1; r++)
+        for (let c = gridCol(b.x); c <= c1; c++) {
+          const cell = cells[r * GRID_COLS + c];
+          if (!cell.length) grid.used.push(r * GRID_COLS + c);
+          cell.push(b);
+        }
+    }
+
+    for (const p of g.players) {
+      const range = grid.ships[p.id];
+      range.c0 = gridCol(p.x);
+      range.c1 = gridCol(p.x + p.w);
+      range.r0 = gridRow(p.y);
+      range.r1 = gridRow(p.y + p.h);
+    }
+  }
+
+  /**
+   * queryBullets() — The live bullets that may overlap `box`: those filed
+   * in any cell it touches, sorted by their index in g.bullets.
+   * The result array is reused by the next query — don't hold on to it.
+   *
+   * @param {{x, y, w, h}} box
+   * @param {boolean} [reverse=false] - Highest index first
+   * @returns {Object[]} Candidate bullets (test them with collides())
+   */
+  function queryBullets(g, box, reverse = false) {
+    const grid = g.grid,
+      found = grid.found,
+      stamp = ++grid.query;
+    found.length = 0;
+
+    if (!g.broadphase) {
+      // Brute force: every live bullet is a candidate
+      for (const b of g.bullets) if (!b.dead) found.push(b);
+      if (reverse) found.reverse();
+      return found;
+    }
+
+    const c0 = gridCol(box.x),
+      c1 = gridCol(box.x + box.w),
+      r1 = gridRow(box.y + box.h);
+    for (let r = gridRow(box.y); r <= r1; r++)
+      for (let c = c0; c <= c1; c++) {
+        const cell = grid.cells[r * GRID_COLS + c];
+        for (let i = 0; i < cell.length; i++) {
+          const b = cell[i];
+          if (b.dead || b.seen === stamp) continue; // Spent, or already in a neighbouring cell
+          b.seen = stamp;
+          found.push(b);
+        }
+      }
+    if (found.length > 1)
+      found.sort(reverse ? (a, b) => b.gi - a.gi : (a, b) => a.gi - b.gi);
+    return found;
+  }
+
+  /**
+   * nearPlayer() — Whether `o` shares a grid cell with ship `p`, i.e.
+   * whether it is worth a collides() test against the ship at all.
+   */
+  function nearPlayer(g, o, p) {
+    if (!g.broadphase) return true;
+    const range = g.grid.ships[p.id];
+    return (
+      gridCol(o.x) <= range.c1 &&
+      gridCol(o.x + o.w) >= range.c0 &&
+      gridRow(o.y) <= range.r1 &&
+      gridRow(o.y + o.h) >= range.r0
+    );
+  }
+
+  // ─── Object Pools ────────────────────────────────────────
+  /**
+   * Every entity kind lives in a fixed-capacity pool per engine, so a run
+   * stops allocating once it is under way: spawning acquires a recycled
+   * object and the compaction loops in step() release what they drop,
+   * instead of a fresh literal per bullet and 12 per explosion left for
+   * the garbage collector (which showed up as hitches during meteor showers).
+   *
+   * Each pool is filled up front with `cap` blank objects. A kind with `cap`
+   * entities live is full: acquire() returns null and the spawn is skipped —
+   * a thinner explosion, a missing bullet of a spread volley, one enemy less
+   * in a line — and the pool's `dropped` counter goes up. The default caps
+   * sit well above anything a normal run reaches (bench.js raises them);
+   * createEngine({ poolCaps }) overrides them per kind. Caps that are hit
+   * change the run, so a replay only plays back under the caps it was
+   * recorded with — the page always uses the defaults.
+   *
+   * A released object keeps its last state (a spent bullet stays dead, so
+   * the broadphase grid can still hold it until the next rebuild); acquire()
+   * clears the dead flag and the spawning code sets every other field.
+   * Enemies also lose their per-type state (init() fields such as diving)
+   * on release, so a recycled one starts clean.
+   */
+  const POOL_CAPS = {
+    bullets: 256,
+    enemies: 128,
+    enemyBullets: 256,
+    particles: 1024,
+    meteors: 64,
+    pickups: 32,
+  };
+  // The fields every enemy gets from spawnEnemy() — anything else is per-type
+  const ENEMY_FIELDS = new Set(
+    "x y px py w h speed health type born dead".split(" "),
+  );
+
+  /**
+   * createPools() — One pool per entity kind, each pre-filled to its cap.
+   * @param {Object} [caps] - Kind → cap, overriding POOL_CAPS
+   */
+  function createPools(caps = {}) {
+    const pools = {};
+    for (const kind in POOL_CAPS) {
+      const cap = Math.max(0, caps[kind] ?? POOL_CAPS[kind]),
+        free = [];
+      for (let i = 0; i < cap; i++) free.push({ x: 0, y: 0, px: 0, py: 0 });
+      pools[kind] = { cap, free, dropped: 0 };
+    }
+    return pools;
+  }
+
+  /**
+   * acquire() — Take a recycled object for `kind` and add it to the live
+   * list (g[kind]). The caller sets its fields.
+   * @returns {Object|null} null when the pool is full (the spawn is dropped)
+   */
+  function acquire(g, kind) {
+    const pool = g.pools[kind],
+      list = g[kind];
+    if (list.length >= pool.cap || !pool.free.length) {
+      pool.dropped++;
+      return null;
+    }
+    const o = pool.free.pop();
+    o.dead = false;
+    list.push(o);
+    return o;
+  }
+
+  /**
+   * release() — Hand an object the live list has just dropped back to its
+   * pool. Objects beyond the cap (pushed by hand, or after the cap was
+   * lowered) are left to the garbage collector.
+   */
+  function release(g, kind, o) {
+    const pool = g.pools[kind];
+    if (pool.free.length >= pool.cap) return;
+    if (kind === "enemies")
+      for (const k in o) if (!ENEMY_FIELDS.has(k)) delete o[k];
+    pool.free.push(o);
+  }
+
+  /**
+   * recycle() — Release every entity in a live list and return it empty
+   * (a new array the first time). Used by reset().
+   */
+  function recycle(g, kind) {
+    const list = g[kind];
+    if (!list) return [];
+    for (let i = 0; i < list.length; i++) release(g, kind, list[i]);
+    list.length = 0;
+    return list;
+  }
+
+  /**
+   * poolStats() — Debug counters per entity kind: live objects, free objects
+   * waiting in the pool, the cap and how many spawns were dropped at it.
+   * @returns {Object} Kind → {live, free, cap, dropped}
+   */
+  function poolStats(g) {
+    const stats = {};
+    for (const kind in g.pools) {
+      const { cap, free, dropped } = g.pools[kind];
+      stats[kind] = { live: g[kind].length, free: free.length, cap, dropped };
+    }
+    return stats;
+  }
+
+  // ─── Particle Emitters ───────────────────────────────────
+  /**
+   * Every visual effect the engine spawns is a named emitter preset. The
+   * engine decides where particles start and how they move; the page decides
+   * how they look (shape, colour ramp, blending — PARTICLE_LOOKS in app.js),
+   * looked up by the preset name each particle carries (pt.kind).
+   *
+   * One-shot bursts mark what just happened, each with its own signature:
+   *   explosion  — a kill: the classic 12-particle burst...
+   *   debris     — ...plus heavier chunks tumbling out of it
+   *   sparks     — a hit that didn't kill (enemy, boss armour) — a quick spray
+   *   shockwave  — the player taking damage, or the shield absorbing it
+   * Continuous emitters run every `every` ticks while their source exists
+   * (see emitTrails): the ship's thruster trail, meteor fire tails and the
+   * shield's shimmer.
+   *
+   * Fields (all speeds in px/tick, ranges are [min, max]):
+   *   count:    particles per emission
+   *   speed:    launch speed range
+   *   angle:    launch direction in degrees (0 = right, 90 = down)
+   *   spread:   degrees either side of `angle` (180 = all directions)
+   *   life:     ticks a particle lives (its fade runs over this)
+   *   size:     starting size range; grow is added every tick
+   *   gravity:  added to vy every tick; drag multiplies the velocity
+   *   every:    continuous emitters only — ticks between emissions
+   * Exposed and mutable like ENEMY_TYPES. Tints are "#rrggbb" colours.
+   *
+   * Budget: particles draw from their pool (see Object Pools), whose cap is
+   * the global particle budget. Continuous emitters stop once the pool is
+   * AMBIENT_SHARE full, so trails thin out first and a big fight always has
+   * room left for its explosions. Everything draws from the cosmetic stream
+   * (fxRand), so effects can change freely without shifting gameplay rolls.
+   */
+  const EMITTERS = {
+    explosion: {
+      count: 12,
+      speed: [0.5, 5],
+      spread: 180,
+      life: [25, 25],
+      size: [2, 6],
+      gravity: 0.2,
+    },
+    debris: {
+      count: 5,
+      speed: [1, 3],
+      angle: -90,
+      spread: 70,
+      life: [30, 45],
+      size: [3, 5],
+      gravity: 0.25,
+      drag: 0.98,
+    },
+    sparks: {
+      count: 6,
+      speed: [3, 6],
+      angle: 90, // Sprayed back down toward the shooter
+      spread: 50,
+      life: [6, 12],
+      size: [1, 2],
+      drag: 0.85,
+    },
+    shockwave: {
+      count: 1,
+      speed: [0, 0],
+      spread: 0,
+      life: [20, 20],
+      size: [6, 6],
+      grow: 3, // An expanding ring
+    },
+    thruster: {
+      every: 1,
+      count: 1,
+      speed: [2, 3.5],
+      angle: 90,
+      spread: 10,
+      life: [10, 16],
+      size: [4, 6],
+      drag: 0.95,
+      grow: -0.3,
+    },
+    meteorTail: {
+      every: 2,
+      count: 1,
+      speed: [0.5, 1.5],
+      angle: -90,
+      spread: 25,
+      life: [8, 14],
+      size: [3, 5],
+      grow: -0.25,
+    },
+    shield: {
+      every: 4,
+      count: 1,
+      speed: [0, 0.5],
+      spread: 180,
+      life: [10, 18],
+      size: [2, 3],
+    },
+  };
+  const AMBIENT_SHARE = 0.5; // Pool share above which continuous emitters pause
+
+  /**
+   * burst() — Emit one round of a preset's particles at (x, y).
+   * @param {string} name    - EMITTERS key
+   * @param {string} [color] - Tint handed to the page's colour ramp
+   * @param {number} [w=0]   - Emit from anywhere in a w-wide row centred on x
+   */
+  function burst(g, name, x, y, color, w = 0) {
+    const fx = EMITTERS[name],
+      angle = ((fx.angle || 0) * Math.PI) / 180,
+      spread = ((fx.spread || 0) * Math.PI) / 180;
+    for (let i = 0; i < fx.count; i++) {
+      const pt = acquire(g, "particles");
+      if (!pt) return; // Over the particle budget — a thinner effect
+      const a = angle + (g.fxRand() * 2 - 1) * spread,
+        v = fx.speed[0] + g.fxRand() * (fx.speed[1] - fx.speed[0]);
+      pt.x = pt.px = x + (g.fxRand() - 0.5) * w;
+      pt.y = pt.py = y;
+      pt.vx = Math.cos(a) * v;
+      pt.vy = Math.sin(a) * v;
+      pt.life = pt.max = Math.round(
+        fx.life[0] + g.fxRand() * (fx.life[1] - fx.life[0]),
+      ); // Ticks until the particle expires
+      pt.size = fx.size[0] + g.fxRand() * (fx.size[1] - fx.size[0]);
+      pt.kind = name;
+      pt.color = color;
+    }
+  }
+
+  /** boom() — A kill: an explosion burst at (x, y) with debris thrown out of it. */
+  function boom(g, x, y, color) {
+    burst(g, "explosion", x, y, color);
+    burst(g, "debris", x, y, color);
+  }
+
+  /**
+   * emitTrails() — Run the continuous emitters for this tick: each ship's
+   * thruster, a fire tail per meteor and the shield shimmer.
+   */
+  function emitTrails(g) {
+    if (g.particles.length >= g.pools.particles.cap * AMBIENT_SHARE) return;
+    const f = g.frame;
+    if (g.running && f % EMITTERS.thruster.every === 0)
+      for (const p of g.players)
+        if (!p.down)
+          burst(g, "thruster", p.x + p.w / 2, p.y + p.h, undefined, 8);
+    if (f % EMITTERS.meteorTail.every === 0)
+      for (const m of g.meteors)
+        burst(g, "meteorTail", m.x + m.w / 2, m.y, undefined, m.w / 2);
+    if (g.shield && f % EMITTERS.shield.every === 0)
+      for (const p of g.players)
+        if (!p.down)
+          burst(g, "shield", p.x + p.w / 2, p.y - 6, undefined, p.w + 12);
+  }
+
+  /**
+   * updateParticles() — Particle physics (movement, drag, gravity, growth)
+   * and cleanup of the expired ones.
+   */
+  function updateParticles(g) {
+    emitTrails(g);
+    const particles = g.particles;
+    let write = 0;
+    for (let i = 0; i < particles.length; i++) {
+      const pt = particles[i],
+        fx = EMITTERS[pt.kind],
+        drag = fx.drag || 1;
+      pt.x += pt.vx;
+      pt.y += pt.vy;
+      pt.vx *= drag;
+      pt.vy = pt.vy * drag + (fx.gravity || 0); // Gravity — explosions arc downward
+      pt.size = Math.max(0, pt.size + (fx.grow || 0));
+      pt.life--; // The page fades particles by life / max
+      if (pt.life > 0) particles[write++] = pt;
+      else release(g, "particles", pt);
+    }
+    particles.length = write;
+  }
+
+  // ─── Wave Scripts ────────────────────────────────────────
+  /**
+   * A run's waves come from a wave script: plain JSON that says, wave by
+   * wave, what spawns, how fast, and what ends the wave. The engine only
+   * interprets it, so waves can be authored and tuned without touching code.
+   *
+   *   {
+   *     "name": "endless",
+   *     "defaults": { ...wave fields... },   // Merged under every wave
+   *     "waves": [ { ...wave 1... }, { ...wave 2... }, ... ],
+   *     "loop": 11        // Optional: after the last wave, continue from wave 11
+   *   }
+   *
+   * Wave fields (all optional once merged with "defaults", except goal):
+   *   goal         { "kills": n } — n kills advance the wave
+   *                { "time": s }  — survive s seconds
+   *                { "boss": true } — a boss enters; beating it ends the wave
+   *                  (regular spawning stops while it is on the field)
+   *   spawnOffset  Ticks added to the difficulty's spawnRate (negative = faster)
+   *   spawnMin     Floor for the resulting spawn interval, in ticks (default
+   *                20; the interval never drops below 1 tick)
+   *   speedBonus   Added to the difficulty's speedMult (default 0)
+   *   mix          { "<enemy type>": weight, ... } — which ENEMY_TYPES spawn
+   *                and how often. Omitted: every type whose fromWave has been
+   *                reached, at its default weight.
+   *   pattern      "random" — one enemy at a random x (default)
+   *                "line"   — `count` enemies of one type in an even row
+   *                "vee"    — `count` enemies of one type in a V formation
+   *                "none"   — no timed spawning: only "spawn" events below
+   *   count        Enemies per spawn for "line"/"vee" (default 5)
+   *   meteorChance Chance of a meteor shower per roll — rolled about once a
+   *                second once the run is 10 seconds old (default 0: none)
+   *   events       [ { "at": s, "event": "meteorShower" },
+   *                  { "at": s, "event": "powerUp", "kind": "shield", "x": 300 },
+   *                  { "at": s, "event": "spawn", "type": "diver", "x": 120,
+   *                    "formation": "single" | "line" | "vee", "count": 5 } ]
+   *                — special events s seconds into the wave. A spawn places
+   *                enemies of one type by hand: "single" at x (random when
+   *                omitted), "line"/"vee" across the whole width.
+   *                A pickup's x defaults to the centre.
+   *
+   * Without "loop", clearing the last wave completes the script: the run ends
+   * with "scriptComplete" and a gameOver whose `cleared` is true.
+   *
+   * WAVE_SCRIPTS holds the scripts start() can name; "endless" is the default
+   * and reproduces the original formula: 8 kills per wave, the spawn interval
+   * 3 ticks shorter and enemies 0.08 faster each wave up to wave 10, new enemy
+   * types joining over waves 1–5, a boss every 5th wave, and random meteor
+   * showers at 2.2% per roll. start() also accepts a script object or a JSON
+   * string, checked by loadWaveScript().
+   */
+  const WAVE_SCRIPTS = {
+    endless: {
+      name: "endless",
+      defaults: {
+        goal: { kills: 8 },
+        spawnMin: 20,
+        meteorChance: 0.022,
+        mix: {
+          normal: 7,
+          fast: 3,
+          zigzag: 3,
+          sine: 3,
+          diver: 2,
+          strafer: 2,
+          shooter: 2,
+        },
+      },
+      waves: [
+        { spawnOffset: 0, speedBonus: 0, mix: { normal: 7, fast: 3 } },
+        {
+          spawnOffset: -3,
+          speedBonus: 0.08,
+          mix: { normal: 7, fast: 3, zigzag: 3 },
+        },
+        {
+          spawnOffset: -6,
+          speedBonus: 0.16,
+          mix: { normal: 7, fast: 3, zigzag: 3, sine: 3, shooter: 2 },
+        },
+        {
+          spawnOffset: -9,
+          speedBonus: 0.24,
+          mix: { normal: 7, fast: 3, zigzag: 3, sine: 3, diver: 2, shooter: 2 },
+        },
+        { spawnOffset: -12, speedBonus: 0.32, goal: { boss: true } },
+        { spawnOffset: -15, speedBonus: 0.4 },
+        { spawnOffset: -18, speedBonus: 0.48 },
+        { spawnOffset: -21, speedBonus: 0.56 },
+        { spawnOffset: -24, speedBonus: 0.64 },
+        { spawnOffset: -27, speedBonus: 0.72, goal: { boss: true } },
+        { spawnOffset: -27, speedBonus: 0.72 },
+        { spawnOffset: -27, speedBonus: 0.72 },
+        { spawnOffset: -27, speedBonus: 0.72 },
+        { spawnOffset: -27, speedBonus: 0.72 },
+        { spawnOffset: -27, speedBonus: 0.72, goal: { boss: true } },
+      ],
+      loop: 11, // Waves 11–15 (four regular, one boss) repeat forever
+    },
+  };
+
+  const WAVE_PATTERNS = ["random", "line", "vee", "none"];
+  const WAVE_EVENTS = ["meteorShower", "powerUp", "spawn"];
+  const FORMATIONS = ["single", "line", "vee"];
+  const WAVE_NUMBERS = [
+    "spawnOffset",
+    "spawnMin",
+    "speedBonus",
+    "meteorChance",
+  ];
+
+  /**
+   * loadWaveScript() — Parse and check a wave script, returning it ready to
+   * run: every wave merged with the defaults. Throws an Error naming the
+   * script, wave and field at the first problem found.
+   * @param {Object|string} src - Script object, its JSON text, or a key of
+   *   WAVE_SCRIPTS
+   * @returns {{name: string, waves: Object[], loop: number|null}}
+   */
+  function loadWaveScript(src) {
+    let script = src;
+    if (typeof src === "string") {
+      try {
+        script = WAVE_SCRIPTS[src] || JSON.parse(src);
+      } catch (err) {
+        throw new Error(
+          `Wave script: not a script name or valid JSON (${err.message})`,
+        );
+      }
+    }
+    const name = script?.name || "custom";
+    const fail = (where, msg) => {
+      throw new Error(`Wave script "${name}": ${where}: ${msg}`);
+    };
+    if (!Array.isArray(script?.waves) || !script.waves.length)
+      fail("waves", "must be a non-empty array");
+    const waves = script.waves.map((w, i) => {
+      const wave = { ...script.defaults, ...w },
+        at = `wave ${i + 1}`,
+        goal = wave.goal || {};
+      const goals = ["kills", "time", "boss"].filter((k) => goal[k]);
+      if (goals.length !== 1)
+        fail(at, "goal must be one of {kills: n}, {time: s}, {boss: true}");
+      if (goal.kills && !(goal.kills > 0)) fail(at, "goal.kills must be > 0");
+      if (goal.time && !(goal.time > 0)) fail(at, "goal.time must be > 0");
+      if (wave.mix) {
+        let total = 0;
+        for (const id in wave.mix) {
+          if (!ENEMY_TYPES[id]) fail(at, `unknown enemy type "${id}" in mix`);
+          if (!(wave.mix[id] >= 0)) fail(at, `mix.${id} must be a weight ≥ 0`);
+          total += wave.mix[id];
+        }
+        if (!(total > 0)) fail(at, "mix needs at least one positive weight");
+      }
+      // A string or NaN here would turn the spawn interval into NaN — nothing
+      // would ever spawn — so the tuning numbers must be real numbers
+      for (const k of WAVE_NUMBERS)
+        if (wave[k] !== undefined && !Number.isFinite(wave[k]))
+          fail(at, `${k} must be a number`);
+      if (wave.pattern && !WAVE_PATTERNS.includes(wave.pattern))
+        fail(at, `pattern must be one of ${WAVE_PATTERNS.join(", ")}`);
+      if (
+        wave.count !== undefined &&
+        !(Number.isInteger(wave.count) && wave.count >= 1 && wave.count <= 12)
+      )
+        fail(at, "count must be a whole number 1–12");
+      for (const ev of wave.events || []) {
+        if (!WAVE_EVENTS.includes(ev.event))
+          fail(at, `event must be one of ${WAVE_EVENTS.join(", ")}`);
+        if (!(ev.at >= 0)) fail(at, "event.at must be seconds ≥ 0");
+        if (ev.event === "powerUp" && !POWERUPS[ev.kind])
+          fail(at, `unknown power-up kind "${ev.kind}"`);
+        if (ev.event === "spawn") {
+          if (!ENEMY_TYPES[ev.type])
+            fail(at, `unknown enemy type "${ev.type}" in spawn`);
+          if (ev.formation && !FORMATIONS.includes(ev.formation))
+            fail(at, `formation must be one of ${FORMATIONS.join(", ")}`);
+          if (
+            ev.count !== undefined &&
+            !(Number.isInteger(ev.count) && ev.count >= 1 && ev.count <= 12)
+          )
+            fail(at, "spawn count must be a whole number 1–12");
+        }
+        if (ev.x !== undefined && !(ev.x >= 0 && ev.x <= WORLD_W))
+          fail(at, `event.x must be 0–${WORLD_W}`);
+      }
+      return {
+        goal,
+        spawnOffset: wave.spawnOffset || 0,
+        spawnMin: wave.spawnMin ?? 20,
+        speedBonus: wave.speedBonus || 0,
+        mix: wave.mix || null,
+        pattern: wave.pattern || "random",
+        count: wave.count || 5,
+        meteorChance: wave.meteorChance || 0,
+        events: [...(wave.events || [])].sort((a, b) => a.at - b.at),
+      };
+    });
+    const loop = script.loop ?? null;
+    if (loop !== null && !(loop >= 1 && loop <= waves.length && loop % 1 === 0))
+      fail("loop", `must be a wave number from 1 to ${waves.length}`);
+    return { name, waves, loop };
+  }
+
+  /**
+   * waveDef() — The script's entry for wave `n` (1-based), following "loop"
+   * past the end; null when a script without a loop has run out of waves.
+   */
+  function waveDef(g, n) {
+    const { waves, loop } = g.script;
+    if (n <= waves.length) return waves[n - 1];
+    if (loop === null) return null;
+    const cycle = waves.length - loop + 1;
+    return waves[loop - 1 + ((n - loop) % cycle)];
+  }
+
+  /**
+   * applyWave() — Make g.waveNumber's script entry the current wave: its
+   * spawn interval and speed (on top of the difficulty's base values) and a
+   * fresh clock for its time goal and events.
+   */
+  function applyWave(g) {
+    const d = DIFFICULTY[g.difficulty],
+      w = waveDef(g, g.waveNumber);
+    g.wave = w;
+    g.waveStart = g.frame;
+    g.waveEventIdx = 0;
+    // At least 1 tick: step() spawns when frame % enemySpawnRate is 0, which
+    // a 0 or negative interval (spawnMin 0, a big negative offset) would break
+    g.enemySpawnRate = Math.max(1, w.spawnMin, d.spawnRate + w.spawnOffset);
+    g.enemySpeedMult = d.speedMult + w.speedBonus;
+  }
+
+  /**
+   * spawnFromWave() — One timed spawn for the current wave: a single enemy,
+   * or a whole "line"/"vee" formation of one type.
+   */
+  function spawnFromWave(g) {
+    const { pattern, count } = g.wave;
+    if (pattern === "none") return;
+    if (pattern === "random") return spawnEnemy(g);
+    spawnFormation(g, pickEnemyType(g), pattern, count);
+  }
+
+  /**
+   * spawnFormation() — `count` enemies of `type` spread across the width:
+   * an even row ("line") or a V with its point leading ("vee").
+   */
+  function spawnFormation(g, type, formation, count) {
+    const w = ENEMY_TYPES[type].w || 48,
+      gap = count > 1 ? (WORLD_W - w - 40) / (count - 1) : 0,
+      mid = (count - 1) / 2;
+    for (let i = 0; i < count; i++) {
+      const x = count > 1 ? 20 + i * gap : (WORLD_W - w) / 2,
+        y = formation === "vee" ? -50 - Math.abs(i - mid) * 30 : -50;
+      spawnEnemy(g, type, x, y);
+    }
+  }
+
+  /** runWaveEvent() — Carry out one of the wave's scheduled events. */
+  function runWaveEvent(g, ev) {
+    if (ev.event === "meteorShower") triggerMeteorShower(g);
+    else if (ev.event === "powerUp")
+      dropPickup(g, ev.kind, ev.x ?? WORLD_W / 2, -20);
+    else if (ev.event === "spawn") {
+      const formation = ev.formation || "single";
+      if (formation !== "single")
+        spawnFormation(g, ev.type, formation, ev.count || 5);
+      else {
+        const w = ENEMY_TYPES[ev.type].w || 48;
+        spawnEnemy(
+          g,
+          ev.type,
+          ev.x === undefined ? undefined : Math.min(ev.x, WORLD_W - w),
+        );
+      }
+    }
+  }
+
+  /**
+   * updateWave() — Per-tick wave bookkeeping: scheduled events and the time
+   * goal. Kill goals are checked where kills happen; boss goals in defeatBoss().
+   */
+  function updateWave(g) {
+    const w = g.wave,
+      age = g.frame - g.waveStart;
+    while (
+      g.waveEventIdx < w.events.length &&
+      age >= w.events[g.waveEventIdx].at * TICK_RATE
+    ) {
+      runWaveEvent(g, w.events[g.waveEventIdx++]);
+    }
+    if (w.goal.time && age >= w.goal.time * TICK_RATE) advanceWave(g);
+  }
+
+  // ─── Meteor Shower Event ─────────────────────────────────
+  /**
+   * triggerMeteorShower() — Start the random mid-game meteor event.
+   *
+   * Event flow (see updateMeteors):
+   *   1. For 5 seconds, spawn a meteor every 8 ticks (~7-8 per second)
+   *   2. After 6 seconds, once all meteors are gone, end the shower and award
+   *      +50 bonus points for surviving.
+   */
+  function triggerMeteorShower(g) {
+    if (g.meteorActive) return;
+    g.meteorActive = true;
+    g.meteorTimer = g.frame;
+    emit(g, "meteorShowerStart", {});
+  }
+
+  /**
+   * spawnMeteor() — Create a single fast meteor.
+   * Meteors are smaller (16x16 vs 48x48), faster (6-10 px/tick) and weaker
+   * (1 health vs 2) than enemies — a brief hazard, not a core enemy.
+   */
+  function spawnMeteor(g) {
+    const x = g.rand() * (WORLD_W - 20), // 16px wide, with a 4px margin on the right
+      speed = 6 + g.rand() * 4,
+      m = acquire(g, "meteors");
+    if (!m) return; // Pool full — this one never falls
+    m.x = m.px = x;
+    m.y = m.py = -20;
+    m.w = 16;
+    m.h = 16;
+    m.speed = speed;
+    m.health = 1;
+  }
+
+  /**
+   * updateMeteors() — Meteor spawning, movement, collisions and cleanup.
+   *   Phase 1 (0–5s):   Spawn a new meteor every 8 ticks while moving existing ones
+   *   Phase 2 (5–6s):   Stop spawning, let remaining meteors clear the screen
+   *   Phase 3 (>6s):    Once all meteors are gone, end the event and award bonus
+   */
+  function updateMeteors(g) {
+    if (!g.meteorActive) return;
+    const meteors = g.meteors;
+
+    const elapsed = (g.frame - g.meteorTimer) * TICK_MS; // Simulated ms since the shower started
+    if (elapsed < 5000 && g.frame % 8 === 0) spawnMeteor(g);
+
+    if (elapsed > 6000 && meteors.length === 0) {
+      g.meteorActive = false;
+      g.score += 50; // Survival bonus
+      emit(g, "meteorShowerEnd", { bonus: 50 });
+    }
+
+    for (let mi = meteors.length - 1; mi >= 0; mi--) {
+      const m = meteors[mi];
+      m.y += m.speed;
+
+      // Bullet-meteor collision
+      const near = queryBullets(g, m, true);
+      for (let bi = 0; bi < near.length; bi++) {
+        const b = near[bi];
+        if (b.dead) continue;
+        if (collides(b, m)) {
+          const shooter = g.players[b.owner];
+          b.dead = true;
+          g.shotsHit++;
+          shooter.shotsHit++;
+          m.health--;
+          if (m.health <= 0) {
+            boom(g, m.x + 8, m.y + 8, "#ff6633"); // Meteor orange
+            const { points, multiplier } = scoreKill(g, shooter, 5);
+            m.dead = true;
+            maybeDrop(g, m.x + 8, m.y + 8, DROP_CHANCE.meteor);
+            emit(g, "meteorKilled", {
+              meteor: m,
+              points,
+              multiplier,
+              player: shooter.id,
+            });
+            break; // This bullet is consumed
+          }
+          burst(g, "sparks", b.x + b.w / 2, b.y, "#ff6633");
+        }
+      }
+
+      // Meteor-player collision — same damage as an enemy
+      const ship = m.dead ? null : shipTouching(g, m, true);
+      if (ship) {
+        m.dead = true;
+        damagePlayer(g, ship, "meteor", "#ff6633");
+      }
+
+      if (m.y > WORLD_H + 20) m.dead = true; // Scrolled past the bottom
+    }
+
+    let mWrite = 0;
+    for (let i = 0; i < meteors.length; i++) {
+      if (!meteors[i].dead) meteors[mWrite++] = meteors[i];
+      else release(g, "meteors", meteors[i]);
+    }
+    meteors.length = mWrite;
+  }
+
+  // ─── Laser Heat ──────────────────────────────────────────
+  /**
+   * The laser heats up with every shot (heatPerShot) and sheds heat every
+   * tick (heatCool), both from the difficulty table. Short bursts never get
+   * near the limit; holding fire does. Reaching MAX_HEAT overheats the gun:
+   * it locks for overheatLock ticks while the heat drains to zero at an even
+   * rate, so the lock and the heat bar run out together.
+   *
+   * Every ship's gun heats on its own (p.heat, p.overheatUntil), so in co-op
+   * one player holding fire never locks the other's laser.
+   *
+   * Events: "overheat" {until, player} when a gun locks, "heatRecovered"
+   * {player} when it can fire again.
+   */
+
+  /** addHeat() — Heat from one shot; overheats and locks the gun at MAX_HEAT. */
+  function addHeat(g, p) {
+    const d = DIFFICULTY[g.difficulty];
+    p.heat += d.heatPerShot;
+    if (p.heat < MAX_HEAT) return;
+    p.heat = MAX_HEAT;
+    p.overheatUntil = g.frame + d.overheatLock;
+    emit(g, "overheat", { until: p.overheatUntil, player: p.id });
+  }
+
+  /** coolLaser() — One tick of heat loss (the drain of an overheat lock included). */
+  function coolLaser(g, p) {
+    const d = DIFFICULTY[g.difficulty];
+    if (g.frame < p.overheatUntil) {
+      p.heat = Math.max(0, p.heat - MAX_HEAT / d.overheatLock);
+    } else if (g.frame === p.overheatUntil) {
+      p.heat = 0;
+      emit(g, "heatRecovered", { player: p.id });
+    } else {
+      p.heat = Math.max(0, p.heat - d.heatCool);
+    }
+  }
+
+  // ─── Combo Multiplier ────────────────────────────────────
+  /**
+   * Kills in a row build a combo; every COMBO_STEP kills raise the score
+   * multiplier by one (x2 at 4 kills, x3 at 8, ... up to MAX_MULTIPLIER),
+   * and kill points are multiplied by it. The combo breaks — back to x1 — on:
+   *   "miss"    — a player bullet leaves the top of the screen (spread
+   *               shot's angled side bullets are exempt)
+   *   "hit"     — the player loses a life (a shield absorbing the hit doesn't count)
+   *   "timeout" — COMBO_TIMEOUT ticks pass without a kill
+   * Flat bonuses (meteor shower survival, boss defeat, easter eggs) are never
+   * multiplied. g.bestCombo keeps the longest combo of the run.
+   *
+   * Events: "combo" {combo, multiplier} after every kill that extends it,
+   * "comboBreak" {combo, reason} when a combo of at least one kill ends.
+   */
+  const COMBO_STEP = 4; // Kills per multiplier step
+  const MAX_MULTIPLIER = 8;
+  const COMBO_TIMEOUT = 3 * TICK_RATE; // 3s without a kill ends the combo
+
+  /** multiplier() — The current score multiplier (1 with no combo). */
+  function multiplier(g) {
+    return Math.min(MAX_MULTIPLIER, 1 + Math.floor(g.combo / COMBO_STEP));
+  }
+
+  /**
+   * scoreKill() — Extend the combo with a kill and award its points, to the
+   * team score and to the ship that made the kill. The kill counts toward
+   * the combo first, so the kill that reaches a step is already paid at the
+   * new multiplier. It also brings any downed partner a kill closer to
+   * coming back (see Players & Co-op).
+   * @param {Object} p     - The ship that made the kill
+   * @param {number} base  - The kill's unmultiplied points
+   * @returns {{points: number, multiplier: number}} What was awarded
+   */
+  function scoreKill(g, p, base) {
+    g.combo++;
+    g.comboLast = g.frame;
+    g.bestCombo = Math.max(g.bestCombo, g.combo);
+    const mult = multiplier(g),
+      points = base * mult;
+    g.score += points;
+    p.score += points;
+    emit(g, "combo", { combo: g.combo, multiplier: mult });
+    for (const q of g.players)
+      if (q.down && --q.revive <= 0) revivePlayer(g, q, "kills");
+    return { points, multiplier: mult };
+  }
+
+  /** breakCombo() — End the current combo, if there is one. */
+  function breakCombo(g, reason) {
+    if (!g.combo) return;
+    const combo = g.combo;
+    g.combo = 0;
+    emit(g, "comboBreak", { combo, reason });
+  }
+
+  // ─── Power-ups ───────────────────────────────────────────
+  /**
+   * Destroyed enemies and meteors sometimes drop a pickup that falls toward
+   * the bottom of the screen; touching it with the ship collects it.
+   *
+   * POWERUPS — Every pickup kind, keyed by the id stored on the pickup:
+   *   weight:      relative chance among the kinds when a drop happens
+   *   duration:    ticks the effect lasts (timed effects only)
+   *   apply(g, p): optional — what collecting it (with ship p) does beyond
+   *                starting its timer
+   * Effects belong to the team, whichever ship collects them. Timed ones are
+   * tracked in g.powerUntil (kind → tick the effect ends); shoot() and
+   * damagePlayer() read them:
+   *   spread — every shot is a 3-way fan
+   *   rapid  — half the shot cooldown
+   *   shield — absorbs the next hit instead of costing a life (until used)
+   *   life   — +1 life on the spot (up to MAX_LIVES), or a downed partner
+   *            back in play (see Players & Co-op)
+   */
+  const POWERUPS = {
+    spread: { weight: 3, duration: 10 * TICK_RATE },
+    rapid: { weight: 3, duration: 10 * TICK_RATE },
+    shield: { weight: 2, apply: (g) => (g.shield = true) },
+    life: { weight: 1, apply: (g, p) => addLife(g, p) },
+  };
+  const DROP_CHANCE = { enemy: 0.08, meteor: 0.04 }; // Per kill, by source
+  const MAX_LIVES = 9; // Extra lives stop stacking here
+
+  /** powerActive() — Whether a timed power-up is running this tick. */
+  function powerActive(g, kind) {
+    return g.frame < (g.powerUntil[kind] || 0);
+  }
+
+  /**
+   * maybeDrop() — Roll for a pickup at (x, y) after a kill.
+   * @param {number} chance - Probability 0–1 (1 = always drop)
+   */
+  function maybeDrop(g, x, y, chance) {
+    if (g.rand() >= chance) return;
+    let total = 0;
+    for (const k in POWERUPS) total += POWERUPS[k].weight;
+    let roll = g.rand() * total,
+      kind = "spread";
+    for (const k in POWERUPS)
+      if ((roll -= POWERUPS[k].weight) < 0) {
+        kind = k;
+        break;
+      }
+    dropPickup(g, kind, x, y);
+  }
+
+  /** dropPickup() — Put a pickup of `kind` in play, centred on x. */
+  function dropPickup(g, kind, x, y) {
+    const px = Math.min(Math.max(x - 10, 0), WORLD_W - 20),
+      pu = acquire(g, "pickups");
+    if (!pu) return; // Pool full — nothing drops
+    pu.x = pu.px = px;
+    pu.y = pu.py = y;
+    pu.w = 20;
+    pu.h = 20;
+    pu.kind = kind;
+    pu.speed = 2;
+    emit(g, "powerUpDrop", { kind, x: px, y });
+  }
+
+  /**
+   * updatePickups() — Move pickups, collect the ones the ship touches, drop
+   * the ones that fall off screen, and end timed effects that ran out.
+   */
+  function updatePickups(g) {
+    const pickups = g.pickups;
+    let write = 0;
+    for (let i = 0; i < pickups.length; i++) {
+      const pu = pickups[i];
+      pu.y += pu.speed;
+      const ship = g.running ? shipTouching(g, pu) : null;
+      if (ship) {
+        const def = POWERUPS[pu.kind];
+        if (def.duration) g.powerUntil[pu.kind] = g.frame + def.duration;
+        if (def.apply) def.apply(g, ship);
+        emit(g, "powerUp", {
+          kind: pu.kind,
+          until: g.powerUntil[pu.kind],
+          player: ship.id,
+        });
+        release(g, "pickups", pu);
+        continue; // Collected
+      }
+      if (pu.y < WORLD_H + 20) pickups[write++] = pu;
+      else release(g, "pickups", pu);
+    }
+    pickups.length = write;
+
+    for (const kind in g.powerUntil)
+      if (g.powerUntil[kind] === g.frame) emit(g, "powerUpEnd", { kind });
+  }
+
+  // ─── Boss Encounters ─────────────────────────────────────
+  /**
+   * A wave whose script goal is {boss: true} is a boss wave (the endless
+   * script has one every 5th wave): regular spawning stops and a
+   * single large boss enters instead. Enemies already on screen finish their
+   * run, but kills no longer advance the wave — only the boss's defeat does.
+   *
+   * The boss is one armoured hull with three parts hanging below it, each
+   * with its own hitbox relative to the boss (dx, dy) and its own health:
+   *   - Two pods (left/right) — the weak points of phase 1. They fire spreads.
+   *   - The core — armoured while any pod lives (shots ping off the hull);
+   *     destroying it defeats the boss.
+   *
+   * Attack phases, decided by which parts are left:
+   *   "pods"  — Sweeps slowly; each living pod fires a 3-shot spread
+   *   "core"  — Pods gone, core open: faster sweep, aimed shots
+   *   "rage"  — Core below half health: faster still, aimed shots plus a
+   *             5-shot fan every 2 seconds
+   *
+   * Health scales with the boss's level: 1 for the run's first boss, 2 for
+   * the second, ... (wave 5, 10, ... in the endless script).
+   * All timing derives from the tick counter and nothing draws from rand(),
+   * so boss waves add no rolls to the gameplay stream.
+   */
+  const BOSS_POINTS = 1000; // Defeat bonus per boss level
+  const BOSS_PART_POINTS = 100; // Bonus for each pod destroyed
+
+  /** spawnBoss() — Bring in the boss for the current (boss) wave. */
+  function spawnBoss(g) {
+    const level = ++g.bossCount,
+      w = 200,
+      h = 90,
+      x = (WORLD_W - w) / 2,
+      y = -h,
+      pod = 10 + 5 * (level - 1),
+      core = 30 + 15 * (level - 1);
+    g.boss = {
+      x,
+      y,
+      px: x,
+      py: y,
+      w,
+      h,
+      level,
+      vx: 1, // Sweep direction; the speed comes from the phase
+      born: g.frame,
+      entering: true, // Invulnerable until it reaches its sweep line
+      phase: "pods",
+      parts: [
+        { id: "podL", dx: 0, dy: 40, w: 44, h: 50, health: pod, max: pod },
+        { id: "podR", dx: w - 44, dy: 40, w: 44, h: 50, health: pod, max: pod },
+        { id: "core", dx: 70, dy: 30, w: 60, h: 60, health: core, max: core },
+      ],
+    };
+    g.boss.maxHealth = pod * 2 + core;
+    g.boss.health = g.boss.maxHealth;
+    emit(g, "bossSpawn", { boss: g.boss, wave: g.waveNumber });
+  }
+
+  /** hullRect() — Absolute hitbox of the armoured hull the parts hang from. */
+  function hullRect(boss) {
+    return { x: boss.x + 20, y: boss.y, w: boss.w - 40, h: 50 };
+  }
+
+  /**
+   * partRect() — Absolute hitbox of a living boss part, or null if destroyed.
+   * @returns {{x, y, w, h}|null}
+   */
+  function partRect(boss, part) {
+    if (part.health <= 0) return null;
+    return { x: boss.x + part.dx, y: boss.y + part.dy, w: part.w, h: part.h };
+  }
+
+  /**
+   * fireShot() — Add an enemy projectile (shared by shooter enemies and the
+   * boss) and announce it.
+   */
+  function fireShot(g, from, x, y, vx, vy) {
+    const shot = acquire(g, "enemyBullets");
+    if (!shot) return; // Pool full — the shot is never fired
+    shot.x = shot.px = x;
+    shot.y = shot.py = y;
+    shot.w = 6;
+    shot.h = 12;
+    shot.vx = vx;
+    shot.vy = vy;
+    emit(g, "enemyShot", { enemy: from, bullet: shot });
+  }
+
+  /** aimedVx() — Sideways speed that steers a shot from x toward the nearest ship (capped). */
+  function aimedVx(g, x) {
+    const p = targetPlayer(g, x);
+    return Math.max(-2, Math.min(2, (p.x + p.w / 2 - x) / 60));
+  }
+
+  /**
+   * updateBoss() — One tick of the boss: entry, sweep, attacks, and player
+   * bullets against its parts. Runs after the enemy loop (step 5), before
+   * dead bullets are swept up.
+   */
+  function updateBoss(g) {
+    const b = g.boss;
+    if (!b) return;
+    const age = g.frame - b.born,
+      mult = DIFFICULTY[g.difficulty].speedMult;
+
+    // ── Movement: descend to the sweep line, then sweep side to side ──
+    if (b.entering) {
+      b.y += 1.5;
+      if (b.y >= 60) {
+        b.y = 60;
+        b.entering = false;
+      }
+    } else {
+      const speed = { pods: 1.5, core: 2.5, rage: 3.5 }[b.phase] * mult;
+      b.x += b.vx * speed;
+      if (b.x < 0 || b.x > WORLD_W - b.w) {
+        b.x = Math.min(Math.max(b.x, 0), WORLD_W - b.w);
+        b.vx = -b.vx;
+      }
+    }
+
+    // ── Attacks ──
+    if (!b.entering && g.running) {
+      const vy = 4 * mult;
+      if (b.phase === "pods" && age % 70 === 0) {
+        for (const part of b.parts.slice(0, 2)) {
+          const r = partRect(b, part);
+          if (!r) continue;
+          const x = r.x + r.w / 2 - 3;
+          for (const vx of [-1.5, 0, 1.5]) fireShot(g, b, x, r.y + r.h, vx, vy);
+        }
+      } else if (b.phase !== "pods") {
+        const core = partRect(b, b.parts[2]),
+          x = core.x + core.w / 2 - 3,
+          y = core.y + core.h;
+        if (age % (b.phase === "rage" ? 30 : 40) === 0)
+          fireShot(g, b, x, y, aimedVx(g, x), vy * 1.25);
+        if (b.phase === "rage" && age % 120 === 0)
+          for (let i = -2; i <= 2; i++) fireShot(g, b, x, y, i * 1.2, vy);
+      }
+    }
+
+    // ── Player bullets vs the boss ──
+    if (b.entering) return; // Shots pass under a boss still flying in
+    const near = queryBullets(g, b), // The boss box spans the hull and all parts
+      podsLeft = b.parts[0].health > 0 || b.parts[1].health > 0;
+    for (let bi = 0; bi < near.length; bi++) {
+      const bl = near[bi];
+      if (bl.dead) continue;
+      // Parts hang below the hull, so a shot from below meets them first
+      let part = null;
+      for (const pt of b.parts) {
+        const r = partRect(b, pt);
+        if (r && collides(bl, r)) {
+          part = pt;
+          break;
+        }
+      }
+      if (!part && !collides(bl, hullRect(b))) continue; // Missed entirely
+      bl.dead = true; // The boss stops every shot, damaging or not
+      const armoured = !part || (part.id === "core" && podsLeft);
+      burst(
+        g,
+        "sparks",
+        bl.x + bl.w / 2,
+        bl.y,
+        armoured ? "#9e95a8" : undefined,
+      );
+      if (armoured) continue; // Armour — pings off
+      const shooter = g.players[bl.owner];
+      g.shotsHit++;
+      shooter.shotsHit++;
+      part.health--;
+      b.health--;
+      emit(g, "bossHit", { boss: b, part, player: shooter.id });
+      if (part.health <= 0) destroyBossPart(g, b, part, shooter);
+      else if (
+        part.id === "core" &&
+        b.phase === "core" &&
+        part.health <= part.max / 2
+      )
+        setBossPhase(g, b, "rage");
+      if (!g.boss) return; // Defeated by this bullet
+    }
+  }
+
+  /**
+   * destroyBossPart() — A part's health reached 0: score it (to ship p, whose
+   * shot destroyed it) and move the phase on.
+   */
+  function destroyBossPart(g, b, part, p) {
+    const cx = b.x + part.dx + part.w / 2,
+      cy = b.y + part.dy + part.h / 2;
+    boom(g, cx, cy, "#ff6633");
+    boom(g, cx, cy, "#f5e6a3");
+    maybeDrop(g, cx, cy, 1); // Every part drops a pickup
+    if (part.id === "core") return defeatBoss(g, b, p);
+    const { points, multiplier } = scoreKill(g, p, BOSS_PART_POINTS);
+    emit(g, "bossPartDestroyed", {
+      boss: b,
+      part,
+      points,
+      multiplier,
+      player: p.id,
+    });
+    if (b.parts[0].health <= 0 && b.parts[1].health <= 0)
+      setBossPhase(g, b, "core");
+  }
+
+  /** setBossPhase() — Switch attack phase (restarting the attack timers). */
+  function setBossPhase(g, b, phase) {
+    b.phase = phase;
+    b.born = g.frame; // Attack timers count from the phase change
+    emit(g, "bossPhase", { boss: b, phase });
+  }
+
+  /**
+   * defeatBoss() — Core destroyed (by ship p): a chain of explosions across
+   * the hull, the level-scaled bonus, then the next (regular) wave.
+   */
+  function defeatBoss(g, b, p) {
+    for (let i = 0; i < 5; i++)
+      boom(
+        g,
+        b.x + (b.w * (i + 0.5)) / 5,
+        b.y + b.h / 2,
+        i % 2 ? "#f5e6a3" : "#ff6633",
+      );
+    const points = BOSS_POINTS * b.level;
+    g.score += points;
+    p.score += points;
+    g.enemiesKilled++;
+    p.kills++;
+    g.boss = null;
+    emit(g, "bossDefeated", {
+      boss: b,
+      points,
+      wave: g.waveNumber,
+      player: p.id,
+    });
+    advanceWave(g, true);
+  }
+
+  return {
+    createEngine,
+    mulberry32,
+    newSeed,
+    collides,
+    hullRect,
+    partRect,
+    DIFFICULTY,
+    ENEMY_TYPES,
+    POWERUPS,
+    EMITTERS,
+    WORLD_W,
+    WORLD_H,
+    TICK_RATE,
+    TICK_MS,
+    SHOT_COOLDOWN,
+    MAX_HEAT,
+    COMBO_STEP,
+    WAVE_SCRIPTS,
+    loadWaveScript,
+    IN_LEFT,
+    IN_RIGHT,
+    IN_FIRE,
+    IN_CLICK,
+    IN_BITS,
+    MAX_PLAYERS,
+  };
+});
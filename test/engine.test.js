@@ -0,0 +1,193 @@
+/* ═══════════════════════════════════════════════════════════
+   LASER DEFENDER — Engine Regression Tests
+   The engine runs without a DOM, so these play whole games under
+   plain Node (npm test). Runs are seeded and stepped with a scripted
+   input sequence, so each one is the same every time.
+   ═══════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createEngine,
+  loadWaveScript,
+  IN_LEFT,
+  IN_RIGHT,
+  IN_FIRE,
+} = require("../engine.js");
+
+const MAX_TICKS = 60 * 60 * 10; // 10 minutes of ticks — every test run ends well before
+
+/** inputAt() — A scripted pilot: sweeps side to side, firing in bursts. */
+const inputAt = (t) =>
+  (t % 300 < 120 ? IN_LEFT : t % 300 > 180 ? IN_RIGHT : 0) |
+  (t % 50 < 40 ? IN_FIRE : 0);
+
+/**
+ * play() — Run one game to its end with the scripted input.
+ * @returns {{score, wave, frame, kills}} Where the run ended
+ */
+function play(opts) {
+  const game = createEngine();
+  game.start(opts);
+  for (let t = 0; game.running && t < MAX_TICKS; t++) game.step(inputAt(t));
+  assert.equal(game.running, false, "the run should end");
+  return {
+    score: game.score,
+    wave: game.waveNumber,
+    frame: game.frame,
+    kills: game.enemiesKilled,
+  };
+}
+
+test("the same seed and input replay the same game", () => {
+  const a = play({ difficulty: "normal", seed: 1234 }),
+    b = play({ difficulty: "normal", seed: 1234 });
+  assert.deepEqual(a, b);
+  assert.ok(a.frame > 0 && a.kills > 0, "the pilot should play a real game");
+});
+
+test("the same seed replays the same game on every difficulty", () => {
+  for (const difficulty of ["easy", "hard"])
+    assert.deepEqual(
+      play({ difficulty, seed: 99 }),
+      play({ difficulty, seed: 99 }),
+    );
+});
+
+test("a different seed plays a different game", () => {
+  assert.notDeepEqual(
+    play({ difficulty: "normal", seed: 1234 }),
+    play({ difficulty: "normal", seed: 4321 }),
+  );
+});
+
+test("co-op runs are deterministic too", () => {
+  const opts = { difficulty: "easy", seed: 7, players: 2, lives: "each" };
+  assert.deepEqual(play(opts), play(opts));
+});
+
+test("wave scripts reject tuning values that aren't numbers", () => {
+  for (const bad of [{ spawnMin: "5" }, { spawnOffset: NaN }])
+    assert.throws(
+      () =>
+        loadWaveScript({
+          name: "bad",
+          waves: [{ goal: { kills: 3 }, ...bad }],
+        }),
+      /must be a number/,
+    );
+});
+
+test("wave scripts reject formation counts that aren't whole numbers", () => {
+  const spawn = { at: 0, event: "spawn", type: "normal", formation: "line" };
+  for (const wave of [{ count: 2.5 }, { events: [{ ...spawn, count: 2.5 }] }])
+    assert.throws(
+      () =>
+        loadWaveScript({
+          name: "bad",
+          waves: [{ goal: { kills: 3 }, ...wave }],
+        }),
+      /count must be a whole number/,
+    );
+});
+
+test("the spawn interval never drops below one tick", () => {
+  const game = createEngine();
+  game.start({
+    seed: 1,
+    script: {
+      name: "swarm",
+      waves: [{ goal: { time: 30 }, spawnMin: 0, spawnOffset: -500 }],
+    },
+  });
+  assert.equal(game.enemySpawnRate, 1);
+  for (let t = 0; t < 10; t++) game.step();
+  assert.ok(game.enemies.length > 0, "enemies should still spawn");
+});
+
+test("each wave sets its spawn interval and enemy speed per difficulty", () => {
+  // [difficulty, wave, spawn interval in ticks, speed multiplier]. Wave 12
+  // on hard bottoms out at the endless script's spawnMin of 20.
+  const expected = [
+    ["easy", 1, 80, 0.7],
+    ["easy", 3, 74, 0.86],
+    ["easy", 12, 53, 1.42],
+    ["normal", 1, 60, 1],
+    ["normal", 3, 54, 1.16],
+    ["normal", 12, 33, 1.72],
+    ["hard", 1, 40, 1.5],
+    ["hard", 3, 34, 1.66],
+    ["hard", 12, 20, 2.22],
+  ];
+  for (const [difficulty, wave, spawnRate, speedMult] of expected) {
+    const game = createEngine();
+    game.start({ difficulty, seed: 1, wave });
+    const at = `${difficulty} wave ${wave}`;
+    assert.equal(game.waveNumber, wave, at);
+    assert.equal(game.enemySpawnRate, spawnRate, at);
+    assert.ok(Math.abs(game.enemySpeedMult - speedMult) < 1e-9, at);
+  }
+});
+
+test("a bullet that lands on an enemy hits it, then kills it", () => {
+  const game = createEngine();
+  game.start({
+    seed: 1,
+    script: {
+      name: "target",
+      waves: [
+        {
+          goal: { kills: 5 },
+          pattern: "none",
+          events: [{ at: 0, event: "spawn", type: "normal", x: 200 }],
+        },
+      ],
+    },
+  });
+  // Let the lone enemy scroll well onto the playfield
+  while (!game.enemies.length || game.enemies[0].y < 100) game.step();
+  const enemy = game.enemies[0],
+    events = [];
+  game.on("enemyHit", (ev) => events.push(["enemyHit", ev.player]));
+  game.on("enemyKilled", (ev) =>
+    events.push(["enemyKilled", ev.player, ev.points]),
+  );
+
+  /** shoot() — A stationary bullet from P1 on the enemy's next position. */
+  const shoot = () => {
+    const x = enemy.x + enemy.w / 2,
+      y = enemy.y + enemy.speed + enemy.h / 2;
+    game.bullets.push({
+      x,
+      y,
+      px: x,
+      py: y,
+      w: 8,
+      h: 16,
+      speed: 0,
+      vx: 0,
+      owner: 0,
+    });
+  };
+
+  // A normal enemy takes two hits: the first only damages it
+  shoot();
+  game.step();
+  assert.deepEqual(events, [["enemyHit", 0]]);
+  assert.equal(game.score, 0);
+  assert.equal(game.killsThisWave, 0);
+
+  shoot();
+  game.step();
+  assert.deepEqual(events, [
+    ["enemyHit", 0],
+    ["enemyHit", 0],
+    ["enemyKilled", 0, 10],
+  ]);
+  assert.equal(game.score, 10);
+  assert.equal(game.killsThisWave, 1);
+  assert.equal(game.enemiesKilled, 1);
+  assert.equal(game.enemies.length, 0);
+});